@@ -1,4 +1,6 @@
 require('dotenv').config();
+// Antes de cualquier otro módulo: todo console.* sale como JSON estructurado
+require('./src/utils/logger.utils').installConsoleBridge();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -12,8 +14,16 @@ const {
   uploadLimiter,
   ocrLimiter,
   healthCheckLimiter,
-  downloadLimiter
+  downloadLimiter,
+  jobStatusLimiter,
+  chunkUploadLimiter
 } = require('./src/middleware/rate-limit.middleware');
+const { runAsJob } = require('./src/middleware/job.middleware');
+const { costLimiter } = require('./src/middleware/cost-limit.middleware');
+const { collectMetrics } = require('./src/middleware/metrics.middleware');
+const { requestLogger, withLogContext } = require('./src/middleware/request-logger.middleware');
+const { downloadPolicy } = require('./src/middleware/download-policy.middleware');
+const { authenticateApiKey, apiKeyLimiter, ocrPageQuota } = require('./src/middleware/api-key.middleware');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -66,11 +76,21 @@ const corsOptions = {
   },
   credentials: true, // Permitir cookies/auth headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Prefer', 'X-Chunk-SHA256', 'X-Request-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Location',
+    'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag',
+    'X-Cost-Charged', 'X-Cost-Budget-Limit', 'X-Cost-Budget-Remaining', 'X-Cost-Budget-Reset', 'X-Request-Id'],
   maxAge: 86400 // Cache preflight request por 24 horas
 };
 
+// ===== LOGS Y X-REQUEST-ID =====
+// Lo primero: cualquier log de la petición (incluidos los rechazos) lleva su requestId
+app.use(requestLogger);
+
+// ===== MÉTRICAS =====
+// Antes que el resto de middlewares: cuenta también las peticiones que rechacen (CORS, limiters)
+app.use(collectMetrics);
+
 app.use(cors(corsOptions));
 
 // Log de configuración CORS al iniciar
@@ -92,7 +112,7 @@ app.use(helmet({
 app.use(compression());
 
 // Middleware
-app.use(express.json({ limit: '10mb' })); // Protección contra DoS con JSONs gigantes
+app.use(withLogContext(express.json({ limit: '10mb' }))); // Protección contra DoS con JSONs gigantes
 
 // ===== DOCUMENTACIÓN API (SWAGGER) =====
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -100,115 +120,93 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customSiteTitle: 'PDF Worker API Docs'
 }));
 
+// ===== API KEYS =====
+// Identifica la clave (Authorization: Bearer) antes de cualquier limiter: con clave
+// se saltan los límites por IP y se aplican los del plan
+app.use('/api/', authenticateApiKey);
+
+// ===== ESTADO DE TRABAJOS ASÍNCRONOS =====
+// Se registra antes de apiLimiter: el polling del cliente agotaría el límite general
+app.use('/api/jobs', jobStatusLimiter, require('./src/routes/jobs.route'));
+
+// ===== SUBIDAS POR PARTES =====
+// También antes de apiLimiter: un archivo grande son cientos de PUT de chunks
+app.use('/api/uploads', chunkUploadLimiter, require('./src/routes/uploads.route'));
+
 // Rate limiter general para todas las rutas /api/* como fallback
 // Este se aplica a rutas que no tienen un limiter específico
 app.use('/api/', apiLimiter);
 
-/**
- * @swagger
- * /health:
- *   get:
- *     summary: Verifica el estado del servidor y servicios
- *     tags: [Health]
- *     responses:
- *       200:
- *         description: Servidor funcionando correctamente
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: ok
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                 services:
- *                   type: object
- *                   properties:
- *                     libreoffice:
- *                       type: string
- *                       example: available
- *                     ghostscript:
- *                       type: string
- *                       example: available
- *                     imagemagick:
- *                       type: string
- *                       example: available
- *                     qpdf:
- *                       type: string
- *                       example: available
- *                     tesseract:
- *                       type: string
- *                       example: available
- *                     playwright:
- *                       type: string
- *                       example: available
- */
-app.get('/health', healthCheckLimiter, (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    services: {
-      libreoffice: 'available',
-      ghostscript: 'available',
-      imagemagick: 'available',
-      qpdf: 'available',
-      tesseract: 'available',
-      playwright: 'available'
-    }
-  });
-});
+// Límite de peticiones del plan para las peticiones con API key
+app.use('/api/', apiKeyLimiter);
+
+// Política de descarga (maxDownloads, ttl, signedUrl) de los archivos que se generen
+app.use('/api/', downloadPolicy);
+
+// ===== HEALTH CHECKS =====
+// /health/live (liveness), /health/ready (readiness) y /health (informe de ready, siempre 200)
+app.use('/health', healthCheckLimiter, require('./src/routes/health.route'));
+
+// ===== MÉTRICAS PROMETHEUS =====
+app.use('/metrics', require('./src/routes/metrics.route'));
+
+// ===== USO DE LA API KEY =====
+app.use('/api/usage', require('./src/routes/usage.route'));
 
 // ===== RUTA DE DESCARGA =====
 app.use('/api/download', downloadLimiter, require('./src/routes/download.route'));
 
 // ===== RUTAS LIBREOFFICE =====
-app.use('/api/word-to-pdf', uploadLimiter, require('./src/routes/word-to-pdf.route'));
-app.use('/api/pdf-to-word', uploadLimiter, require('./src/routes/pdf-to-word.route'));
-app.use('/api/excel-to-pdf', uploadLimiter, require('./src/routes/excel-to-pdf.route'));
-app.use('/api/pdf-to-excel', uploadLimiter, require('./src/routes/pdf-to-excel.route'));
-app.use('/api/ppt-to-pdf', uploadLimiter, require('./src/routes/ppt-to-pdf.route'));
-app.use('/api/pdf-to-ppt', uploadLimiter, require('./src/routes/pdf-to-ppt.route'));
-app.use('/api/preview/office', uploadLimiter, require('./src/routes/preview-office.route'));
+app.use('/api/word-to-pdf', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/word-to-pdf.route'));
+app.use('/api/pdf-to-word', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/pdf-to-word.route'));
+app.use('/api/excel-to-pdf', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/excel-to-pdf.route'));
+app.use('/api/pdf-to-excel', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/pdf-to-excel.route'));
+app.use('/api/ppt-to-pdf', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/ppt-to-pdf.route'));
+app.use('/api/pdf-to-ppt', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/pdf-to-ppt.route'));
+app.use('/api/preview/office', uploadLimiter, costLimiter('office'), runAsJob('office'), require('./src/routes/preview-office.route'));
 
 // ===== RUTAS GHOSTSCRIPT =====
-app.use('/api/compress-pdf', uploadLimiter, require('./src/routes/compress-pdf.route'));
-app.use('/api/grayscale-pdf', uploadLimiter, require('./src/routes/grayscale-pdf.route'));
+app.use('/api/compress-pdf', uploadLimiter, costLimiter('ghostscript'), runAsJob('ghostscript'), require('./src/routes/compress-pdf.route'));
+app.use('/api/grayscale-pdf', uploadLimiter, costLimiter('ghostscript'), runAsJob('ghostscript'), require('./src/routes/grayscale-pdf.route'));
 
 // ===== RUTAS GHOSTSCRIPT AND PDFTK =====
-app.use('/api/flatten-pdf', uploadLimiter, require('./src/routes/flatten-pdf.route'));
+app.use('/api/flatten-pdf', uploadLimiter, costLimiter('ghostscript'), runAsJob('ghostscript'), require('./src/routes/flatten-pdf.route'));
 
 // ===== RUTAS PDF-LIB =====
-app.use('/api/merge-pdf', uploadLimiter, require('./src/routes/merge-pdf.route'));
-app.use('/api/organize-pdf', uploadLimiter, require('./src/routes/organize-pdf.route'));
-app.use('/api/rotate-pdf', uploadLimiter, require('./src/routes/rotate-pdf.route'));
-app.use('/api/split-pdf', uploadLimiter, require('./src/routes/split-pdf.route'));
-app.use('/api/process-pages', uploadLimiter, require('./src/routes/process-pages.route'));
-app.use('/api/delete-pages', uploadLimiter, require('./src/routes/delete-pages.route'));
-app.use('/api/watermark-pdf', uploadLimiter, require('./src/routes/watermark-pdf.route'));
+app.use('/api/merge-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/merge-pdf.route'));
+app.use('/api/organize-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/organize-pdf.route'));
+app.use('/api/rotate-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/rotate-pdf.route'));
+app.use('/api/split-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/split-pdf.route'));
+app.use('/api/process-pages', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/process-pages.route'));
+app.use('/api/delete-pages', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/delete-pages.route'));
+app.use('/api/watermark-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/watermark-pdf.route'));
 
 // ===== RUTAS IMAGEMAGICK =====
-app.use('/api/pdf-to-image', uploadLimiter, require('./src/routes/pdf-to-image.route'));
-app.use('/api/image-to-pdf', uploadLimiter, require('./src/routes/image-to-pdf.route'));
+app.use('/api/pdf-to-image', uploadLimiter, costLimiter('imagemagick'), runAsJob('imagemagick'), require('./src/routes/pdf-to-image.route'));
+app.use('/api/image-to-pdf', uploadLimiter, costLimiter('imagemagick'), runAsJob('imagemagick'), require('./src/routes/image-to-pdf.route'));
 
 // ===== RUTAS QPDF =====
-app.use('/api/protect-pdf', uploadLimiter, require('./src/routes/protect-pdf.route'));
-app.use('/api/unlock-pdf', uploadLimiter, require('./src/routes/unlock-pdf.route'));
-app.use('/api/repair-pdf', uploadLimiter, require('./src/routes/repair-pdf.route'));
+app.use('/api/protect-pdf', uploadLimiter, costLimiter('qpdf'), runAsJob('qpdf'), require('./src/routes/protect-pdf.route'));
+app.use('/api/unlock-pdf', uploadLimiter, costLimiter('qpdf'), runAsJob('qpdf'), require('./src/routes/unlock-pdf.route'));
+app.use('/api/repair-pdf', uploadLimiter, costLimiter('qpdf'), runAsJob('qpdf'), require('./src/routes/repair-pdf.route'));
 
 // ===== HTML TO PDF (PLAYWRIGHT) =====
-app.use('/api/html-to-pdf', uploadLimiter, require('./src/routes/html-to-pdf.route'));
+app.use('/api/html-to-pdf', uploadLimiter, costLimiter('playwright'), runAsJob('playwright'), require('./src/routes/html-to-pdf.route'));
 
 // ===== OCR PDF (TESSERACT) - Rate limit más estricto =====
-app.use('/api/ocr-pdf', ocrLimiter, require('./src/routes/ocr-pdf.route'));
+app.use('/api/ocr-pdf', ocrLimiter, ocrPageQuota, costLimiter('ocr'), runAsJob('ocr'), require('./src/routes/ocr-pdf.route'));
 
 // ===== FIRMAR PDF (PDF-LIB + OPENSSL) =====
-app.use('/api/sign-pdf', uploadLimiter, require('./src/routes/sign-pdf.route'));
+app.use('/api/sign-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/sign-pdf.route'));
 
 // ===== CENSURAR PDF (PDF-LIB) =====
-app.use('/api/censure-pdf', uploadLimiter, require('./src/routes/censure-pdf.route'));
+app.use('/api/censure-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/censure-pdf.route'));
+
+// ===== SANEAR PDF (PDF-LIB) =====
+app.use('/api/sanitize-pdf', uploadLimiter, costLimiter('pdf-lib'), runAsJob('pdf-lib'), require('./src/routes/sanitize-pdf.route'));
+
+// ===== PIPELINE (VARIAS HERRAMIENTAS ENCADENADAS) =====
+app.use('/api/pipeline', uploadLimiter, costLimiter('pipeline'), runAsJob('pipeline'), require('./src/routes/pipeline.route'));
 
 // ===== MANEJO DE ERRORES =====
 app.use(require('./src/middleware/error.middleware'));
@@ -225,7 +223,8 @@ async function ensureDirectories() {
   const dirs = [
     path.join(__dirname, 'uploads'),   // Archivos subidos por multer
     path.join(__dirname, 'outputs'),   // Archivos procesados temporales
-    path.join(__dirname, 'downloads')  // Archivos listos para descarga (FileStore)
+    path.join(__dirname, 'downloads'), // Archivos listos para descarga (FileStore)
+    path.join(__dirname, 'chunked-uploads') // Sesiones de subida por partes
   ];
 
   for (const dir of dirs) {
@@ -243,12 +242,27 @@ async function startServer() {
   // Crear directorios necesarios
   await ensureDirectories();
 
+  // Reconstruir índice de descargas desde los manifiestos en disco
+  await require('./src/services/file-store.service').init();
+
+  // Cargar API keys y planes (API_KEYS_FILE)
+  await require('./src/services/api-key.service').init();
+
+  // Primera comprobación de dependencias en segundo plano: el primer /health/ready ya sale de caché
+  require('./src/services/health.service').getReadiness();
+
   // Iniciar servidor
   app.listen(PORT, () => {
     console.log(`PDF Worker running on port ${PORT}`);
     console.log(`Endpoints disponibles:`);
-    console.log(` - GET  /health`);
+    console.log(` - GET  /health/live`);
+    console.log(` - GET  /health/ready`);
+    console.log(` - GET  /metrics`);
     console.log(` - GET  /api/download/:fileId`);
+    console.log(` - GET  /api/jobs/:jobId`);
+    console.log(` - GET  /api/usage`);
+    console.log(` - POST /api/uploads`);
+    console.log(` - POST /api/pipeline`);
     console.log(` - POST /api/ocr-pdf`);
     console.log(` - POST /api/ocr-pdf/detect`);
     console.log(` - GET  /api/ocr-pdf/languages`);
@@ -0,0 +1,86 @@
+const apiKeyService = require('../services/api-key.service');
+const metricsService = require('../services/metrics.service');
+const { countPdfPages } = require('../utils/file.utils');
+
+/**
+ * Identifica al cliente por la API key del header `Authorization: Bearer <clave>`.
+ * Sin header la petición sigue como anónima (límites por IP), salvo con
+ * API_KEYS_REQUIRED=true. Una clave inválida se rechaza siempre.
+ */
+function authenticateApiKey(req, res, next) {
+  const header = req.get('Authorization');
+
+  if (!header) {
+    if (process.env.API_KEYS_REQUIRED === 'true') {
+      return res.status(401).json({ error: 'API key requerida (Authorization: Bearer <clave>)', code: 'API_KEY_REQUIRED' });
+    }
+    return next();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  const apiKey = match && apiKeyService.authenticate(match[1]);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key inválida', code: 'INVALID_API_KEY' });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Límite de peticiones por ventana según el plan de la clave.
+ * Sustituye a los límites por IP (que se saltan cuando hay clave) y devuelve
+ * los mismos headers `RateLimit-*`.
+ */
+async function apiKeyLimiter(req, res, next) {
+  if (!req.apiKey) return next();
+
+  const { allowed, limit, remaining, resetAt } = await apiKeyService.hitRequest(req.apiKey);
+  const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (!allowed) {
+    metricsService.recordRateLimitRejection('api_key');
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      error: `Límite de ${limit} peticiones del plan ${req.apiKey.plan} alcanzado`,
+      code: 'API_KEY_RATE_LIMIT_EXCEEDED',
+      retryAfter: `${Math.ceil(resetSeconds / 60)} minutos`
+    });
+  }
+
+  next();
+}
+
+/**
+ * Descuenta del cupo diario de OCR las páginas del PDF recibido antes de procesarlo
+ * (y antes del 202 en modo asíncrono). Solo para POST / de la ruta donde se monta.
+ */
+function ocrPageQuota(req, res, next) {
+  if (!req.apiKey || req.method !== 'POST' || req.path !== '/') return next();
+
+  req.afterUpload = req.afterUpload || [];
+  req.afterUpload.push(async (req) => {
+    const file = req.file || (Array.isArray(req.files) ? req.files[0] : null);
+    if (!file) return;
+
+    // PDF ilegible (null): la herramienta devolverá su propio error
+    const pages = await countPdfPages(file.path);
+    if (pages === null) return;
+
+    await apiKeyService.consumeOcrPages(req.apiKey, pages);
+  });
+
+  next();
+}
+
+module.exports = {
+  authenticateApiKey,
+  apiKeyLimiter,
+  ocrPageQuota
+};
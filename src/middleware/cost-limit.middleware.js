@@ -0,0 +1,134 @@
+const costBudgetService = require('../services/cost-budget.service');
+const metricsService = require('../services/metrics.service');
+const { isLocalDevelopment } = require('./rate-limit.middleware');
+const { countPdfPages } = require('../utils/file.utils');
+
+/**
+ * Peso de cada familia de herramientas (la misma que en runAsJob): cuánto cuesta
+ * procesar una página o un MB con ella respecto a pdf-lib
+ */
+const TOOL_WEIGHTS = {
+  'pdf-lib': 1,
+  qpdf: 1,
+  ghostscript: 2,
+  imagemagick: 2,
+  office: 3,
+  playwright: 3,
+  pipeline: 3,
+  ocr: 10
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+
+function costLimitError(message, details) {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = 'COST_LIMIT_EXCEEDED';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Páginas y MB de los archivos recibidos. Los PDF cuentan sus páginas; el resto
+ * de archivos (imágenes, Office, HTML...) cuenta como una página cada uno.
+ */
+async function measureWork(req) {
+  const files = req.file
+    ? [req.file]
+    : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+  let pages = 0;
+  let bytes = 0;
+  for (const file of files) {
+    const isPdf = file.detectedType === 'pdf' || /\.pdf$/i.test(file.originalname);
+    pages += (isPdf && await countPdfPages(file.path)) || 1;
+    bytes += file.size;
+  }
+
+  return { pages: Math.max(1, pages), megabytes: Math.ceil(bytes / BYTES_PER_MB) };
+}
+
+/**
+ * Coste de un trabajo: peso de la herramienta × (páginas + MB de entrada).
+ * Un compress de 1 página y 1MB cuesta 4; un OCR de 500 páginas y 40MB, 5400.
+ */
+function computeCost(family, { pages, megabytes }) {
+  return (TOOL_WEIGHTS[family] || 1) * (pages + megabytes);
+}
+
+/**
+ * Cobra `cost` unidades del bucket del cliente (API key o IP) y deja los headers X-Cost-*.
+ * X-Cost-Charged acumula lo cobrado en la petición (la censura con OCR cobra dos veces).
+ *
+ * @param {object} work - { family, pages, megabytes } para el log y los detalles del error
+ * @throws {Error} - 429 COST_LIMIT_EXCEEDED sin saldo suficiente
+ */
+async function chargeCost(req, res, cost, work) {
+  if (!req.apiKey && isLocalDevelopment(req)) return;
+
+  const clientKey = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+
+  let budget;
+  try {
+    budget = await costBudgetService.charge(clientKey, cost, req.apiKey);
+  } catch (error) {
+    // Igual que los rate limiters: si el store falla, la petición pasa sin límite
+    console.error('[CostLimit] Store error, allowing request:', error.message);
+    return;
+  }
+
+  if (budget.allowed) req.costCharged = (req.costCharged || 0) + cost;
+
+  res.set({
+    'X-Cost-Charged': String(req.costCharged || 0),
+    'X-Cost-Budget-Limit': String(budget.limit),
+    'X-Cost-Budget-Remaining': String(budget.remaining),
+    'X-Cost-Budget-Reset': String(budget.resetSeconds)
+  });
+
+  if (!budget.allowed) {
+    metricsService.recordRateLimitRejection('cost');
+    res.set('Retry-After', String(budget.retryAfter));
+    throw costLimitError(
+      `Presupuesto de procesamiento agotado: este trabajo cuesta ${cost} unidades y quedan ${budget.remaining}`,
+      { cost, ...work, remaining: budget.remaining, retryAfter: budget.retryAfter }
+    );
+  }
+
+  console.log(`[CostLimit] ${clientKey} ${work.family}: ${work.pages} pages, ${work.megabytes}MB -> ${cost} units (${budget.remaining}/${budget.limit} left)`);
+}
+
+/**
+ * Limita por trabajo realizado en lugar de por número de peticiones: cobra el coste
+ * del trabajo de un token bucket por cliente (API key o IP) cuando la subida ya se ha
+ * recibido y antes de que la herramienta se ejecute. Debe montarse antes de runAsJob
+ * para que el cobro ocurra también antes del 202 en modo asíncrono.
+ *
+ * Headers de respuesta:
+ * - X-Cost-Charged: unidades cobradas por esta petición
+ * - X-Cost-Budget-Limit / X-Cost-Budget-Remaining: capacidad y saldo del bucket
+ * - X-Cost-Budget-Reset: segundos hasta tener el bucket lleno
+ *
+ * Sin saldo responde 429 COST_LIMIT_EXCEEDED con Retry-After.
+ *
+ * @param {string} family - Familia de herramientas (ocr, office, ghostscript...)
+ */
+function costLimiter(family) {
+  return (req, res, next) => {
+    if (!req.apiKey && isLocalDevelopment(req)) return next();
+
+    req.afterUpload = req.afterUpload || [];
+    req.afterUpload.push(async (req) => {
+      const work = await measureWork(req);
+      await chargeCost(req, res, computeCost(family, work), { family, ...work });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  costLimiter,
+  chargeCost,
+  TOOL_WEIGHTS
+};
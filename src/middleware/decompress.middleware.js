@@ -0,0 +1,199 @@
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fzstd = require('fzstd');
+const { cleanupFiles } = require('../utils/cleanup.utils');
+
+// Tope adicional para un archivo descomprimido (DECOMPRESS_MAX_SIZE en bytes). Sin definir
+// manda el tamaño máximo de subida de la petición (150MB sin API key o el del plan)
+const MAX_DECOMPRESSED_SIZE = parseInt(process.env.DECOMPRESS_MAX_SIZE) || Infinity;
+
+// Expansión máxima respecto al tamaño comprimido (DECOMPRESS_MAX_RATIO, default: 100x)
+const MAX_RATIO = parseInt(process.env.DECOMPRESS_MAX_RATIO) || 100;
+
+/**
+ * Formatos de compresión admitidos. Brotli no tiene magic bytes: solo se reconoce
+ * por la extensión .br o con compressed=br.
+ */
+const FORMATS = {
+  gzip: { extension: '.gz', magic: [0x1F, 0x8B], createStream: () => zlib.createGunzip() },
+  br: { extension: '.br', magic: null, createStream: () => zlib.createBrotliDecompress() },
+  zstd: { extension: '.zst', magic: [0x28, 0xB5, 0x2F, 0xFD], createStream: createZstdDecompress }
+};
+
+// Valores de `compressed` que fuerzan un formato ('true' solo indica que viene comprimido)
+const FORMAT_ALIASES = { gzip: 'gzip', gz: 'gzip', br: 'br', brotli: 'br', zstd: 'zstd', zst: 'zstd' };
+
+const COMPRESSED_EXTENSION = /\.(gz|br|zst)$/i;
+
+function decompressError(message, status, code, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Bytes comprimidos que se pasan de cada vez a fzstd (ver createZstdDecompress)
+const ZSTD_SLICE_SIZE = 1024;
+
+/**
+ * zstd nativo de Node (22.15+) o, si no está, el decodificador JS de fzstd.
+ * fzstd decodifica de golpe todo lo que recibe y no respeta la contrapresión: se le pasa
+ * la entrada en trozos pequeños, se entrega la salida de cada uno antes de seguir y se
+ * corta dentro del propio decodificador en cuanto supera `maxOutput`, así un .zst pequeño
+ * no llega a expandirse en memoria antes de que actúe el limitador.
+ * @param {number} maxOutput - Bytes descomprimidos permitidos
+ * @param {function(): Error} exceeded - Error que se lanza al superarlos
+ */
+function createZstdDecompress(maxOutput, exceeded) {
+  if (zlib.createZstdDecompress) return zlib.createZstdDecompress();
+
+  return async function* decompressZstd(source) {
+    let output = [];
+    let produced = 0;
+    const decoder = new fzstd.Decompress((data) => {
+      produced += data.length;
+      if (produced > maxOutput) throw exceeded();
+      output.push(Buffer.from(data));
+    });
+
+    function* takeOutput() {
+      const ready = output;
+      output = [];
+      yield* ready;
+    }
+
+    for await (const chunk of source) {
+      for (let offset = 0; offset < chunk.length; offset += ZSTD_SLICE_SIZE) {
+        decoder.push(chunk.subarray(offset, offset + ZSTD_SLICE_SIZE));
+        yield* takeOutput();
+      }
+    }
+    decoder.push(new Uint8Array(0), true);
+    yield* takeOutput();
+  };
+}
+
+/**
+ * Formato de compresión de un archivo recibido
+ * @param {object} file - Archivo de multer
+ * @param {string} hint - Valor del campo `compressed` (opcional)
+ * @returns {Promise<string|null>} - 'gzip' | 'br' | 'zstd' | null si viene sin comprimir
+ */
+async function detectCompression(file, hint) {
+  const head = Buffer.alloc(4);
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  for (const [format, { magic }] of Object.entries(FORMATS)) {
+    if (magic && magic.every((byte, i) => head[i] === byte)) return format;
+  }
+
+  const extension = path.extname(file.originalname).toLowerCase();
+  const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extension === extension);
+  if (byExtension) return byExtension;
+
+  return FORMAT_ALIASES[String(hint || '').toLowerCase()] || null;
+}
+
+/**
+ * Descomprime un archivo a disco cortando en cuanto supera el tamaño máximo
+ * o la expansión máxima, para que un .gz pequeño no llene el disco.
+ * Sustituye el archivo en el objeto de multer: las rutas reciben el archivo
+ * plano con su nombre real (sin .gz/.br/.zst).
+ */
+async function decompressFile(file, format, maxSize) {
+  const plainName = file.originalname.replace(COMPRESSED_EXTENSION, '');
+  const storedName = file.filename.replace(COMPRESSED_EXTENSION, '');
+  const filename = storedName !== file.filename ? storedName : `plain-${file.filename}`;
+  const destination = path.join(path.dirname(file.path), filename);
+
+  const sizeLimit = Math.min(MAX_DECOMPRESSED_SIZE, maxSize);
+  const limit = Math.min(sizeLimit, file.size * MAX_RATIO);
+  const startTime = Date.now();
+  let written = 0;
+
+  const limitExceeded = () => {
+    const reason = limit === sizeLimit ? 'size' : 'ratio';
+    return decompressError(
+      reason === 'size'
+        ? `"${plainName}" supera los ${Math.round(sizeLimit / 1024 / 1024)}MB descomprimido`
+        : `"${plainName}" se expande más de ${MAX_RATIO} veces al descomprimirlo`,
+      413,
+      'DECOMPRESSION_LIMIT_EXCEEDED',
+      { fileName: file.originalname, format, reason, limit }
+    );
+  };
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > limit) return callback(limitExceeded());
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(
+      fs.createReadStream(file.path),
+      FORMATS[format].createStream(limit, limitExceeded),
+      limiter,
+      fs.createWriteStream(destination)
+    );
+  } catch (error) {
+    await cleanupFiles([destination]);
+    if (error.code === 'DECOMPRESSION_LIMIT_EXCEEDED') throw error;
+    throw decompressError(
+      `No se pudo descomprimir "${file.originalname}" (${format})`,
+      400,
+      'INVALID_COMPRESSED_FILE',
+      { fileName: file.originalname, format }
+    );
+  }
+
+  await cleanupFiles([file.path]);
+  console.log(`[Decompress] ${file.originalname} (${format}): ${file.size} -> ${written} bytes (${Date.now() - startTime}ms)`);
+
+  Object.assign(file, {
+    originalname: plainName,
+    filename,
+    path: destination,
+    compressedSize: file.size,
+    size: written,
+    compression: format
+  });
+}
+
+/**
+ * Descomprime todos los archivos de la petición (subidos o de sourceFileId) que
+ * vengan en gzip, brotli o zstd. Se ejecuta en el upload middleware antes de
+ * comprobar tamaños y validar el contenido, así que las rutas siempre reciben archivos planos.
+ * @param {number} maxSize - Tamaño máximo de subida de la petición: ningún archivo
+ *   descomprimido puede superarlo
+ * @throws {Error} - 413 DECOMPRESSION_LIMIT_EXCEEDED | 400 INVALID_COMPRESSED_FILE
+ */
+async function decompressUploads(req, maxSize = Infinity) {
+  const files = req.file
+    ? [req.file]
+    : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+  for (const file of files) {
+    const format = await detectCompression(file, req.body?.compressed);
+    if (format) await decompressFile(file, format, maxSize);
+  }
+}
+
+module.exports = {
+  decompressUploads,
+  detectCompression,
+  COMPRESSED_EXTENSION,
+  MAX_DECOMPRESSED_SIZE,
+  MAX_RATIO
+};
@@ -0,0 +1,99 @@
+const fileStore = require('../services/file-store.service');
+
+function policyError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_DOWNLOAD_POLICY';
+  return error;
+}
+
+/**
+ * Lee la política de descarga de los campos de la request (multipart o query):
+ * - maxDownloads: número de descargas permitidas (1-1000)
+ * - ttl: segundos de vida del archivo (hasta FILE_MAX_TTL)
+ * - signedUrl: 'true' para exigir el enlace firmado que se devuelve en la respuesta
+ *
+ * @returns {object|null} - { maxDownloads, ttlMs, signed } o null si no se pidió nada
+ */
+function parseDownloadPolicy(req) {
+  const field = (name) => req.body?.[name] ?? req.query[name];
+  const policy = {};
+
+  const maxDownloads = field('maxDownloads');
+  if (maxDownloads !== undefined && maxDownloads !== '') {
+    const value = Number(maxDownloads);
+    if (!Number.isInteger(value) || value < 1 || value > fileStore.MAX_DOWNLOADS_LIMIT) {
+      throw policyError(`maxDownloads debe ser un entero entre 1 y ${fileStore.MAX_DOWNLOADS_LIMIT}`);
+    }
+    policy.maxDownloads = value;
+  }
+
+  const ttl = field('ttl');
+  if (ttl !== undefined && ttl !== '') {
+    const maxTtl = fileStore.MAX_TTL_MS / 1000;
+    const value = Number(ttl);
+    if (!Number.isInteger(value) || value < 60 || value > maxTtl) {
+      throw policyError(`ttl debe ser un número de segundos entre 60 y ${maxTtl}`);
+    }
+    policy.ttlMs = value * 1000;
+  }
+
+  if (field('signedUrl') === 'true') {
+    policy.signed = true;
+  }
+
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+/**
+ * Cuando la ruta responde con un fileId, aplica la política al archivo y añade a la
+ * respuesta el enlace de descarga y la caducidad
+ */
+function applyPolicyOnResponse(req, res) {
+  const json = res.json;
+
+  res.json = (body) => {
+    if (!body || typeof body !== 'object' || !body.fileId) {
+      return json.call(res, body);
+    }
+
+    fileStore.setPolicy(body.fileId, req.downloadPolicy)
+      .then(file => json.call(res, {
+        ...body,
+        downloadUrl: file.signed ? fileStore.getSignedPath(body.fileId, file) : `/api/download/${body.fileId}`,
+        expiresAt: new Date(file.expiresAt).toISOString(),
+        maxDownloads: file.maxDownloads
+      }))
+      .catch(async (error) => {
+        // Sin política aplicada el archivo quedaría más expuesto de lo pedido: se descarta
+        console.error('[DownloadPolicy] Error applying policy:', error);
+        await fileStore.deleteFile(body.fileId);
+        res.status(500);
+        json.call(res, { error: 'Error al aplicar la política de descarga', code: 'DOWNLOAD_POLICY_FAILED' });
+      });
+
+    return res;
+  };
+}
+
+/**
+ * Middleware global: permite fijar al crear cualquier archivo cuántas veces se puede
+ * descargar, cuánto dura y si exige enlace firmado.
+ *
+ * La validación se hace en el primer hook post-upload, antes de procesar nada (y antes
+ * del 202 de los trabajos asíncronos). El envoltorio de res.json se engancha al final de
+ * la lista de hooks para quedar por encima del de runAsJob, que en modo asíncrono
+ * sustituye res.json por el que guarda el resultado en el trabajo.
+ */
+function downloadPolicy(req, res, next) {
+  req.afterUpload = req.afterUpload || [];
+  req.afterUpload.push(async () => {
+    req.downloadPolicy = parseDownloadPolicy(req);
+    if (req.downloadPolicy) {
+      req.afterUpload.push(async () => applyPolicyOnResponse(req, res));
+    }
+  });
+  next();
+}
+
+module.exports = { downloadPolicy, parseDownloadPolicy };
@@ -1,8 +1,16 @@
 module.exports = (err, req, res, next) => {
   console.error('Error:', err);
-  
+
+  // La respuesta ya se envió (p.ej. 202 de un trabajo asíncrono que no llegó a ejecutarse):
+  // solo loguear. Si la ruta corre como trabajo, res.json guarda el error en el trabajo
+  if (res.headersSent && !res.locals.responseCaptured) {
+    return;
+  }
+
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
+    code: err.code,
+    details: err.details,
     timestamp: new Date().toISOString()
   });
 };
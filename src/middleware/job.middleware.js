@@ -0,0 +1,106 @@
+const jobQueue = require('../services/job-queue.service');
+const { setContext } = require('../utils/logger.utils');
+
+/**
+ * Indica si el cliente pidió procesamiento asíncrono:
+ * - Query `?async=true`
+ * - Campo multipart `async=true`
+ * - Header `Prefer: respond-async`
+ */
+function wantsAsync(req) {
+  if (req.query.async === 'true' || req.body?.async === 'true') {
+    return true;
+  }
+  const prefer = req.get('Prefer') || '';
+  return prefer.toLowerCase().includes('respond-async');
+}
+
+/**
+ * Sustituye los métodos de respuesta para que lo que la ruta "responda"
+ * quede guardado en el trabajo en vez de enviarse al cliente
+ * (la conexión ya se cerró con el 202). Al terminar emite 'jobFinished'
+ * (statusCode, body) en res.
+ */
+function captureResponse(res, jobId, release) {
+  let statusCode = 200;
+  res.locals.responseCaptured = true;
+
+  const finish = (body) => {
+    jobQueue.finishJob(jobId, statusCode, body);
+    release();
+    res.emit('jobFinished', statusCode, body);
+    return res;
+  };
+
+  res.status = (code) => {
+    statusCode = code;
+    return res;
+  };
+  res.json = finish;
+  res.send = (body) => finish(typeof body === 'object' && !Buffer.isBuffer(body) ? body : {
+    error: 'Esta operación no devuelve un fileId y no admite modo asíncrono',
+    code: 'ASYNC_NOT_SUPPORTED'
+  });
+  res.sendFile = (filePath, callback) => {
+    res.send(null);
+    if (typeof callback === 'function') callback();
+  };
+  res.set = () => res;
+  res.setHeader = () => res;
+}
+
+/**
+ * Middleware que limita la concurrencia de una familia de herramientas y,
+ * si el cliente lo pide, convierte la request en un trabajo asíncrono.
+ *
+ * Se engancha a los hooks post-upload para que el archivo se reciba
+ * completo antes de responder con el jobId o de esperar turno.
+ *
+ * @param {string} family - Familia de herramientas (ocr, office, ghostscript...)
+ */
+function runAsJob(family) {
+  return (req, res, next) => {
+    req.afterUpload = req.afterUpload || [];
+    req.afterUpload.push(async () => {
+      const tool = req.baseUrl + (req.path === '/' ? '' : req.path);
+
+      // Modo síncrono: solo esperar turno y liberar al terminar la respuesta
+      if (!wantsAsync(req)) {
+        const release = await jobQueue.acquire(family);
+        res.on('finish', release);
+        res.on('close', release);
+        return;
+      }
+
+      const job = jobQueue.createJob({ family, tool });
+      setContext({ jobId: job.id });
+      // Antes del 202: en 'finish' las métricas y los logs ya la tratan como asíncrona
+      res.locals.jobId = job.id;
+      const statusUrl = `/api/jobs/${job.id}`;
+
+      res.status(202)
+        .set('Location', statusUrl)
+        .json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl
+        });
+
+      let release;
+      try {
+        release = await jobQueue.acquire(family);
+      } catch (error) {
+        jobQueue.finishJob(job.id, error.status || 500, { error: error.message, code: error.code });
+        throw error;
+      }
+
+      jobQueue.startJob(job.id);
+      captureResponse(res, job.id, release);
+    });
+
+    next();
+  };
+}
+
+module.exports = { runAsJob };
@@ -0,0 +1,74 @@
+const metricsService = require('../services/metrics.service');
+const fileStore = require('../services/file-store.service');
+const { routeLabel } = require('../utils/http.utils');
+
+const elapsedSeconds = (startTime) => Number(process.hrtime.bigint() - startTime) / 1e9;
+
+/**
+ * Duración y tamaños del resultado de una herramienta (solo peticiones con subida)
+ */
+async function recordResult(req, mode, statusCode, body) {
+  const { route, uploadedAt, inputBytes } = req.metrics;
+  const file = statusCode < 400 && body?.fileId ? await fileStore.getFile(body.fileId) : null;
+
+  metricsService.recordProcessing({
+    route,
+    mode,
+    succeeded: statusCode < 400,
+    durationSeconds: elapsedSeconds(uploadedAt),
+    inputBytes,
+    outputBytes: file ? file.size : undefined
+  });
+}
+
+/**
+ * Métricas de cada petición: contador y duración por ruta/estado y, para las que suben
+ * archivos, bytes de entrada, tiempo de procesamiento, tamaño del resultado y ratio.
+ * En modo asíncrono el resultado se mide al terminar el trabajo (evento jobFinished).
+ * Se monta antes que cualquier otro middleware con hooks post-upload.
+ */
+function collectMetrics(req, res, next) {
+  const startTime = process.hrtime.bigint();
+  let responseBody;
+
+  req.afterUpload = req.afterUpload || [];
+  req.afterUpload.push(async (req) => {
+    const files = req.file
+      ? [req.file]
+      : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+    const inputBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+    req.metrics = { route: routeLabel(req), uploadedAt: process.hrtime.bigint(), inputBytes };
+    metricsService.recordInput(req.metrics.route, inputBytes);
+  });
+
+  // runAsJob sustituye res.json en modo asíncrono; aquí solo llega la respuesta síncrona
+  const json = res.json;
+  res.json = function (body) {
+    responseBody = body;
+    return json.call(this, body);
+  };
+
+  res.on('jobFinished', (statusCode, body) => {
+    recordResult(req, 'async', statusCode, body)
+      .catch(error => console.error('[Metrics] Error:', error.message));
+  });
+
+  res.on('finish', () => {
+    metricsService.recordRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      durationSeconds: elapsedSeconds(startTime)
+    });
+
+    if (req.metrics && !res.locals.jobId) {
+      recordResult(req, 'sync', res.statusCode, responseBody)
+        .catch(error => console.error('[Metrics] Error:', error.message));
+    }
+  });
+
+  next();
+}
+
+module.exports = { collectMetrics };
@@ -1,86 +1,159 @@
 const rateLimit = require('express-rate-limit');
+const { RedisStore } = require('rate-limit-redis');
+const redisService = require('../services/redis.service');
+const metricsService = require('../services/metrics.service');
+
+/**
+ * Límite y ventana de cada limiter. Se pueden cambiar con RATE_LIMIT_<NOMBRE> (peticiones)
+ * y RATE_LIMIT_<NOMBRE>_WINDOW (minutos), p.ej. RATE_LIMIT_OCR=20, RATE_LIMIT_OCR_WINDOW=60
+ */
+const DEFAULT_LIMITS = {
+  general: { max: 100, windowMinutes: 15 },
+  upload: { max: 30, windowMinutes: 10 },
+  ocr: { max: 10, windowMinutes: 30 },
+  health: { max: 60, windowMinutes: 1 },
+  download: { max: 50, windowMinutes: 5 },
+  job_status: { max: 120, windowMinutes: 1 },
+  chunk_upload: { max: 1000, windowMinutes: 10 }
+};
+
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function getLimitConfig(name) {
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+  const defaults = DEFAULT_LIMITS[name];
+  const windowMinutes = readPositiveInt(`${envName}_WINDOW`, defaults.windowMinutes);
+
+  return {
+    max: readPositiveInt(envName, defaults.max),
+    windowMs: windowMinutes * 60 * 1000,
+    retryAfter: windowMinutes === 1 ? '1 minuto' : `${windowMinutes} minutos`
+  };
+}
+
+/**
+ * Store de los contadores según RATE_LIMIT_STORE:
+ * - memory (default): cada proceso cuenta por su cuenta y se reinicia al arrancar
+ * - redis: contadores compartidos entre instancias (PM2 cluster, varios servidores) en REDIS_URL
+ *
+ * express-rate-limit necesita un store distinto por limiter; el prefijo separa sus claves.
+ */
+function createStore(name) {
+  const storeName = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  if (storeName === 'memory') return undefined;
+
+  if (storeName !== 'redis') {
+    throw new Error(`RATE_LIMIT_STORE desconocido: ${storeName} (usa memory o redis)`);
+  }
+  if (!redisService.configured) {
+    throw new Error('RATE_LIMIT_STORE=redis requiere REDIS_URL');
+  }
+
+  const client = redisService.getClient();
+  const store = new RedisStore({
+    prefix: `${process.env.RATE_LIMIT_PREFIX || 'pdf-worker:rl:'}${name}:`,
+    sendCommand: (command, ...args) => client.call(command, ...args)
+  });
+
+  // El store carga sus scripts Lua al crearse; si Redis aún no está disponible los
+  // vuelve a cargar en la primera petición, así que el rechazo inicial se ignora
+  store.incrementScriptSha.catch(() => {});
+  store.getScriptSha.catch(() => {});
+
+  return store;
+}
+
+/**
+ * Opciones comunes. Si el store falla (Redis caído) la petición se deja pasar:
+ * es preferible quedarse sin límite un rato a tumbar toda la API.
+ */
+function createLimiter(name, { message, skip }) {
+  const { max, windowMs, retryAfter } = getLimitConfig(name);
+
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true, // Devuelve info de rate limit en headers `RateLimit-*`
+    legacyHeaders: false, // Deshabilita headers `X-RateLimit-*`
+    store: createStore(name),
+    passOnStoreError: true,
+    message: typeof message === 'function' ? message(retryAfter) : message,
+    handler: (req, res, next, options) => {
+      metricsService.recordRateLimitRejection(name);
+      res.status(options.statusCode).json(options.message);
+    },
+    skip
+  });
+}
+
+/**
+ * Peticiones desde la propia máquina en desarrollo
+ */
+function isLocalDevelopment(req) {
+  if (process.env.NODE_ENV !== 'development') return false;
+  const ip = req.ip || req.connection.remoteAddress;
+  return ip === '::1' || ip === '127.0.0.1' || ip === 'localhost';
+}
+
+/**
+ * Peticiones que no cuentan para los límites por IP:
+ * - Con API key: manda el límite de su plan (apiKeyLimiter)
+ * - IPs locales en desarrollo
+ */
+function skipIpLimit(req) {
+  return Boolean(req.apiKey) || isLocalDevelopment(req);
+}
 
 /**
  * Rate limiter general para todas las rutas de API
  * Previene abuso general del servicio
  */
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // 100 requests por ventana
-  standardHeaders: true, // Devuelve info de rate limit en headers `RateLimit-*`
-  legacyHeaders: false, // Deshabilita headers `X-RateLimit-*`
-  message: {
-    error: 'Demasiadas solicitudes desde esta IP, por favor intenta de nuevo en 15 minutos.',
+const apiLimiter = createLimiter('general', {
+  message: (retryAfter) => ({
+    error: `Demasiadas solicitudes desde esta IP, por favor intenta de nuevo en ${retryAfter}.`,
     code: 'RATE_LIMIT_EXCEEDED',
-    retryAfter: '15 minutos'
-  },
-  // Excluir IPs locales del rate limit en desarrollo
-  skip: (req) => {
-    if (process.env.NODE_ENV === 'development') {
-      const ip = req.ip || req.connection.remoteAddress;
-      return ip === '::1' || ip === '127.0.0.1' || ip === 'localhost';
-    }
-    return false;
-  }
+    retryAfter
+  }),
+  skip: skipIpLimit
 });
 
 /**
  * Rate limiter estricto para operaciones de procesamiento de archivos
  * Estas operaciones consumen mucho CPU/memoria
  */
-const uploadLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 minutos
-  max: 30, // 30 requests por ventana (3 por minuto promedio)
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
+const uploadLimiter = createLimiter('upload', {
+  message: (retryAfter) => ({
     error: 'Demasiadas operaciones de procesamiento. Por favor espera antes de procesar más archivos.',
     code: 'UPLOAD_RATE_LIMIT_EXCEEDED',
-    retryAfter: '10 minutos',
+    retryAfter,
     hint: 'Este límite protege el servidor de sobrecarga. Contacta soporte si necesitas mayor capacidad.'
-  },
-  skip: (req) => {
-    if (process.env.NODE_ENV === 'development') {
-      const ip = req.ip || req.connection.remoteAddress;
-      return ip === '::1' || ip === '127.0.0.1' || ip === 'localhost';
-    }
-    return false;
-  }
+  }),
+  skip: skipIpLimit
 });
 
 /**
  * Rate limiter muy estricto para operaciones OCR
  * OCR es extremadamente costoso en CPU y tiempo
  */
-const ocrLimiter = rateLimit({
-  windowMs: 30 * 60 * 1000, // 30 minutos
-  max: 10, // 10 requests por ventana
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
+const ocrLimiter = createLimiter('ocr', {
+  message: (retryAfter) => ({
     error: 'Límite de operaciones OCR alcanzado. El OCR es un proceso muy costoso.',
     code: 'OCR_RATE_LIMIT_EXCEEDED',
-    retryAfter: '30 minutos',
+    retryAfter,
     hint: 'OCR consume muchos recursos. Procesa tus documentos en lotes para mayor eficiencia.'
-  },
-  skip: (req) => {
-    if (process.env.NODE_ENV === 'development') {
-      const ip = req.ip || req.connection.remoteAddress;
-      return ip === '::1' || ip === '127.0.0.1' || ip === 'localhost';
-    }
-    return false;
-  }
+  }),
+  skip: skipIpLimit
 });
 
 /**
  * Rate limiter permisivo para health checks
  * Permite monitoreo frecuente sin bloquear
  */
-const healthCheckLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minuto
-  max: 60, // 60 requests por minuto
-  standardHeaders: true,
-  legacyHeaders: false,
+const healthCheckLimiter = createLimiter('health', {
   message: {
     error: 'Demasiados health checks',
     code: 'HEALTH_CHECK_RATE_LIMIT_EXCEEDED'
@@ -91,29 +164,64 @@ const healthCheckLimiter = rateLimit({
  * Rate limiter para descarga de archivos
  * Previene descarga masiva automatizada
  */
-const downloadLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutos
-  max: 50, // 50 descargas por ventana
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
+const downloadLimiter = createLimiter('download', {
+  message: (retryAfter) => ({
     error: 'Demasiadas descargas en poco tiempo.',
     code: 'DOWNLOAD_RATE_LIMIT_EXCEEDED',
-    retryAfter: '5 minutos'
-  },
-  skip: (req) => {
-    if (process.env.NODE_ENV === 'development') {
-      const ip = req.ip || req.connection.remoteAddress;
-      return ip === '::1' || ip === '127.0.0.1' || ip === 'localhost';
-    }
-    return false;
-  }
+    retryAfter
+  }),
+  skip: skipIpLimit
 });
 
+/**
+ * Rate limiter para consultar el estado de trabajos asíncronos
+ * El cliente hace polling, así que es más permisivo que apiLimiter
+ */
+const jobStatusLimiter = createLimiter('job_status', {
+  message: (retryAfter) => ({
+    error: 'Demasiadas consultas de estado. Reduce la frecuencia de polling.',
+    code: 'JOB_STATUS_RATE_LIMIT_EXCEEDED',
+    retryAfter
+  })
+});
+
+/**
+ * Rate limiter para los chunks de las subidas por partes
+ * Un archivo grande son cientos de PUT: el límite va por bytes más que por peticiones
+ */
+const chunkUploadLimiter = createLimiter('chunk_upload', {
+  message: (retryAfter) => ({
+    error: 'Demasiadas peticiones de subida. Espera antes de continuar con los chunks pendientes.',
+    code: 'CHUNK_UPLOAD_RATE_LIMIT_EXCEEDED',
+    retryAfter
+  }),
+  skip: skipIpLimit
+});
+
+/**
+ * Aplica un limiter desde dentro de una ruta, cuando solo se sabe tras procesar parte de la
+ * petición si cuenta (p.ej. ocrLimiter en la censura cuando una página necesita OCR)
+ * @returns {Promise<boolean>} - false si el limiter la ha rechazado: el 429 ya está respondido
+ */
+async function applyLimiter(limiter, req, res) {
+  let passed = false;
+  let failure = null;
+  await limiter(req, res, (error) => {
+    if (error) failure = error;
+    else passed = true;
+  });
+  if (failure) throw failure;
+  return passed;
+}
+
 module.exports = {
   apiLimiter,
   uploadLimiter,
   ocrLimiter,
   healthCheckLimiter,
-  downloadLimiter
+  downloadLimiter,
+  jobStatusLimiter,
+  chunkUploadLimiter,
+  applyLimiter,
+  isLocalDevelopment
 };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { logger, runWithContext, setContext, addSecret, bindContext, SECRET_KEY_PATTERN } = require('../utils/logger.utils');
+const { routeLabel } = require('../utils/http.utils');
+
+// X-Request-Id entrante aceptado tal cual (el de un proxy o del cliente) si tiene un formato razonable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Registra como secretos de la petición los campos sensibles del body
+ * (password, certificatePassword...): no aparecerán en ningún log.
+ * Recorre también objetos anidados y campos JSON de un multipart (los steps del pipeline).
+ */
+function registerBodySecrets(body, depth = 0) {
+  if (!body || typeof body !== 'object' || depth > 5) return;
+
+  for (const [key, value] of Object.entries(body)) {
+    if (SECRET_KEY_PATTERN.test(key) && typeof value !== 'object') {
+      addSecret(String(value));
+    } else if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try {
+        registerBodySecrets(JSON.parse(value), depth + 1);
+      } catch (e) {
+        // No es JSON: un campo de texto normal
+      }
+    } else {
+      registerBodySecrets(value, depth + 1);
+    }
+  }
+}
+
+/**
+ * Asigna un X-Request-Id a cada petición (o respeta el que llega), lo devuelve en la
+ * respuesta y abre el contexto de logs: todas las líneas de la petición llevan requestId,
+ * método, ruta y, cuando se genera, el fileId. Al terminar escribe una línea con el
+ * estado, la duración y los bytes.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startTime = process.hrtime.bigint();
+  const elapsedMs = () => Math.round(Number(process.hrtime.bigint() - startTime) / 1e6);
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId, method: req.method, route: req.path }, () => {
+    // Los campos de un multipart solo existen cuando multer termina
+    req.afterUpload = req.afterUpload || [];
+    req.afterUpload.push(async (req) => {
+      registerBodySecrets(req.body);
+      setContext({ route: routeLabel(req) });
+    });
+
+    res.on('jobFinished', bindContext((statusCode) => {
+      logger.info('Job finished', { status: statusCode, durationMs: elapsedMs() });
+    }));
+
+    // 'finish' se emite desde el socket, fuera del contexto async de la petición
+    res.on('finish', bindContext(() => {
+      // Sin ruta que coincida (404) se queda la URL: en los logs es más útil que 'unmatched'
+      const route = routeLabel(req);
+      if (route !== 'unmatched') setContext({ route });
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      logger[level]('Request completed', {
+        status,
+        durationMs: elapsedMs(),
+        bytesIn: parseInt(req.get('Content-Length')) || 0,
+        bytesOut: parseInt(res.get('Content-Length')) || undefined,
+        ip: req.ip
+      });
+    }));
+
+    next();
+  });
+}
+
+/**
+ * Envuelve un body parser (express.json): continúa desde un evento del stream, donde se
+ * perdería el contexto de logs, y registra los secretos del body ya parseado
+ */
+function withLogContext(parser) {
+  return (req, res, next) => parser(req, res, bindContext((err) => {
+    registerBodySecrets(req.body);
+    next(err);
+  }));
+}
+
+module.exports = { requestLogger, withLogContext };
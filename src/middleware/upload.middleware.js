@@ -1,6 +1,16 @@
 const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { cleanupFiles } = require('../utils/cleanup.utils');
+const fileStore = require('../services/file-store.service');
+const apiKeyService = require('../services/api-key.service');
+const { bindContext } = require('../utils/logger.utils');
+const { detectFileType, resolveAcceptedTypes } = require('../utils/file-type.utils');
+const { decompressUploads, COMPRESSED_EXTENSION } = require('./decompress.middleware');
+
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
 
 /**
  * Sanitiza el nombre de archivo para prevenir path traversal
@@ -39,20 +49,25 @@ function sanitizeFilename(filename) {
   return safe;
 }
 
-const storage = multer.diskStorage({
-  destination: path.join(__dirname, '../../uploads'),
-  filename: (req, file, cb) => {
-    // Sanitizar nombre original
-    const safeName = sanitizeFilename(file.originalname);
+/**
+ * Nombre único en disco para un archivo recibido
+ * Formato: timestamp-randomid-nombreoriginal.ext
+ */
+function generateStoredName(originalName) {
+  // Sanitizar nombre original
+  const safeName = sanitizeFilename(originalName);
 
-    // Generar ID único criptográficamente seguro
-    const uniqueId = crypto.randomBytes(8).toString('hex');
-    const timestamp = Date.now();
+  // Generar ID único criptográficamente seguro
+  const uniqueId = crypto.randomBytes(8).toString('hex');
+  const timestamp = Date.now();
 
-    // Formato: timestamp-randomid-nombreoriginal.ext
-    const uniqueName = `${timestamp}-${uniqueId}-${safeName}`;
+  return `${timestamp}-${uniqueId}-${safeName}`;
+}
 
-    cb(null, uniqueName);
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  filename: (req, file, cb) => {
+    cb(null, generateStoredName(file.originalname));
   }
 });
 
@@ -66,38 +81,353 @@ const ALLOWED_EXTENSIONS = new Set([
   '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.tif', '.webp',
   // HTML
   '.html', '.htm',
-  // Comprimidos
-  '.gz'
+  // Certificados de firma (PKCS#12)
+  '.p12', '.pfx',
+  // Listas de términos (censure-pdf)
+  '.txt', '.csv',
+  // Comprimidos (gzip, brotli, zstd)
+  '.gz', '.br', '.zst'
 ]);
 
 /**
- * Validador de tipo de archivo
+ * Comprueba la extensión contra la whitelist
+ * @returns {Error|null} - Error descriptivo si no está permitida
  */
-function fileFilter(req, file, cb) {
+function checkExtension(fileName) {
   // Obtener extensión del archivo sanitizado
-  const originalExt = path.extname(file.originalname).toLowerCase();
+  const originalExt = path.extname(fileName).toLowerCase();
 
-  // Quitar .gz si es comprimido para verificar la extensión real
-  const realExt = originalExt === '.gz'
-    ? path.extname(file.originalname.replace(/\.gz$/i, '')).toLowerCase()
+  // Quitar .gz/.br/.zst si es comprimido para verificar la extensión real
+  const realExt = COMPRESSED_EXTENSION.test(fileName)
+    ? path.extname(fileName.replace(COMPRESSED_EXTENSION, '')).toLowerCase()
     : originalExt;
 
   // Verificar si la extensión está permitida
   if (ALLOWED_EXTENSIONS.has(realExt) || ALLOWED_EXTENSIONS.has(originalExt)) {
-    cb(null, true);
+    return null;
+  }
+  return new Error(`Tipo de archivo no permitido: ${originalExt}. Extensiones permitidas: ${Array.from(ALLOWED_EXTENSIONS).join(', ')}`);
+}
+
+/**
+ * Validador de tipo de archivo
+ */
+function fileFilter(req, file, cb) {
+  const error = checkExtension(file.originalname);
+  if (error) {
+    cb(error);
   } else {
-    cb(new Error(`Tipo de archivo no permitido: ${originalExt}. Extensiones permitidas: ${Array.from(ALLOWED_EXTENSIONS).join(', ')}`));
+    cb(null, true);
   }
 }
 
-module.exports = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 150 * 1024 * 1024, // 150MB
-    files: 50
+// Tamaño máximo por archivo sin API key (con clave manda maxFileSize del plan)
+const MAX_FILE_SIZE = 150 * 1024 * 1024; // 150MB
+
+// Una instancia de multer por tamaño máximo (el del anónimo y el de cada plan)
+const multerBySize = new Map();
+
+function getMulter(maxFileSize) {
+  if (!multerBySize.has(maxFileSize)) {
+    multerBySize.set(maxFileSize, multer({
+      storage,
+      fileFilter,
+      limits: {
+        fileSize: maxFileSize,
+        files: 50
+      }
+    }));
   }
-});
+  return multerBySize.get(maxFileSize);
+}
+
+const getMaxFileSize = (req) => (req.apiKey ? req.apiKey.limits.maxFileSize : MAX_FILE_SIZE);
+
+function fileTooLargeError(maxFileSize) {
+  return sourceFileError(`El archivo supera el máximo de ${Math.round(maxFileSize / 1024 / 1024)}MB`, 413, 'FILE_TOO_LARGE');
+}
+
+function sourceFileError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normaliza el valor de sourceFileId del body a un array de IDs.
+ * Acepta un ID, el campo repetido, un array JSON o una lista separada por comas.
+ */
+function parseSourceIds(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(parseSourceIds);
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return parseSourceIds(JSON.parse(text));
+    } catch (e) {
+      throw sourceFileError('Formato de sourceFileId inválido', 400, 'INVALID_SOURCE_FILE_ID');
+    }
+  }
+  return text.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Agrupa los sourceFileId del body por campo de archivo.
+ * - sourceFileId=<id>                → campo principal de la ruta
+ * - sourceFileId[<campo>]=<id>       → campo concreto (p.ej. file-0, watermarkImage)
+ */
+function getSourceIdsByField(req, defaultField) {
+  const value = req.body?.sourceFileId;
+  if (!value) return {};
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const byField = {};
+    for (const [field, ids] of Object.entries(value)) {
+      byField[field] = parseSourceIds(ids);
+    }
+    return byField;
+  }
+
+  return { [defaultField]: parseSourceIds(value) };
+}
+
+/**
+ * Copia un archivo del FileStore a uploads/ y devuelve un objeto con la misma
+ * forma que los de multer, así las rutas lo procesan y limpian como cualquier subida.
+ * Reutilizar un archivo cuenta como una descarga (maxDownloads) y los que exigen
+ * enlace firmado no se pueden usar como origen.
+ */
+async function materializeSourceFile(fileId, fieldname) {
+  let stored;
+  try {
+    stored = await fileStore.consumeDownload(fileId);
+  } catch (error) {
+    if (error.code === 'FILE_NOT_FOUND') {
+      throw sourceFileError(`Archivo de origen no encontrado o expirado: ${fileId}`, 404, 'SOURCE_FILE_NOT_FOUND');
+    }
+    throw error;
+  }
+
+  const extensionError = checkExtension(stored.fileName);
+  if (extensionError) {
+    extensionError.status = 400;
+    extensionError.code = 'UNSUPPORTED_SOURCE_FILE';
+    throw extensionError;
+  }
+
+  const filename = generateStoredName(stored.fileName);
+  const destination = path.join(UPLOAD_DIR, filename);
+
+  try {
+    await pipeline(await fileStore.createReadStream(stored), fs.createWriteStream(destination));
+  } catch (error) {
+    await cleanupFiles([destination]);
+    throw sourceFileError(`Archivo de origen no encontrado o expirado: ${fileId}`, 404, 'SOURCE_FILE_NOT_FOUND');
+  }
+
+  await fileStore.releaseIfExhausted(fileId);
+
+  console.log(`[Upload] Source file ${fileId} -> ${fieldname} (${stored.fileName})`);
+
+  return {
+    fieldname,
+    originalname: stored.fileName,
+    encoding: '7bit',
+    mimetype: stored.mimeType,
+    destination: UPLOAD_DIR,
+    filename,
+    path: destination,
+    size: stored.size,
+    sourceFileId: fileId
+  };
+}
+
+/**
+ * Resuelve los sourceFileId del body y los añade a req.file/req.files según el
+ * modo de multer, respetando los mismos límites que una subida normal.
+ * Los archivos subidos tienen prioridad: en campos de un solo archivo el
+ * sourceFileId solo se usa si no llegó nada en el multipart.
+ *
+ * @param {object} mode - { type: 'single'|'array'|'fields'|'any', field, maxCount, fields }
+ */
+async function resolveSourceFiles(req, mode) {
+  if (mode.type === 'none') return;
+
+  const defaultField = mode.type === 'fields' ? mode.fields[0].name : (mode.field || 'file');
+  const byField = getSourceIdsByField(req, defaultField);
+
+  for (const [field, ids] of Object.entries(byField)) {
+    if (ids.length === 0) continue;
+
+    if (mode.type === 'single') {
+      if (field !== mode.field || req.file) continue;
+      if (ids.length > 1) {
+        throw sourceFileError('Esta ruta acepta un solo sourceFileId', 400, 'INVALID_SOURCE_FILE_ID');
+      }
+      req.file = await materializeSourceFile(ids[0], field);
+      continue;
+    }
+
+    if (mode.type === 'array' || mode.type === 'any') {
+      if (mode.type === 'array' && field !== mode.field) continue;
+      req.files = req.files || [];
+      if (mode.maxCount && req.files.length + ids.length > mode.maxCount) {
+        throw sourceFileError(`Máximo ${mode.maxCount} archivos`, 400, 'LIMIT_FILE_COUNT');
+      }
+      for (const id of ids) {
+        req.files.push(await materializeSourceFile(id, field));
+      }
+      continue;
+    }
+
+    // fields: solo los campos declarados por la ruta
+    const declared = mode.fields.find(f => f.name === field);
+    if (!declared) continue;
+    req.files = req.files || {};
+    const current = req.files[field] || [];
+    if (declared.maxCount && current.length + ids.length > declared.maxCount) {
+      throw sourceFileError(`Máximo ${declared.maxCount} archivos en ${field}`, 400, 'LIMIT_FILE_COUNT');
+    }
+    for (const id of ids) {
+      current.push(await materializeSourceFile(id, field));
+    }
+    req.files[field] = current;
+  }
+}
+
+/**
+ * Aplica el tamaño máximo a los archivos ya descomprimidos y a los de sourceFileId (multer
+ * solo limita lo que llega en el multipart) y anota los bytes en el uso de la clave
+ */
+async function checkFileSizes(req) {
+  const maxFileSize = getMaxFileSize(req);
+  const files = req.file
+    ? [req.file]
+    : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+  for (const file of files) {
+    if (file.size > maxFileSize) throw fileTooLargeError(maxFileSize);
+  }
+
+  if (req.apiKey) {
+    await apiKeyService.recordUpload(req.apiKey, files.reduce((sum, file) => sum + file.size, 0));
+  }
+}
+
+/**
+ * Tipos de contenido que admite un campo según las opciones de la ruta
+ * (accept en single/array/any, o en cada campo de fields)
+ * @returns {string[]|null} - null si la ruta no restringe el contenido
+ */
+function getAcceptedTypes(mode, field) {
+  const accept = mode.type === 'fields'
+    ? mode.fields.find(f => f.name === field)?.accept
+    : mode.accept;
+  return accept ? resolveAcceptedTypes(accept) : null;
+}
+
+/**
+ * Comprueba por magic bytes que cada archivo (subido o de sourceFileId) es del tipo
+ * que espera la ruta, antes de que ninguna herramienta lo toque.
+ * @throws {Error} - 415 UNSUPPORTED_CONTENT con el detalle del archivo rechazado
+ */
+async function validateContent(req, mode) {
+  const files = req.file
+    ? [req.file]
+    : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+  for (const file of files) {
+    const accepted = getAcceptedTypes(mode, file.fieldname);
+    if (!accepted) continue;
+
+    const detectedType = await detectFileType(file.path);
+    file.detectedType = detectedType;
+    if (accepted.includes(detectedType)) continue;
+
+    console.warn(`[Upload] Rejected ${file.originalname} (${file.fieldname}): detected ${detectedType || 'unknown'}, expected ${accepted.join('|')}`);
+    const error = sourceFileError(
+      `El contenido de "${file.originalname}" no corresponde a un tipo admitido (${accepted.join(', ')})`,
+      415,
+      'UNSUPPORTED_CONTENT'
+    );
+    error.details = {
+      field: file.fieldname,
+      fileName: file.originalname,
+      detectedType: detectedType || 'unknown',
+      expectedTypes: accepted
+    };
+    throw error;
+  }
+}
+
+/**
+ * Ejecuta los hooks registrados en req.afterUpload una vez multer terminó
+ * de recibir el multipart (req.body y req.file/req.files ya disponibles).
+ * Otros middlewares (p.ej. la cola de trabajos) se enganchan aquí para
+ * actuar antes de que la ruta empiece a procesar.
+ */
+async function runAfterUploadHooks(req, res) {
+  for (const hook of req.afterUpload || []) {
+    await hook(req, res);
+  }
+}
+
+/**
+ * Envuelve un middleware de multer para resolver los sourceFileId, descomprimir
+ * y validar el contenido de los archivos y ejecutar los hooks post-upload.
+ * Si algo falla se eliminan los archivos recibidos y se delega el error.
+ */
+function withAfterUpload(buildMiddleware, mode) {
+  return (req, res, next) => {
+    const maxFileSize = getMaxFileSize(req);
+
+    // multer termina en un evento del stream: bindContext conserva el contexto de logs
+    buildMiddleware(getMulter(maxFileSize))(req, res, bindContext((err) => {
+      if (err) {
+        return next(err.code === 'LIMIT_FILE_SIZE' ? fileTooLargeError(maxFileSize) : err);
+      }
+
+      resolveSourceFiles(req, mode)
+        // Los tamaños se comprueban ya descomprimidos: un .gz pequeño no esquiva el límite
+        .then(() => decompressUploads(req, getMaxFileSize(req)))
+        .then(() => checkFileSizes(req))
+        .then(() => validateContent(req, mode))
+        .then(() => runAfterUploadHooks(req, res))
+        .then(() => next())
+        .catch(async (hookError) => {
+          await cleanupFiles(getUploadedPaths(req));
+          next(hookError);
+        });
+    }));
+  };
+}
+
+/**
+ * Rutas de todos los archivos recibidos, sea cual sea el modo de multer
+ */
+function getUploadedPaths(req) {
+  if (req.file) return [req.file.path];
+  if (Array.isArray(req.files)) return req.files.map(f => f.path);
+  if (req.files) return Object.values(req.files).flat().map(f => f.path);
+  return [];
+}
+
+/**
+ * options.accept (y accept en cada campo de fields): grupos o tipos de contenido
+ * que admite la ruta, ver TYPE_GROUPS en file-type.utils. Sin accept no se valida.
+ */
+module.exports = {
+  single: (fieldName, options = {}) => withAfterUpload(m => m.single(fieldName), { type: 'single', field: fieldName, accept: options.accept }),
+  array: (fieldName, maxCount, options = {}) => withAfterUpload(m => m.array(fieldName, maxCount), { type: 'array', field: fieldName, maxCount, accept: options.accept }),
+  fields: (fields) => withAfterUpload(m => m.fields(fields.map(({ name, maxCount }) => ({ name, maxCount }))), { type: 'fields', fields }),
+  any: (options = {}) => withAfterUpload(m => m.any(), { type: 'any', field: 'file', maxCount: 50, accept: options.accept }),
+  none: () => withAfterUpload(m => m.none(), { type: 'none' })
+};
 
 // Exportar función de sanitización para usar en otras partes
-module.exports.sanitizeFilename = sanitizeFilename;
\ No newline at end of file
+module.exports.sanitizeFilename = sanitizeFilename;
+module.exports.getUploadedPaths = getUploadedPaths;
+module.exports.checkExtension = checkExtension;
+module.exports.getMaxFileSize = getMaxFileSize;
\ No newline at end of file
@@ -3,19 +3,49 @@ const router = express.Router();
 const upload = require('../middleware/upload.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
+const redactionService = require('../services/redaction.service');
+const sanitizeService = require('../services/sanitize.service');
+const ocrService = require('../services/ocr.service');
+const apiKeyService = require('../services/api-key.service');
+const ruleMatcherService = require('../services/rule-matcher.service');
+const jobQueue = require('../services/job-queue.service');
+const { ocrLimiter, applyLimiter } = require('../middleware/rate-limit.middleware');
+const { chargeCost, TOOL_WEIGHTS } = require('../middleware/cost-limit.middleware');
+const {
+  parsePatterns,
+  parseTerms,
+  buildRules,
+  describeDetectors
+} = require('../utils/sensitive-data.utils');
+const { buildCharWidths, buildLines, buildOcrLines, substringBox } = require('../utils/text-layout.utils');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
 
-const gunzip = promisify(zlib.gunzip);
+// Regla que acepta cualquier palabra (verificación posterior a la censura)
+const ANY_TEXT_RULE = { id: 'any', type: 'text', variants: [{ regex: /\S+/g }] };
 
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
+// Modos de censura: eliminar contenido vectorial o rasterizar las páginas
+const REDACTION_MODES = ['vector', 'rasterize'];
+
+// OCR en la búsqueda: solo páginas sin capa de texto, todas las páginas o nunca
+const SEARCH_OCR_MODES = ['auto', 'force', 'off'];
+
+// Resolución con la que se renderizan las páginas para el OCR de la búsqueda
+const SEARCH_OCR_DPI = 300;
+
+/**
+ * Idiomas de OCR: JSON array, lista separada por comas o "spa+eng"
+ */
+function parseLanguages(value) {
+  if (!value) return ['spa', 'eng'];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (e) {
+    // No es JSON
   }
-  return buffer;
+  return String(value).split(/[,+]/).map(l => l.trim()).filter(Boolean);
 }
 
 /**
@@ -36,24 +66,49 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               searchType:
  *                 type: string
- *                 enum: [text, creditCard, phone, email, dni, all]
- *                 description: Tipo de búsqueda
+ *                 description: |
+ *                   Tipo de búsqueda: text, creditCard, iban, dni, cif, passport, dateOfBirth, email, phone o all.
+ *                   Se pueden combinar varios separados por comas (p.ej. 'iban,dni').
  *                 default: text
  *               searchText:
  *                 type: string
  *                 description: Texto a buscar (requerido si searchType es 'text')
+ *               patterns:
+ *                 type: string
+ *                 description: Array JSON de expresiones regulares (strings o { name, pattern, flags }), máximo 20
+ *                 example: '[{"name":"expediente","pattern":"EXP-\\d{6}"}]'
+ *               terms:
+ *                 type: string
+ *                 description: Lista de términos (array JSON o uno por línea)
+ *               termsFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Lista de términos en .txt o .csv (un término por línea, primera columna)
  *               caseSensitive:
  *                 type: string
  *                 enum: ['true', 'false']
  *                 description: Búsqueda sensible a mayúsculas
  *                 default: 'false'
+ *               ocr:
+ *                 type: string
+ *                 enum: ['auto', 'force', 'off']
+ *                 description: |
+ *                   OCR de las páginas escaneadas: 'auto' solo en páginas sin capa de texto,
+ *                   'force' en todas (ignora el texto existente), 'off' nunca
+ *                 default: auto
+ *               ocrLanguages:
+ *                 type: string
+ *                 description: Idiomas de OCR, p.ej. 'spa,eng'
+ *                 default: spa,eng
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Búsqueda completada
@@ -79,16 +134,54 @@ async function decompressIfNeeded(buffer, fileName) {
  *                         type: number
  *                       height:
  *                         type: number
+ *                       pdfRect:
+ *                         type: object
+ *                         description: Caja en coordenadas PDF (origen abajo a la izquierda), lista para usar en redactions
+ *                         properties:
+ *                           x:
+ *                             type: number
+ *                           y:
+ *                             type: number
+ *                           width:
+ *                             type: number
+ *                           height:
+ *                             type: number
  *                       text:
  *                         type: string
+ *                         description: Línea completa donde está el match
+ *                       value:
+ *                         type: string
+ *                         description: Texto encontrado
  *                       type:
  *                         type: string
+ *                       rule:
+ *                         type: string
+ *                         description: Regla que lo encontró (p.ej. iban, pattern:expediente, dictionary:clientes.txt)
+ *                       source:
+ *                         type: string
+ *                         enum: [text, ocr]
+ *                         description: Capa de texto del PDF o texto reconocido por OCR (caja aproximada por palabra)
  *                 totalMatches:
  *                   type: number
  *                 pagesSummary:
  *                   type: object
+ *                 ocr:
+ *                   type: object
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                     pages:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       description: Páginas en las que se ha buscado sobre el texto reconocido
+ *                     failedPages:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       description: Páginas sin texto en las que el OCR no se pudo ejecutar
  *       400:
- *         description: Parámetros inválidos
+ *         description: Parámetros inválidos, patrón no válido (INVALID_PATTERN) o modo de OCR no válido (INVALID_OCR_MODE)
  *         content:
  *           application/json:
  *             schema:
@@ -100,42 +193,101 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/search', upload.single('file'), async (req, res) => {
-  const tempFiles = req.file ? [req.file.path] : [];
+router.post('/search', upload.fields([
+  { name: 'file', maxCount: 1, accept: ['pdf'] },
+  { name: 'termsFile', maxCount: 1, accept: ['text'] }
+]), async (req, res) => {
+  const pdfFile = req.files?.file?.[0];
+  const termsFile = req.files?.termsFile?.[0];
+  const tempFiles = [pdfFile, termsFile].filter(Boolean).map(f => f.path);
   
   try {
-    if (!req.file) {
+    if (!pdfFile) {
+      await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Archivo PDF requerido' });
     }
 
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    const originalName = pdfFile.originalname;
     if (!originalName.match(/\.pdf$/i)) {
       await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Solo archivos .pdf' });
     }
 
-    // Descomprimir si es necesario
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
-
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.pdf';
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
+    if (termsFile && !termsFile.originalname.match(/\.(txt|csv)$/i)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'La lista de términos debe ser .txt o .csv' });
     }
 
     const searchType = req.body.searchType || 'text';
     const searchText = req.body.searchText || '';
     const caseSensitive = req.body.caseSensitive === 'true';
+    const ocrMode = req.body.ocr || 'auto';
 
-    console.log(`[Redact Search] Type: ${searchType}, Text: "${searchText}", Case: ${caseSensitive}`);
+    if (!SEARCH_OCR_MODES.includes(ocrMode)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({
+        error: `ocr inválido. Valores permitidos: ${SEARCH_OCR_MODES.join(', ')}`,
+        code: 'INVALID_OCR_MODE'
+      });
+    }
+
+    // Reglas: detectores integrados + patrones y términos del usuario
+    let spec;
+    let rules;
+    try {
+      spec = {
+        searchType,
+        searchText,
+        caseSensitive,
+        patterns: req.body.patterns,
+        terms: [
+          ...parseTerms(req.body.terms),
+          ...(termsFile ? parseTerms(await fs.readFile(termsFile.path)) : [])
+        ],
+        termsName: termsFile ? termsFile.originalname : 'terms'
+      };
+      rules = buildRules({ ...spec, patterns: parsePatterns(spec.patterns) });
+    } catch (e) {
+      await cleanupFiles(tempFiles);
+      return res.status(e.status || 400).json({ error: e.message, code: e.code });
+    }
 
-    // Buscar matches usando pdf.js
-    const matches = await findTextMatches(inputPath, searchType, searchText, caseSensitive);
+    if (rules.length === 0) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'Indica searchText, un searchType, patterns o una lista de términos' });
+    }
+
+    const inputPath = pdfFile.path;
+
+    console.log(`[Redact Search] Type: ${searchType}, Rules: ${rules.map(r => r.id).join(', ')}, Case: ${caseSensitive}, OCR: ${ocrMode}`);
+
+    // Buscar matches usando pdf.js (y OCR en las páginas escaneadas). Los patrones del
+    // usuario se ejecutan en un worker con tiempo límite
+    const matcher = ruleMatcherService.createMatcher(spec, rules);
+    let releaseOcr = null;
+    let matches;
+    let ocr;
+    try {
+      ({ matches, ocr } = await findTextMatches(inputPath, matcher, {
+        ocr: ocrMode,
+        ocrLanguages: parseLanguages(req.body.ocrLanguages),
+        workDir: path.dirname(pdfFile.path),
+        // Solo las páginas que de verdad necesitan OCR gastan cupo y coste, antes de reconocerlas.
+        // La primera cuenta en ocrLimiter y espera un hueco de la familia ocr
+        beforeOcr: async () => {
+          if (!releaseOcr) {
+            if (!await applyLimiter(ocrLimiter, req, res)) throw ocrRejectedError();
+            await chargeOcrPages(req, res, 1);
+            releaseOcr = await jobQueue.acquire('ocr');
+          } else {
+            await chargeOcrPages(req, res, 1);
+          }
+        }
+      }));
+    } finally {
+      if (releaseOcr) releaseOcr();
+      await matcher.close();
+    }
 
     // Agrupar por página
     const pagesSummary = {};
@@ -151,12 +303,19 @@ router.post('/search', upload.single('file'), async (req, res) => {
       success: true,
       matches,
       totalMatches: matches.length,
-      pagesSummary
+      pagesSummary,
+      ocr
     });
 
   } catch (error) {
-    console.error('[Redact Search] Error:', error);
     await cleanupFiles(tempFiles);
+    if (error.code === 'OCR_LIMITER_REJECTED') return;
+
+    console.error('[Redact Search] Error:', error);
+    // PATTERN_TIMEOUT, OCR_QUOTA_EXCEEDED, COST_LIMIT_EXCEEDED, QUEUE_FULL...
+    if (error.status && error.code) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     res.status(500).json({ 
       error: 'Error al buscar en el PDF', 
       details: error.message 
@@ -166,13 +325,23 @@ router.post('/search', upload.single('file'), async (req, res) => {
 
 /**
  * POST /api/worker/censure-pdf
- * Aplica censuras (rectángulos negros) sobre áreas específicas o páginas completas
+ * Redacta áreas específicas o páginas completas: elimina el texto, las imágenes y los
+ * trazados que hay debajo y después dibuja el rectángulo encima. Antes de guardar el
+ * resultado se vuelve a extraer el texto para comprobar que no queda nada en las áreas.
  * 
  * Body params:
  * - file: archivo PDF
  * - redactions: JSON string con array de rectángulos a censurar
  * - fullPages: JSON string con array de números de página a censurar completamente (opcional)
  * - fileName: nombre del archivo de salida (opcional)
+ * - mode: 'vector' (default) elimina el contenido bajo cada área; 'rasterize' convierte las
+ *   páginas afectadas en imagen con las censuras pintadas sobre el bitmap
+ * - rasterizePages: 'affected' (default) | 'all' (solo mode=rasterize)
+ * - dpi: resolución de la rasterización, 72-600 (default: 200)
+ * - ocr: 'true' para pasar OCR tras rasterizar y recuperar el texto no censurado
+ * - ocrLanguages: idiomas de OCR, p.ej. 'spa,eng' (default)
+ * - sanitize: 'true' para eliminar además metadatos, adjuntos, JavaScript, comentarios
+ *   e historial (igual que /api/sanitize-pdf)
  * - compressed: 'true' si el archivo viene comprimido con gzip
  * 
  * Formato de redactions:
@@ -196,10 +365,18 @@ router.post('/search', upload.single('file'), async (req, res) => {
  *   resultSize: 1345678,
  *   redactionsApplied: 15,
  *   fullPagesCensored: [2, 5],
- *   pages: [1, 2, 3, 5]
+ *   pages: [1, 2, 3, 5],
+ *   mode: "vector",
+ *   removed: { textGlyphsRemoved: 120, imagesRedacted: 1, imagesRemoved: 0, pathsRemoved: 2, annotationsRemoved: 0 },
+ *   rasterization: { rasterizedPages: [1, 3], dpi: 200, ocrApplied: true },  // solo mode=rasterize
+ *   verification: { passed: true, remainingMatches: 0 },
+ *   sanitization: { documentInfo: ['Author'], ... }  // solo con sanitize=true
  * }
+ *
+ * Si tras redactar sigue habiendo texto extraíble en alguna área se responde 500
+ * con code REDACTION_VERIFICATION_FAILED y no se guarda el archivo.
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   const outputDir = path.join(__dirname, '../../outputs');
   
@@ -208,7 +385,7 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Archivo PDF requerido' });
     }
 
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    const originalName = req.file.originalname;
     if (!originalName.match(/\.pdf$/i)) {
       await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Solo archivos .pdf' });
@@ -250,36 +427,34 @@ router.post('/', upload.single('file'), async (req, res) => {
       });
     }
 
+    const mode = req.body.mode || 'vector';
+    if (!REDACTION_MODES.includes(mode)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({
+        error: `Modo inválido: ${mode}. Disponibles: ${REDACTION_MODES.join(', ')}`,
+        code: 'INVALID_MODE'
+      });
+    }
+
     // Nombre de salida
     const outputFileName = req.body.fileName || originalName.replace(/\.pdf$/i, '-censurado.pdf');
 
-    // Descomprimir si es necesario
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
-
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.pdf';
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
-    
+    const inputPath = req.file.path;
+
     // Obtener tamaño original
     const originalStats = await fs.stat(inputPath);
     const originalSize = originalStats.size;
 
     console.log(`[Redact] Processing: ${originalName}`);
-    console.log(`[Redact] Redactions: ${redactions.length}, Full pages: ${fullPages.length}`);
+    console.log(`[Redact] Redactions: ${redactions.length}, Full pages: ${fullPages.length}, Mode: ${mode}`);
 
     const startTime = Date.now();
 
     // Cargar PDF con pdf-lib
     const { PDFDocument, rgb } = require('pdf-lib');
     const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const sanitize = req.body.sanitize === 'true';
+    let pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: !sanitize });
     
     const totalPages = pdfDoc.getPageCount();
     console.log(`[Redact] Total pages: ${totalPages}`);
@@ -306,57 +481,113 @@ router.post('/', upload.single('file'), async (req, res) => {
     }
 
     const pagesWithRedactions = new Set();
+    let removed;
+    let rasterization;
 
-    // Aplicar censuras de rectángulos
-    for (const red of redactions) {
-      console.log(`[Redact] Applying redaction to page ${red.pageNumber} at (${red.x}, ${red.y})`);
-      
-      const page = pdfDoc.getPage(red.pageNumber - 1);
-      
-      // Convertir color hex a RGB
-      let color = { r: 0, g: 0, b: 0 }; // Negro por defecto
-      if (red.color && red.color.startsWith('#')) {
-        const hex = red.color.replace('#', '');
-        color.r = parseInt(hex.substring(0, 2), 16) / 255;
-        color.g = parseInt(hex.substring(2, 4), 16) / 255;
-        color.b = parseInt(hex.substring(4, 6), 16) / 255;
+    // El OCR tras rasterizar procesa todas las páginas: cuenta como una petición de OCR y se
+    // descuentan del cupo de la clave y del presupuesto de coste antes de rasterizar
+    if (mode === 'rasterize' && req.body.ocr === 'true') {
+      if (!await applyLimiter(ocrLimiter, req, res)) {
+        await cleanupFiles(tempFiles);
+        return;
+      }
+      try {
+        await chargeOcrPages(req, res, totalPages);
+      } catch (e) {
+        await cleanupFiles(tempFiles);
+        return res.status(e.status).json({ error: e.message, code: e.code });
       }
+    }
 
-      // Dibujar rectángulo opaco
-      page.drawRectangle({
-        x: red.x,
-        y: red.y,
-        width: red.width,
-        height: red.height,
-        color: rgb(color.r, color.g, color.b),
-        opacity: 1.0,
-        borderWidth: 0
+    if (mode === 'rasterize') {
+      // Renderizar las páginas y pintar las censuras sobre el bitmap
+      rasterization = await redactionService.rasterizePdf(pdfDoc, inputPath, outputDir, {
+        redactions,
+        fullPages,
+        pages: req.body.rasterizePages === 'all' ? 'all' : 'affected',
+        dpi: req.body.dpi
       });
+      [...redactions.map(r => r.pageNumber), ...fullPages].forEach(n => pagesWithRedactions.add(n));
+
+      // OCR opcional para recuperar el texto no censurado como capa buscable
+      if (req.body.ocr === 'true') {
+        const rasterPath = path.join(outputDir, `rasterized-${Date.now()}.pdf`);
+        await fs.writeFile(rasterPath, await pdfDoc.save());
+        tempFiles.push(rasterPath);
+
+        // La ruta corre en la familia pdf-lib: el OCR espera su hueco en la familia ocr
+        const releaseOcr = await jobQueue.acquire('ocr');
+        let ocrPath;
+        try {
+          ocrPath = await ocrService.ocrPdf(rasterPath, outputDir, {
+            languages: parseLanguages(req.body.ocrLanguages)
+          });
+        } finally {
+          releaseOcr();
+        }
+        tempFiles.push(ocrPath);
+
+        pdfDoc = await PDFDocument.load(await fs.readFile(ocrPath), { updateMetadata: !sanitize });
+        rasterization.ocrApplied = true;
+      }
+    } else {
+      // Eliminar el contenido que queda debajo de las áreas
+      removed = await redactionService.redactPdf(pdfDoc, { redactions, fullPages });
 
-      pagesWithRedactions.add(red.pageNumber);
-    }
+      // Dibujar los rectángulos sobre el contenido ya eliminado
+      for (const red of redactions) {
+        console.log(`[Redact] Applying redaction to page ${red.pageNumber} at (${red.x}, ${red.y})`);
+      
+        const page = pdfDoc.getPage(red.pageNumber - 1);
+      
+        // Convertir color hex a RGB
+        let color = { r: 0, g: 0, b: 0 }; // Negro por defecto
+        if (red.color && red.color.startsWith('#')) {
+          const hex = red.color.replace('#', '');
+          color.r = parseInt(hex.substring(0, 2), 16) / 255;
+          color.g = parseInt(hex.substring(2, 4), 16) / 255;
+          color.b = parseInt(hex.substring(4, 6), 16) / 255;
+        }
+
+        // Dibujar rectángulo opaco
+        page.drawRectangle({
+          x: red.x,
+          y: red.y,
+          width: red.width,
+          height: red.height,
+          color: rgb(color.r, color.g, color.b),
+          opacity: 1.0,
+          borderWidth: 0
+        });
 
-    // Aplicar censuras de páginas completas
-    for (const pageNum of fullPages) {
-      console.log(`[Redact] Censoring full page ${pageNum}`);
+        pagesWithRedactions.add(red.pageNumber);
+      }
+
+      // Aplicar censuras de páginas completas
+      for (const pageNum of fullPages) {
+        console.log(`[Redact] Censoring full page ${pageNum}`);
       
-      const page = pdfDoc.getPage(pageNum - 1);
-      const { width, height } = page.getSize();
+        const page = pdfDoc.getPage(pageNum - 1);
+        const { width, height } = page.getSize();
       
-      // Dibujar rectángulo negro sobre toda la página
-      page.drawRectangle({
-        x: 0,
-        y: 0,
-        width: width,
-        height: height,
-        color: rgb(0, 0, 0),
-        opacity: 1.0,
-        borderWidth: 0
-      });
+        // Dibujar rectángulo negro sobre toda la página
+        page.drawRectangle({
+          x: 0,
+          y: 0,
+          width: width,
+          height: height,
+          color: rgb(0, 0, 0),
+          opacity: 1.0,
+          borderWidth: 0
+        });
 
-      pagesWithRedactions.add(pageNum);
+        pagesWithRedactions.add(pageNum);
+      }
     }
 
+    // Metadatos, adjuntos, scripts e historial
+    const sanitization = sanitize ? sanitizeService.sanitizePdf(pdfDoc, pdfBytes) : undefined;
+
     // Guardar PDF censurado
     const redactedPdfBytes = await pdfDoc.save();
     const timestamp = Date.now();
@@ -364,6 +595,18 @@ router.post('/', upload.single('file'), async (req, res) => {
     await fs.writeFile(outputPath, redactedPdfBytes);
     tempFiles.push(outputPath);
 
+    // Comprobar que no queda texto extraíble en las áreas redactadas
+    const remaining = await findRemainingText(outputPath, redactions, fullPages);
+    if (remaining.length > 0) {
+      console.error(`[Redact] Verification failed: ${remaining.length} text items remain in redacted areas`);
+      await cleanupFiles(tempFiles);
+      return res.status(500).json({
+        error: 'La redacción no ha podido eliminar todo el texto de las áreas indicadas',
+        code: 'REDACTION_VERIFICATION_FAILED',
+        remainingMatches: remaining.map(({ pageNumber, pdfRect }) => ({ pageNumber, ...pdfRect }))
+      });
+    }
+
     const resultSize = redactedPdfBytes.length;
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`[Redact] Completed in ${elapsed}s`);
@@ -387,12 +630,22 @@ router.post('/', upload.single('file'), async (req, res) => {
       resultSize,
       redactionsApplied: redactions.length,
       fullPagesCensored: fullPages,
-      pages: Array.from(pagesWithRedactions).sort((a, b) => a - b)
+      pages: Array.from(pagesWithRedactions).sort((a, b) => a - b),
+      mode,
+      removed,
+      rasterization,
+      verification: { passed: true, remainingMatches: 0 },
+      sanitization
     });
     
   } catch (error) {
     console.error('[Redact] Error:', error);
     await cleanupFiles(tempFiles);
+
+    // Cola de OCR llena (QUEUE_FULL)
+    if (error.status && error.code) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     
     let errorMessage = 'Error al censurar PDF';
     if (error.message.includes('encrypted')) {
@@ -409,107 +662,185 @@ router.post('/', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * Función auxiliar: Cupo diario de la API key y coste de OCR (peso de la familia ocr por
+ * página) antes de reconocer `pages` páginas. La ruta ya pagó el coste de pdf-lib.
+ * @throws {Error} - 429 OCR_QUOTA_EXCEEDED | COST_LIMIT_EXCEEDED
+ */
+async function chargeOcrPages(req, res, pages) {
+  if (req.apiKey) await apiKeyService.consumeOcrPages(req.apiKey, pages);
+  await chargeCost(req, res, TOOL_WEIGHTS.ocr * pages, { family: 'ocr', pages, megabytes: 0 });
+}
+
+/**
+ * ocrLimiter ha rechazado la petición y ya ha respondido el 429: solo hay que salir
+ */
+function ocrRejectedError() {
+  const error = new Error('Límite de operaciones OCR alcanzado');
+  error.code = 'OCR_LIMITER_REJECTED';
+  return error;
+}
+
 /**
  * Función auxiliar: Buscar matches de texto en el PDF
- * Usa pdf.js para extraer texto con coordenadas
+ * Usa pdf.js para extraer el texto, une los items de cada línea (un match puede
+ * estar repartido en varios) y aplica las reglas con el matcher de rule-matcher.service.
+ * La caja de cada match se calcula con los anchos de glifo de la fuente.
+ *
+ * x/y/width/height están en coordenadas de visualización (origen arriba a la izquierda,
+ * con la rotación de la página aplicada); pdfRect en coordenadas PDF, listo para censurar.
+ *
+ * Con options.ocr 'auto' las páginas sin capa de texto (escaneadas) se pasan por OCR y las
+ * reglas se aplican sobre las palabras reconocidas; con 'force' se hace en todas.
+ * options.beforeOcr() se llama antes de reconocer cada página: si lanza, la búsqueda se corta.
+ *
+ * @returns {Promise<{matches: Array, ocr: {mode: string, pages: number[], failedPages: number[]}}>}
  */
-async function findTextMatches(pdfPath, searchType, searchText, caseSensitive) {
+async function findTextMatches(pdfPath, matcher, options = {}) {
   const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const { ocr: ocrMode = 'off', ocrLanguages, workDir = path.dirname(pdfPath), beforeOcr } = options;
   
-  const loadingTask = pdfjsLib.getDocument(pdfPath);
+  // fontExtraProperties: widths y toUnicode de cada fuente para medir los caracteres
+  const loadingTask = pdfjsLib.getDocument({ url: pdfPath, fontExtraProperties: true });
   const pdf = await loadingTask.promise;
   const matches = [];
+  const ocr = { mode: ocrMode, pages: [], failedPages: [] };
 
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    const textContent = await page.getTextContent();
-    const viewport = page.getViewport({ scale: 1.0 });
-    
-    // Procesar cada item de texto
-    for (const item of textContent.items) {
-      if (!item.str || item.str.trim() === '') continue;
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      const viewport = page.getViewport({ scale: 1.0 });
+
+      const hasText = textContent.items.some(item => item.str && item.str.trim());
+      if (ocrMode === 'force' || (ocrMode === 'auto' && !hasText)) {
+        if (beforeOcr) await beforeOcr(pageNum);
+
+        let ocrLines = null;
+        try {
+          ocrLines = await recognizePageLines(pdfPath, workDir, pageNum, viewport, ocrLanguages);
+          ocr.pages.push(pageNum);
+        } catch (e) {
+          console.warn(`[Redact Search] Page ${pageNum}: OCR failed (${e.message})`);
+          ocr.failedPages.push(pageNum);
+        }
+
+        if (ocrLines) {
+          matches.push(...await matchLines(ocrLines, matcher, pageNum, viewport, 'ocr'));
+          page.cleanup();
+          continue;
+        }
+      }
 
-      const text = caseSensitive ? item.str : item.str.toLowerCase();
-      const search = caseSensitive ? searchText : searchText.toLowerCase();
-      
-      let shouldRedact = false;
-      let matchType = searchType;
-
-      switch (searchType) {
-        case 'text':
-          shouldRedact = text.includes(search);
-          break;
-
-        case 'creditCard':
-          // Visa, Mastercard, Amex, Discover, etc.
-          shouldRedact = /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/.test(item.str);
-          break;
-
-        case 'phone':
-          // Formatos internacionales y locales
-          shouldRedact = /(\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/.test(item.str);
-          break;
-
-        case 'email':
-          shouldRedact = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(item.str);
-          break;
-
-        case 'dni':
-        case 'id':
-          // DNI/NIE español, SSN americano, etc.
-          shouldRedact = /\b\d{8}[-]?[A-Z]\b/.test(item.str) || // DNI español
-                        /\b[XYZ]\d{7}[-]?[A-Z]\b/.test(item.str) || // NIE español
-                        /\b\d{3}-\d{2}-\d{4}\b/.test(item.str); // SSN americano
-          break;
-
-        case 'all':
-          // Buscar todo tipo de datos sensibles
-          shouldRedact = /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/.test(item.str) || // Tarjeta
-                        /(\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/.test(item.str) || // Teléfono
-                        /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(item.str) || // Email
-                        /\b\d{8}[-]?[A-Z]\b/.test(item.str); // DNI
-          
-          // Determinar tipo específico para la respuesta
-          if (/\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/.test(item.str)) {
-            matchType = 'creditCard';
-          } else if (/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.test(item.str)) {
-            matchType = 'email';
-          } else if (/(\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/.test(item.str)) {
-            matchType = 'phone';
-          } else if (/\b\d{8}[-]?[A-Z]\b/.test(item.str)) {
-            matchType = 'dni';
+      // Las fuentes solo llegan al hilo principal al pedir la lista de operadores
+      const charWidthsByFont = new Map();
+      try {
+        await page.getOperatorList();
+        for (const fontName of Object.keys(textContent.styles)) {
+          if (page.commonObjs.has(fontName)) {
+            charWidthsByFont.set(fontName, buildCharWidths(page.commonObjs.get(fontName)));
           }
-          break;
+        }
+      } catch (e) {
+        console.warn(`[Redact Search] Page ${pageNum}: glyph widths not available, using estimates (${e.message})`);
       }
 
-      if (shouldRedact) {
-        // Extraer coordenadas del item
-        const tx = item.transform[4];
-        const ty = item.transform[5];
-        
-        // Calcular dimensiones aproximadas
-        const width = item.width || (item.str.length * 6); // Aproximado
-        const height = item.height || 12; // Aproximado
-        
-        // Convertir coordenadas: pdf.js usa arriba-izquierda, PDF usa abajo-izquierda
-        const pdfY = viewport.height - ty - height;
-
-        matches.push({
-          pageNumber: pageNum,
-          x: tx,
-          y: pdfY,
-          width: width,
-          height: height,
-          text: item.str,
-          type: matchType
-        });
-      }
+      const lines = buildLines(textContent.items, textContent.styles, charWidthsByFont);
+      matches.push(...await matchLines(lines, matcher, pageNum, viewport, 'text'));
+
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return { matches, ocr };
+}
+
+/**
+ * Función auxiliar: Aplica las reglas a las líneas de una página y calcula la caja de cada match
+ */
+async function matchLines(lines, matcher, pageNum, viewport, source) {
+  const matches = [];
+  const results = await matcher.match(lines.map(line => line.text));
+
+  for (const [i, line] of lines.entries()) {
+    for (const found of results[i]) {
+      const box = substringBox(line, found.index, found.index + found.length);
+      if (!box) continue;
+
+      // Convertir coordenadas: PDF usa abajo-izquierda, la visualización arriba-izquierda (y rotación)
+      const corners = [[box.x1, box.y1], [box.x2, box.y1], [box.x1, box.y2], [box.x2, box.y2]]
+        .map(([x, y]) => viewport.convertToViewportPoint(x, y));
+      const xs = corners.map(p => p[0]);
+      const ys = corners.map(p => p[1]);
+
+      matches.push({
+        pageNumber: pageNum,
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+        pdfRect: {
+          x: box.x1,
+          y: box.y1,
+          width: box.x2 - box.x1,
+          height: box.y2 - box.y1
+        },
+        text: line.text,
+        value: found.value,
+        type: found.type,
+        rule: found.rule,
+        source
+      });
     }
   }
 
   return matches;
 }
 
+/**
+ * Función auxiliar: Líneas de una página escaneada a partir del OCR (tesseract TSV).
+ * La imagen se renderiza con la rotación y el CropBox de la página, igual que el viewport
+ * de pdf.js, así que los píxeles se pasan a coordenadas PDF con el propio viewport.
+ */
+async function recognizePageLines(pdfPath, workDir, pageNum, viewport, languages) {
+  const result = await ocrService.recognizePageWords(pdfPath, workDir, pageNum, {
+    languages,
+    dpi: SEARCH_OCR_DPI
+  });
+
+  const scale = 72 / result.dpi;
+  return buildOcrLines(result.lines, (px, py) => viewport.convertToPdfPoint(px * scale, py * scale));
+}
+
+/**
+ * Función auxiliar: Texto que sigue siendo extraíble dentro de las áreas redactadas
+ * (o en cualquier parte de las páginas completas)
+ */
+async function findRemainingText(pdfPath, redactions, fullPages) {
+  const { matches: words } = await findTextMatches(pdfPath, ruleMatcherService.createMatcher({}, [ANY_TEXT_RULE]));
+  const fullPageSet = new Set(fullPages);
+
+  // Margen para no contar glifos vecinos que solo rozan el borde del área
+  const tolerance = 0.5;
+
+  return words.filter(word => {
+    if (fullPageSet.has(word.pageNumber)) return true;
+
+    const box = {
+      x1: word.pdfRect.x + tolerance,
+      x2: word.pdfRect.x + word.pdfRect.width - tolerance,
+      y1: word.pdfRect.y + tolerance,
+      y2: word.pdfRect.y + word.pdfRect.height - tolerance
+    };
+
+    return redactions.some(red => red.pageNumber === word.pageNumber &&
+      box.x2 > red.x && box.x1 < red.x + red.width &&
+      box.y2 > red.y && box.y1 < red.y + red.height);
+  });
+}
+
 /**
  * GET /api/worker/censure-pdf/info
  * Información sobre la funcionalidad de censura
@@ -530,36 +861,22 @@ router.get('/info', (req, res) => {
         description: 'Busca y censura un texto exacto',
         requiresInput: true
       },
-      { 
-        value: 'creditCard', 
-        label: 'Tarjeta de crédito', 
-        description: 'Detecta números de tarjeta (16 dígitos)',
-        pattern: '#### #### #### ####'
-      },
-      { 
-        value: 'phone', 
-        label: 'Número de teléfono', 
-        description: 'Detecta teléfonos en varios formatos',
-        pattern: '+XX XXX XXX XXXX'
-      },
-      { 
-        value: 'email', 
-        label: 'Email', 
-        description: 'Detecta direcciones de correo electrónico',
-        pattern: 'user@example.com'
-      },
-      { 
-        value: 'dni', 
-        label: 'DNI/ID', 
-        description: 'Detecta documentos de identidad (DNI, NIE, SSN)',
-        pattern: '12345678-A'
-      },
+      ...describeDetectors(),
       { 
         value: 'all', 
         label: 'Todos los patrones', 
         description: 'Busca todos los tipos de datos sensibles'
       }
     ],
+    customRules: {
+      patterns: 'Array JSON de expresiones regulares (strings o { name, pattern, flags }), máximo 20',
+      terms: 'Lista de términos (array JSON o uno por línea) o archivo termsFile (.txt/.csv)'
+    },
+    searchOcr: [
+      { value: 'auto', label: 'Automático', description: 'OCR solo en páginas sin capa de texto (escaneadas)', default: true },
+      { value: 'force', label: 'Siempre', description: 'OCR en todas las páginas, ignorando el texto existente' },
+      { value: 'off', label: 'Desactivado', description: 'Solo la capa de texto del PDF' }
+    ],
     redactionColors: [
       { name: 'Negro', value: '#000000', default: true },
       { name: 'Blanco', value: '#FFFFFF' },
@@ -567,8 +884,14 @@ router.get('/info', (req, res) => {
       { name: 'Amarillo', value: '#FDE047' }
     ],
     features: [
-      'Búsqueda automática por patrones',
+      'Búsqueda automática por patrones con validación de dígitos de control',
+      'Expresiones regulares y listas de términos personalizadas',
+      'Búsqueda con OCR en documentos escaneados',
       'Censura manual con rectángulos',
+      'Eliminación real del texto, imágenes y trazados bajo cada área',
+      'Modo rasterizado: páginas convertidas en imagen con OCR opcional',
+      'Verificación posterior con extracción de texto',
+      'Limpieza opcional de metadatos, adjuntos, JavaScript e historial (sanitize)',
       'Censura de páginas completas',
       'Preview antes de aplicar',
       'Colores personalizables'
@@ -577,7 +900,11 @@ router.get('/info', (req, res) => {
       maxFileSize: '150MB',
       maxRedactions: 1000
     },
-    engines: ['pdf-lib', 'pdfjs-dist']
+    modes: [
+      { value: 'vector', label: 'Eliminar contenido', description: 'Quita texto, imágenes y trazados bajo cada área', default: true },
+      { value: 'rasterize', label: 'Rasterizar', description: 'Convierte las páginas en imagen con las censuras pintadas (OCR opcional)' }
+    ],
+    engines: ['pdf-lib', 'pdfjs-dist', 'ghostscript', 'imagemagick', 'ocrmypdf', 'tesseract']
   });
 });
 
@@ -5,20 +5,9 @@ const { validatePdf } = require('../middleware/pdf-validation.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const { PDFDocument, degrees } = require('pdf-lib');
-const JSZip = require('jszip');
+const { createZipStream } = require('../utils/zip.utils');
+const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -39,7 +28,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               pageInstructions:
  *                 type: string
  *                 description: Array JSON con índices de páginas a mantener
@@ -54,8 +45,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el documento
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Páginas eliminadas exitosamente
@@ -94,7 +85,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   
   try {
@@ -103,15 +94,11 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Faltan archivo o instrucciones' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const pageInstructions = JSON.parse(req.body.pageInstructions);
     const mode = req.body.mode || 'merge';
     const outputFileName = req.body.fileName || 'archivo_modificado.pdf';
     
-    let fileBuffer = await fs.readFile(req.file.path);
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      fileBuffer = await decompressIfNeeded(fileBuffer, req.file.originalname);
-    }
+    const fileBuffer = await fs.readFile(req.file.path);
     
     const srcDoc = await PDFDocument.load(fileBuffer);
     const totalOriginalPages = srcDoc.getPageCount();
@@ -151,7 +138,11 @@ router.post('/', upload.single('file'), async (req, res) => {
     }
 
     // MODE: SEPARATE - Crear un PDF individual por cada página restante
+    // (cada uno se escribe a disco según se genera y el ZIP se crea en streaming)
     if (mode === 'separate') {
+      const outputDir = path.join(__dirname, '../../outputs');
+      await fs.mkdir(outputDir, { recursive: true });
+      const timestamp = Date.now();
       const outputs = [];
 
       for (let i = 0; i < pageInstructions.length; i++) {
@@ -163,56 +154,55 @@ router.post('/', upload.single('file'), async (req, res) => {
         copiedPage.setRotation(degrees(currentRotation + pi.rotation));
         newDoc.addPage(copiedPage);
 
-        const pdfBytes = await newDoc.save();
+        const outputPath = path.join(outputDir, `pages-${timestamp}-${pi.originalIndex + 1}.pdf`);
+        await fs.writeFile(outputPath, await newDoc.save());
+        tempFiles.push(outputPath);
         outputs.push({
           name: `archivo-${pi.originalIndex + 1}.pdf`,
-          bytes: pdfBytes
+          path: outputPath
         });
       }
 
-      await cleanupFiles(tempFiles);
-
       // Si solo hay 1 página, devolver PDF directo
       if (outputs.length === 1) {
         const fileId = await fileStore.storeFile(
-          Buffer.from(outputs[0].bytes),
+          outputs[0].path,
           outputFileName,
           'application/pdf'
         );
+        const { size } = await fileStore.getFile(fileId);
+
+        await cleanupFiles(tempFiles);
 
         return res.json({
           success: true,
           fileId,
           fileName: outputFileName,
-          size: outputs[0].bytes.byteLength,
+          size,
           outputFiles: 1,
-          resultSize: outputs[0].bytes.byteLength,
+          resultSize: size,
           remainingPages: 1,
           totalOriginalPages: totalOriginalPages
         });
       }
 
       // Múltiples páginas - crear ZIP
-      const zip = new JSZip();
-      for (const output of outputs) {
-        zip.file(output.name, output.bytes);
-      }
-
-      const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
-
       const fileId = await fileStore.storeFile(
-        zipBuffer,
+        createZipStream(outputs),
         outputFileName,
         'application/zip'
       );
+      const { size } = await fileStore.getFile(fileId);
+
+      await cleanupFiles(tempFiles);
 
       return res.json({
         success: true,
         fileId,
         fileName: outputFileName,
-        size: zipBuffer.length,
+        size,
         outputFiles: outputs.length,
-        resultSize: zipBuffer.length,
+        resultSize: size,
         remainingPages: outputs.length,
         totalOriginalPages: totalOriginalPages
       });
@@ -1,13 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const fileStore = require('../services/file-store.service');
+const {
+  contentDisposition,
+  parseRange,
+  isNotModified,
+  isRangeFresh
+} = require('../utils/http.utils');
+
+// stream: el worker sirve los bytes desde el driver | redirect: 302 a URL prefirmada (solo S3)
+const DOWNLOAD_MODE = (process.env.STORAGE_DOWNLOAD_MODE || 'stream').toLowerCase();
+
+// Validez de las URLs prefirmadas en segundos
+const PRESIGNED_URL_TTL = parseInt(process.env.S3_PRESIGNED_URL_TTL) || 300;
+
+// Tipos que se pueden abrir en el navegador con ?inline=1. El resto (HTML, SVG, texto...)
+// se descarga siempre: servido inline ejecutaría scripts en el origen de la API
+const INLINE_MIME_TYPES = new Set(['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp']);
 
 /**
  * @swagger
  * /api/download/{fileId}:
  *   get:
  *     summary: Descarga un archivo procesado
- *     description: Descarga el archivo resultante de cualquier operación usando el fileId retornado
+ *     description: |
+ *       Descarga el archivo resultante de cualquier operación usando el fileId retornado.
+ *       Admite Range (un rango de bytes) para reanudar descargas, peticiones condicionales
+ *       (If-None-Match, If-Modified-Since, If-Range) y HEAD para consultar tamaño y nombre.
  *     tags: [Download]
  *     parameters:
  *       - in: path
@@ -17,7 +36,39 @@ const fileStore = require('../services/file-store.service');
  *           type: string
  *         description: ID del archivo retornado en la respuesta de procesamiento
  *         example: abc123def456
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Caducidad del enlace firmado (segundos Unix), obligatoria si el archivo se creó con signedUrl=true
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Firma HMAC del enlace (viene en el downloadUrl de la respuesta)
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: string
+ *           enum: ['1', '0']
+ *         description: |
+ *           Con 1 se sirve con Content-Disposition inline para verlo en el navegador
+ *           (solo PDF, PNG, JPEG, GIF y WebP; el resto siempre se descarga)
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         description: Rango de bytes a descargar
+ *         example: bytes=1048576-
  *     responses:
+ *       302:
+ *         description: Redirección a URL prefirmada (solo con STORAGE_DRIVER=s3 y STORAGE_DOWNLOAD_MODE=redirect)
+ *       206:
+ *         description: Parte del archivo (Content-Range indica el rango servido)
+ *       304:
+ *         description: El archivo no ha cambiado (If-None-Match / If-Modified-Since)
+ *       416:
+ *         description: Rango fuera del archivo (Content-Range indica el tamaño total)
  *       200:
  *         description: Archivo descargado exitosamente
  *         content:
@@ -37,6 +88,20 @@ const fileStore = require('../services/file-store.service');
  *             schema:
  *               type: string
  *               format: binary
+ *       403:
+ *         description: Falta la firma (SIGNATURE_REQUIRED) o no es válida (INVALID_SIGNATURE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: |
+ *           Archivo expirado (FILE_EXPIRED), enlace firmado caducado (LINK_EXPIRED) o
+ *           descargas agotadas (DOWNLOAD_LIMIT_REACHED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Archivo no encontrado o expirado (se eliminan automáticamente después de 1 hora)
  *         content:
@@ -50,29 +115,135 @@ const fileStore = require('../services/file-store.service');
  *                 code:
  *                   type: string
  *                   example: FILE_NOT_FOUND
+ *   head:
+ *     summary: Cabeceras de un archivo procesado (tamaño, nombre, ETag) sin descargarlo
+ *     tags: [Download]
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo disponible
+ *       404:
+ *         description: Archivo no encontrado o expirado
  */
+// Express atiende HEAD con el manejador de GET
 router.get('/:fileId', async (req, res) => {
   const { fileId } = req.params;
+  const link = { expires: req.query.expires, signature: req.query.signature };
   
-  const file = fileStore.getFile(fileId);
-  
-  if (!file) {
-    return res.status(404).json({ 
+  // Existencia, caducidad, firma y descargas restantes (sin contar todavía)
+  let file;
+  try {
+    file = await fileStore.consumeDownload(fileId, { ...link, count: false });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('[Download] Error reading file store:', error);
+    return res.status(500).json({ error: 'Error al acceder al almacenamiento' });
+  }
+
+  const disposition = req.query.inline === '1' && INLINE_MIME_TYPES.has(file.mimeType) ? 'inline' : 'attachment';
+
+  // Con S3 se puede redirigir a una URL prefirmada y no pasar los bytes por el worker.
+  // No con maxDownloads: la URL prefirmada se podría reutilizar mientras sea válida
+  if (DOWNLOAD_MODE === 'redirect' && !file.maxDownloads) {
+    const url = await fileStore.getDownloadUrl(file, PRESIGNED_URL_TTL, disposition);
+    if (url) {
+      return res.redirect(302, url);
+    }
+  }
+
+  // Un fileId nunca cambia de contenido: la ETag se deriva del id y el tamaño
+  const validators = {
+    etag: `"${fileId}-${(file.size || 0).toString(16)}"`,
+    lastModified: new Date(file.createdAt)
+  };
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(file.fileName, disposition));
+  // helmet no aplica CSP (desactivada en server.js): el contenido descargado no puede ejecutar
+  // scripts ni el navegador reinterpretar su tipo
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', 'sandbox');
+  res.setHeader('ETag', validators.etag);
+  res.setHeader('Last-Modified', validators.lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'private, no-transform');
+
+  if (isNotModified(req, validators)) {
+    return res.status(304).end();
+  }
+
+  // Sin tamaño conocido (manifiestos antiguos) no se pueden servir rangos. Tampoco con
+  // maxDownloads: cada rango contaría como una descarga, o ninguno, y el límite no serviría
+  let range = null;
+  if (file.maxDownloads) {
+    res.setHeader('Accept-Ranges', 'none');
+  } else if (file.size) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (isRangeFresh(req, validators)) {
+      range = parseRange(req.headers.range, file.size);
+    }
+  }
+
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${file.size}`);
+    return res.status(416).json({
+      error: 'Rango solicitado fuera del archivo',
+      code: 'RANGE_NOT_SATISFIABLE'
+    });
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else if (file.size) {
+    res.setHeader('Content-Length', file.size);
+  }
+
+  // HEAD: solo cabeceras (tamaño, nombre, ETag) sin abrir el archivo
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  if (file.maxDownloads) {
+    try {
+      await fileStore.consumeDownload(fileId, link);
+    } catch (error) {
+      res.removeHeader('Content-Length');
+      return res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+    // La última descarga permitida borra el contenido al terminar de enviarse
+    res.on('close', () => fileStore.releaseIfExhausted(fileId));
+  }
+
+  try {
+    const stream = await fileStore.createReadStream(file, range || {});
+    stream.on('error', (err) => {
+      console.error('[Download] Error sending file:', err);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Length');
+        res.removeHeader('Content-Range');
+        return res.status(404).json({
+          error: 'Archivo no encontrado o expirado',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('[Download] Error opening file:', err);
+    res.status(404).json({ 
       error: 'Archivo no encontrado o expirado',
       code: 'FILE_NOT_FOUND'
     });
   }
-  
-  res.setHeader('Content-Type', file.mimeType);
-  res.setHeader('Content-Disposition', 'attachment');
-  
-  res.sendFile(file.path, async (err) => {
-    if (err) {
-      console.error('[Download] Error sending file:', err);
-    }
-    // Opcional: eliminar después de descargar
-    // await fileStore.deleteFile(fileId);
-  });
 });
 
 /**
@@ -6,18 +6,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -37,15 +25,17 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo Excel (.xls, .xlsx) o comprimido (.gz)
+ *                 description: Archivo Excel (.xls, .xlsx) o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               fileName:
  *                 type: string
  *                 description: Nombre personalizado para el PDF resultante
  *                 example: hoja-calculo.pdf
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Conversión exitosa
@@ -86,12 +76,12 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['excel'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   const outputDir = path.join(__dirname, '../../outputs');
   
   try {
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    const originalName = req.file.originalname;
     const outputFileName = req.body.fileName || originalName.replace(/\.(xlsx|xls)$/i, '.pdf');
 
     if (!originalName.match(/\.(xlsx|xls)$/i)) {
@@ -99,20 +89,8 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Solo archivos .xlsx o .xls' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
+    const inputPath = req.file.path;
 
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        const ext = originalName.split('.').pop();
-        inputPath = req.file.path + '.' + ext;
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
-    
     const outputPath = await libreOfficeService.excelToPdf(inputPath, outputDir);
     tempFiles.push(outputPath);
 
@@ -6,18 +6,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -37,7 +25,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               mode:
  *                 type: string
  *                 enum: [all, forms, annotations]
@@ -53,8 +43,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Aplanamiento exitoso
@@ -93,7 +83,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   const outputDir = path.join(__dirname, '../../outputs');
   
@@ -102,26 +92,14 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Archivo PDF requerido' });
     }
 
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    const originalName = req.file.originalname;
     if (!originalName.match(/\.pdf$/i)) {
       await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Solo archivos .pdf' });
     }
 
-    // Descomprimir si es necesario
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
+    const inputPath = req.file.path;
 
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.pdf';
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
-    
     // Obtener tamaño original
     const originalStats = await fs.stat(inputPath);
     const originalSize = originalStats.size;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const healthService = require('../services/health.service');
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness - el proceso está vivo
+ *     description: No comprueba dependencias. Para el liveness probe del orquestador (reiniciar si falla).
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Proceso en marcha
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 uptimeSeconds:
+ *                   type: integer
+ *                 pid:
+ *                   type: integer
+ */
+router.get('/live', (req, res) => {
+  res.json(healthService.getLiveness());
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness - dependencias y disco
+ *     description: |
+ *       Comprueba de verdad cada dependencia (versión de LibreOffice, Ghostscript, ImageMagick,
+ *       QPDF, Tesseract, OCRmyPDF y Poppler, arranque de Chromium, Redis si está configurado) y el
+ *       espacio libre en uploads/outputs/downloads. El resultado se cachea `HEALTH_CACHE_SECONDS`.
+ *
+ *       - `ok`: todo disponible
+ *       - `degraded`: falta algún servicio no imprescindible (`HEALTH_REQUIRED`); responde 200
+ *       - `unavailable`: falta un servicio imprescindible o hay poco disco; responde 503
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Lista para recibir tráfico
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: No debe recibir tráfico (ver problems)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/ready', async (req, res) => {
+  const report = await healthService.getReadiness();
+  res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+});
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Estado del servidor y servicios (compatibilidad)
+ *     description: |
+ *       Mismo informe que /health/ready pero siempre responde 200: los monitores que ya usaban
+ *       /health no deben ver caído el servidor porque falte una herramienta. Lo que haría
+ *       responder 503 a /health/ready aparece aquí como `degraded` (ver problems).
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Servidor funcionando
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/', async (req, res) => {
+  const report = await healthService.getReadiness();
+  res.json(report.status === 'unavailable' ? { ...report, status: 'degraded' } : report);
+});
+
+module.exports = router;
@@ -24,6 +24,8 @@ const fs = require('fs').promises;
  *                 type: string
  *                 format: binary
  *                 description: Archivo HTML (requerido si no se proporciona URL)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               url:
  *                 type: string
  *                 description: URL a convertir (requerido si no se proporciona archivo)
@@ -90,7 +92,7 @@ const fs = require('fs').promises;
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['html'] }), async (req, res) => {
   let inputPath;
   const outputDir = path.join(__dirname, '../../outputs');
   const outputFileName = req.body.fileName || 'webpage.pdf';
@@ -204,6 +206,8 @@ router.post('/', upload.single('file'), async (req, res) => {
  *                 type: string
  *                 format: binary
  *                 description: Archivo HTML (requerido si no se proporciona URL)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               url:
  *                 type: string
  *                 description: URL a previsualizar
@@ -240,7 +244,7 @@ router.post('/', upload.single('file'), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/preview', upload.single('file'), async (req, res) => {
+router.post('/preview', upload.single('file', { accept: ['html'] }), async (req, res) => {
   let inputPath;
   const outputDir = path.join(__dirname, '../../outputs');
   const tempFiles = [];
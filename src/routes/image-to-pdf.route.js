@@ -6,10 +6,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
 
 const PAGE_SIZES = {
   a4: { width: 595, height: 842 },
@@ -23,22 +19,6 @@ const MARGINS = {
   normal: 40,
 };
 
-async function decompressFileIfNeeded(filePath, originalName, isCompressed) {
-  if (!isCompressed && !originalName.endsWith('.gz')) {
-    return filePath;
-  }
-
-  const buffer = await fs.readFile(filePath);
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${originalName}`);
-    const decompressed = await gunzip(buffer);
-    const newPath = filePath.replace(/\.gz$/, '');
-    await fs.writeFile(newPath, decompressed);
-    return newPath;
-  }
-  return filePath;
-}
-
 /**
  * @swagger
  * /api/image-to-pdf:
@@ -60,6 +40,11 @@ async function decompressFileIfNeeded(filePath, originalName, isCompressed) {
  *                   type: string
  *                   format: binary
  *                 description: Múltiples imágenes (máximo 200)
+ *               sourceFileId:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: fileIds de imágenes generadas anteriormente (p.ej. por /api/pdf-to-image)
  *               pageSize:
  *                 type: string
  *                 enum: [a4, letter, legal, fit]
@@ -125,7 +110,7 @@ async function decompressFileIfNeeded(filePath, originalName, isCompressed) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.array('images', 200), async (req, res) => {
+router.post('/', upload.array('images', 200, { accept: ['image'] }), async (req, res) => {
   const tempFiles = [];
   const outputDir = path.join(__dirname, '../../outputs');
   
@@ -134,7 +119,6 @@ router.post('/', upload.array('images', 200), async (req, res) => {
       return res.status(400).json({ error: 'Se requieren imágenes' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const files = req.files;
     tempFiles.push(...files.map(f => f.path));
 
@@ -162,15 +146,10 @@ router.post('/', upload.array('images', 200), async (req, res) => {
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
       const rotation = rotations[i] || 0;
-      
-      // Descomprimir si es necesario
-      let imagePath = await decompressFileIfNeeded(file.path, file.originalname, isCompressed);
-      if (imagePath !== file.path) {
-        tempFiles.push(imagePath);
-      }
+      let imagePath = file.path;
 
       if (rotation !== 0) {
-        const ext = file.originalname.replace(/\.gz$/, '').split('.').pop().toLowerCase();
+        const ext = file.originalname.split('.').pop().toLowerCase();
         const rotatedPath = imagePath + '-rotated.' + ext;
         await execAsync('convert "' + imagePath + '" -rotate ' + rotation + ' "' + rotatedPath + '"');
         tempFiles.push(rotatedPath);
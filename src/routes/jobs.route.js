@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/job-queue.service');
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Consulta el estado de un trabajo asíncrono
+ *     description: |
+ *       Cualquier endpoint de procesamiento acepta `?async=true` (o el header `Prefer: respond-async`).
+ *       En ese modo responde 202 con un `jobId` en cuanto termina la subida y el procesamiento
+ *       continúa en segundo plano. Este endpoint devuelve el estado y, al terminar, el `fileId`.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID devuelto en la respuesta 202
+ *     responses:
+ *       200:
+ *         description: Estado del trabajo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 jobId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [queued, running, done, failed]
+ *                 family:
+ *                   type: string
+ *                   example: ocr
+ *                 tool:
+ *                   type: string
+ *                   example: /api/ocr-pdf
+ *                 position:
+ *                   type: number
+ *                   description: Posición en la cola (solo en estado queued)
+ *                 fileId:
+ *                   type: string
+ *                   description: ID para descargar desde /api/download/:fileId (solo en estado done)
+ *                 result:
+ *                   type: object
+ *                   description: Respuesta completa de la herramienta (solo en estado done)
+ *                 error:
+ *                   type: object
+ *                   description: Error devuelto por la herramienta (solo en estado failed)
+ *       404:
+ *         description: Trabajo no encontrado o expirado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:jobId', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Trabajo no encontrado o expirado',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.json({ success: true, ...job });
+});
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Estado de las colas por familia de herramientas
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Trabajos en ejecución, en cola y concurrencia máxima por familia
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 queues:
+ *                   type: object
+ *                   example: { ocr: { running: 1, queued: 2, concurrency: 1 } }
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, queues: jobQueue.getStats() });
+});
+
+module.exports = router;
@@ -5,24 +5,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const { PDFDocument } = require('pdf-lib');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-/**
- * Descomprime un buffer si está en formato gzip
- */
-async function decompressIfNeeded(buffer, fileName) {
-  // Verificar magic bytes de gzip (1f 8b)
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    const startTime = Date.now();
-    const decompressed = await gunzip(buffer);
-    console.log(`[Decompress] ${fileName}: ${buffer.length} -> ${decompressed.length} bytes (${Date.now() - startTime}ms)`);
-    return decompressed;
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -48,6 +30,11 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 minItems: 2
  *                 maxItems: 50
  *                 description: Archivos PDF a fusionar (hasta 50)
+ *               sourceFileId:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: fileIds de resultados anteriores, se añaden después de los archivos subidos (campo repetido, array JSON o separados por comas)
  *               fileName:
  *                 type: string
  *                 description: Nombre del PDF fusionado
@@ -95,7 +82,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.array('files', 50), async (req, res) => {
+router.post('/', upload.array('files', 50, { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.files ? req.files.map(f => f.path) : [];
   const outputFileName = req.body.fileName || 'merged.pdf';
   
@@ -104,8 +91,7 @@ router.post('/', upload.array('files', 50), async (req, res) => {
       return res.status(400).json({ error: 'No se recibieron archivos' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
-    console.log(`[MergePDF] Received ${req.files.length} files, compressed: ${isCompressed}`);
+    console.log(`[MergePDF] Received ${req.files.length} files`);
 
     const mergedPdf = await PDFDocument.create();
 
@@ -115,13 +101,7 @@ router.post('/', upload.array('files', 50), async (req, res) => {
       if (file.size === 0) continue;
 
       try {
-        let fileBuffer = await fs.readFile(file.path);
-        
-        // Descomprimir si es necesario
-        if (isCompressed || file.originalname.endsWith('.gz')) {
-          fileBuffer = await decompressIfNeeded(fileBuffer, file.originalname);
-        }
-
+        const fileBuffer = await fs.readFile(file.path);
         const pdf = await PDFDocument.load(fileBuffer, { ignoreEncryption: true });
         const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
 
@@ -129,8 +109,7 @@ router.post('/', upload.array('files', 50), async (req, res) => {
           mergedPdf.addPage(page);
         });
       } catch (error) {
-        // Obtener nombre original sin .gz
-        const originalName = file.originalname.replace(/\.gz$/, '');
+        const originalName = file.originalname;
         console.error('Error loading PDF:', originalName, error.message);
         await cleanupFiles(tempFiles);
         
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const metricsService = require('../services/metrics.service');
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Métricas en formato Prometheus
+ *     description: |
+ *       Peticiones y duración por ruta y código de estado, tiempo de procesamiento, bytes de
+ *       entrada y salida, ratio de compresión, fallos de herramientas externas por binario,
+ *       archivos del FileStore, trabajos en cola y rechazos de cada limiter, además de las
+ *       métricas del proceso de Node. Con `METRICS_TOKEN` exige `Authorization: Bearer <token>`.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Métricas
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 pdf_worker_http_requests_total{method="POST",route="/api/compress-pdf",status="200"} 42
+ *       401:
+ *         description: Falta el token o no es válido (METRICS_TOKEN)
+ */
+router.get('/', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Token de métricas inválido', code: 'INVALID_METRICS_TOKEN' });
+  }
+
+  res.set('Content-Type', metricsService.contentType);
+  res.send(await metricsService.render());
+});
+
+module.exports = router;
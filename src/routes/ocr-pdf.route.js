@@ -6,10 +6,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
 
 // Helper para obtener el archivo de cualquier campo
 function getUploadedFile(req) {
@@ -24,14 +20,6 @@ function getUploadedFile(req) {
   return null;
 }
 
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing gzip: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
-
 /**
  * @swagger
  * /api/ocr-pdf:
@@ -50,7 +38,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               languages:
  *                 type: string
  *                 description: Idiomas para OCR en formato JSON o CSV (códigos ISO 639-3)
@@ -70,8 +60,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: OCR aplicado exitosamente
@@ -110,7 +100,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.any(), async (req, res) => {
+router.post('/', upload.any({ accept: ['pdf'] }), async (req, res) => {
   const file = getUploadedFile(req);
   
   if (!file) {
@@ -124,22 +114,13 @@ router.post('/', upload.any(), async (req, res) => {
   const outputDir = path.join(__dirname, '../../outputs');
   
   try {
-    const originalName = file.originalname.replace(/\.gz$/, '');
+    const originalName = file.originalname;
     if (!originalName.match(/\.pdf$/i)) {
       await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Solo archivos PDF' });
     }
 
-    // Descomprimir si es necesario
-    let inputPath = file.path;
-    const buffer = await fs.readFile(file.path);
-    const decompressed = await decompressIfNeeded(buffer, file.originalname);
-    
-    if (decompressed !== buffer) {
-      inputPath = file.path + '.pdf';
-      await fs.writeFile(inputPath, decompressed);
-      tempFiles.push(inputPath);
-    }
+    const inputPath = file.path;
 
     // Parsear idiomas
     let languages = ['spa', 'eng'];
@@ -202,7 +183,7 @@ router.post('/', upload.any(), async (req, res) => {
  * POST /api/ocr-pdf/detect
  * Detecta si un PDF necesita OCR
  */
-router.post('/detect', upload.any(), async (req, res) => {
+router.post('/detect', upload.any({ accept: ['pdf'] }), async (req, res) => {
   const file = getUploadedFile(req);
   
   if (!file) {
@@ -215,17 +196,7 @@ router.post('/detect', upload.any(), async (req, res) => {
   const tempFiles = [file.path];
   
   try {
-    let inputPath = file.path;
-    
-    // Descomprimir si es necesario
-    const buffer = await fs.readFile(file.path);
-    const decompressed = await decompressIfNeeded(buffer, file.originalname);
-    
-    if (decompressed !== buffer) {
-      inputPath = file.path + '.pdf';
-      await fs.writeFile(inputPath, decompressed);
-      tempFiles.push(inputPath);
-    }
+    const inputPath = file.path;
 
     const detection = await ocrService.detectPdfType(inputPath);
     
@@ -3,20 +3,8 @@ const router = express.Router();
 const upload = require('../middleware/upload.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
-const { PDFDocument, degrees } = require('pdf-lib');
+const { organizePages } = require('../services/page-organizer.service');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -36,7 +24,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file-0:
  *                 type: string
  *                 format: binary
- *                 description: Primer PDF o comprimido (.gz)
+ *                 description: Primer PDF o comprimido (.gz, .br, .zst)
  *               file-1:
  *                 type: string
  *                 format: binary
@@ -45,6 +33,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 type: string
  *                 format: binary
  *                 description: Más PDFs (opcional)
+ *               sourceFileId[file-n]:
+ *                 type: string
+ *                 description: fileId de un resultado anterior para usarlo como file-n sin volver a subirlo
  *               instructions:
  *                 type: string
  *                 description: Array JSON con instrucciones de organización
@@ -96,12 +87,11 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.any(), async (req, res) => {
+router.post('/', upload.any({ accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.files ? req.files.map(f => f.path) : [];
   
   try {
     const instructionsJson = req.body.instructions;
-    const isCompressed = req.body.compressed === 'true';
     const outputFileName = req.body.fileName || 'organized.pdf';
 
     if (!instructionsJson) {
@@ -125,10 +115,7 @@ router.post('/', upload.any(), async (req, res) => {
       if (file.fieldname.startsWith('file-')) {
         const index = parseInt(file.fieldname.replace('file-', ''));
         if (!isNaN(index)) {
-          let buffer = await fs.readFile(file.path);
-          if (isCompressed || file.originalname.endsWith('.gz')) {
-            buffer = await decompressIfNeeded(buffer, file.originalname);
-          }
+          const buffer = await fs.readFile(file.path);
           filesMap.set(index, buffer);
         }
       }
@@ -136,10 +123,7 @@ router.post('/', upload.any(), async (req, res) => {
 
     if (filesMap.size === 0) {
       for (let i = 0; i < req.files.length; i++) {
-        let buffer = await fs.readFile(req.files[i].path);
-        if (isCompressed || req.files[i].originalname.endsWith('.gz')) {
-          buffer = await decompressIfNeeded(buffer, req.files[i].originalname);
-        }
+        const buffer = await fs.readFile(req.files[i].path);
         filesMap.set(i, buffer);
       }
     }
@@ -149,33 +133,7 @@ router.post('/', upload.any(), async (req, res) => {
       return res.status(400).json({ error: 'No se proporcionaron archivos PDF' });
     }
 
-    const newPdf = await PDFDocument.create();
-    const loadedPdfs = new Map();
-
-    for (const inst of instructions) {
-      if (inst.isBlank) {
-        newPdf.addPage();
-      } else {
-        const fileIndex = inst.fileIndex || 0;
-        const pageIndex = (inst.originalIndex || 1) - 1;
-        const rotation = inst.rotation || 0;
-
-        let srcDoc = loadedPdfs.get(fileIndex);
-        if (!srcDoc) {
-          const buffer = filesMap.get(fileIndex);
-          if (!buffer) continue;
-          srcDoc = await PDFDocument.load(buffer);
-          loadedPdfs.set(fileIndex, srcDoc);
-        }
-
-        if (pageIndex >= 0 && pageIndex < srcDoc.getPageCount()) {
-          const [copiedPage] = await newPdf.copyPages(srcDoc, [pageIndex]);
-          const existingRotation = copiedPage.getRotation().angle;
-          copiedPage.setRotation(degrees((existingRotation + rotation) % 360));
-          newPdf.addPage(copiedPage);
-        }
-      }
-    }
+    const newPdf = await organizePages(filesMap, instructions);
 
     if (newPdf.getPageCount() === 0) {
       await cleanupFiles(tempFiles);
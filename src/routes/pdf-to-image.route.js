@@ -6,19 +6,7 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const path = require('path');
 const fs = require('fs').promises;
-const archiver = require('archiver');
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
+const { createZipStream } = require('../utils/zip.utils');
 
 /**
  * @swagger
@@ -38,7 +26,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               format:
  *                 type: string
  *                 enum: [jpg, png, webp, tiff, bmp]
@@ -62,8 +52,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para las imágenes
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Conversión exitosa
@@ -100,7 +90,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {  const tempFiles = req.file ? [req.file.path] : [];
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {  const tempFiles = req.file ? [req.file.path] : [];
   const outputDir = path.join(__dirname, '../../outputs');
   
   try {
@@ -108,19 +98,8 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
       return res.status(400).json({ error: 'Archivo PDF requerido' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
+    const inputPath = req.file.path;
 
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.pdf';
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
-    
     const format = req.body.format || 'jpg';
     const quality = Math.min(100, Math.max(1, parseInt(req.body.quality) || 90));
     const dpi = parseInt(req.body.dpi) || 150;
@@ -244,7 +223,6 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
     
     // Una sola imagen
     if (outputFiles.length === 1) {
-      const imageBuffer = await fs.readFile(outputFiles[0].path);
       const mimeTypes = {
         jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png',
         webp: 'image/webp', tiff: 'image/tiff', bmp: 'image/bmp'
@@ -253,10 +231,11 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
       const finalFileName = `${outputFileName}.${ext}`; 
       
       const fileId = await fileStore.storeFile(
-        imageBuffer,
+        outputFiles[0].path,
         finalFileName,
         mimeTypes[format] || 'application/octet-stream'
       );
+      const { size } = await fileStore.getFile(fileId);
 
       await cleanupFiles(tempFiles);
 
@@ -264,41 +243,20 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
         success: true,
         fileId,
         fileName: finalFileName,
-        size: imageBuffer.length,
-        resultSize: imageBuffer.length,
+        size,
+        resultSize: size,
       });
     }
     
-    // Múltiples imágenes - crear ZIP en memoria
-    const zipPath = path.join(outputDir, 'pdf-images-' + timestamp + '.zip');
-    
-    await new Promise((resolve, reject) => {
-      const output = require('fs').createWriteStream(zipPath);
-      const archive = archiver('zip', { zlib: { level: 5 } });
-      
-      output.on('close', resolve);
-      archive.on('error', reject);
-      
-      archive.pipe(output);
-      
-      for (const file of outputFiles) {
-        archive.file(file.path, { name: file.filename });
-      }
-      
-      archive.finalize();
-    });
-
-    tempFiles.push(zipPath);
-    
-    const zipBuffer = await fs.readFile(zipPath);
-
+    // Múltiples imágenes - ZIP en streaming directamente al almacenamiento
     const finalZipName = `${outputFileName}.zip`;
 
     const fileId = await fileStore.storeFile(
-      zipBuffer,
+      createZipStream(outputFiles.map(file => ({ path: file.path, name: file.filename }))),
       finalZipName,
       'application/zip'
     );
+    const { size } = await fileStore.getFile(fileId);
 
     await cleanupFiles(tempFiles);
 
@@ -306,8 +264,8 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
       success: true,
       fileId,
       fileName: finalZipName,
-      size: zipBuffer.length,
-      resultSize: zipBuffer.length,
+      size,
+      resultSize: size,
       imagesCount: outputFiles.length
     });
     
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../middleware/upload.middleware');
+const pipelineService = require('../services/pipeline.service');
+const { cleanupFiles } = require('../utils/cleanup.utils');
+const fileStore = require('../services/file-store.service');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * @swagger
+ * /api/pipeline:
+ *   post:
+ *     summary: Encadena varias herramientas sobre un mismo PDF en una sola request
+ *     description: |
+ *       Sube el archivo una vez y aplica los pasos en orden (p.ej. unlock → rotate → compress → watermark).
+ *       Los resultados intermedios se quedan en disco; solo el resultado final se guarda para descarga.
+ *       Herramientas disponibles en GET /api/pipeline/steps.
+ *     tags: [Pipeline]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - steps
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
+ *               steps:
+ *                 type: string
+ *                 description: Array JSON con los pasos en orden (máximo 10)
+ *                 example: '[{"tool":"unlock","password":"1234"},{"tool":"rotate","rotation":90},{"tool":"compress","preset":"recommended"},{"tool":"watermark","text":"CONFIDENCIAL"}]'
+ *               fileName:
+ *                 type: string
+ *                 description: Nombre personalizado para el PDF resultante
+ *               compressed:
+ *                 type: string
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
+ *     responses:
+ *       200:
+ *         description: Pipeline completado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 fileId:
+ *                   type: string
+ *                   description: ID para descargar desde /api/download/:fileId
+ *                 fileName:
+ *                   type: string
+ *                 originalSize:
+ *                   type: number
+ *                 resultSize:
+ *                   type: number
+ *                 totalDurationMs:
+ *                   type: number
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: number
+ *                       tool:
+ *                         type: string
+ *                       inputSize:
+ *                         type: number
+ *                       outputSize:
+ *                         type: number
+ *                       durationMs:
+ *                         type: number
+ *       400:
+ *         description: Pasos inválidos, contraseña incorrecta o archivo no válido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error en el servidor (incluye failedStep)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
+  const tempFiles = req.file ? [req.file.path] : [];
+  const outputDir = path.join(__dirname, '../../outputs');
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archivo PDF requerido' });
+    }
+
+    const originalName = req.file.originalname;
+    if (!originalName.match(/\.pdf$/i)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'Solo archivos .pdf' });
+    }
+
+    // Parsear y validar pasos antes de procesar nada
+    let steps;
+    try {
+      steps = typeof req.body.steps === 'string'
+        ? JSON.parse(req.body.steps)
+        : req.body.steps;
+      pipelineService.validateSteps(steps);
+    } catch (e) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({
+        error: e.status ? e.message : 'Formato de steps inválido',
+        code: 'INVALID_PIPELINE',
+        details: e.status ? undefined : e.message
+      });
+    }
+
+    const inputPath = req.file.path;
+
+    const originalSize = (await fs.stat(inputPath)).size;
+
+    console.log(`[Pipeline] Processing: ${originalName}`);
+    console.log(`[Pipeline] Steps: ${steps.map(s => s.tool).join(' → ')}`);
+
+    let result;
+    try {
+      result = await pipelineService.run(inputPath, outputDir, steps);
+    } catch (error) {
+      await cleanupFiles(tempFiles);
+      const errorMsg = error.message || '';
+
+      if (errorMsg.includes('invalid password')) {
+        return res.status(400).json({
+          error: 'Contraseña incorrecta',
+          code: 'INVALID_PASSWORD',
+          failedStep: error.failedStep
+        });
+      }
+
+      if (errorMsg.toLowerCase().includes('encrypted')) {
+        return res.status(400).json({
+          error: 'El PDF está protegido. Añade un paso unlock al principio.',
+          code: 'PDF_ENCRYPTED',
+          failedStep: error.failedStep
+        });
+      }
+
+      return res.status(error.status || 500).json({
+        error: 'Error al ejecutar el pipeline',
+        code: error.status ? error.code : undefined,
+        details: errorMsg,
+        failedStep: error.failedStep
+      });
+    }
+
+    tempFiles.push(result.outputPath);
+
+    const resultSize = (await fs.stat(result.outputPath)).size;
+    const outputFileName = req.body.fileName || originalName.replace(/\.pdf$/i, '-processed.pdf');
+
+    // Se pasa la ruta: el resultado se copia/sube sin cargarlo entero en memoria
+    const fileId = await fileStore.storeFile(
+      result.outputPath,
+      outputFileName,
+      'application/pdf'
+    );
+
+    await cleanupFiles(tempFiles);
+
+    res.json({
+      success: true,
+      fileId,
+      fileName: outputFileName,
+      originalSize,
+      resultSize,
+      totalDurationMs: result.totalDurationMs,
+      steps: result.steps
+    });
+
+  } catch (error) {
+    console.error('[Pipeline] Error:', error);
+    await cleanupFiles(tempFiles);
+    res.status(500).json({ error: 'Error al ejecutar el pipeline', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pipeline/steps:
+ *   get:
+ *     summary: Lista las herramientas que se pueden encadenar y sus parámetros
+ *     tags: [Pipeline]
+ *     responses:
+ *       200:
+ *         description: Herramientas disponibles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 maxSteps:
+ *                   type: number
+ *                 steps:
+ *                   type: object
+ */
+router.get('/steps', (req, res) => {
+  res.json({
+    success: true,
+    maxSteps: pipelineService.MAX_STEPS,
+    steps: pipelineService.getSteps()
+  });
+});
+
+module.exports = router;
@@ -6,18 +6,6 @@ const { execAsync } = require('../utils/file.utils');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Preview] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * Genera un preview (imagen PNG) de la primera página de un archivo Office
@@ -25,7 +13,7 @@ async function decompressIfNeeded(buffer, fileName) {
  * Body: file (multipart/form-data)
  * Returns: PNG image
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['office'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   const outputDir = path.join(__dirname, '../../outputs');
   
@@ -34,7 +22,7 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Archivo requerido' });
     }
 
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    const originalName = req.file.originalname;
     const ext = originalName.toLowerCase().split('.').pop();
     
     // Validar que sea un archivo Office
@@ -44,19 +32,7 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Solo archivos de Office (.doc, .docx, .xls, .xlsx, .ppt, .pptx)' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
-
-    // Descomprimir si es necesario
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.' + ext;
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
+    const inputPath = req.file.path;
 
     // Paso 1: Convertir a PDF usando LibreOffice
     console.log('[Preview] Converting to PDF:', originalName);
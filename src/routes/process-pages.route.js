@@ -6,18 +6,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const { PDFDocument, degrees } = require('pdf-lib');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -38,15 +26,17 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               pageInstructions:
  *                 type: string
  *                 description: Array JSON con instrucciones para cada página
  *                 example: '[{"originalIndex":0,"rotation":0},{"originalIndex":2,"rotation":90}]'
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Páginas procesadas exitosamente
@@ -81,7 +71,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {  const tempFiles = req.file ? [req.file.path] : [];
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {  const tempFiles = req.file ? [req.file.path] : [];
   
   try {
     if (!req.file || !req.body.pageInstructions) {
@@ -89,7 +79,6 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
       return res.status(400).json({ error: 'Faltan archivo o instrucciones' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const pageInstructions = JSON.parse(req.body.pageInstructions);
     
     if (!Array.isArray(pageInstructions) || pageInstructions.length === 0) {
@@ -97,10 +86,7 @@ router.post('/', upload.single('file'), async (req, res) => {  const tempFiles =
       return res.status(400).json({ error: 'Instrucciones inválidas' });
     }
 
-    let fileBuffer = await fs.readFile(req.file.path);
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      fileBuffer = await decompressIfNeeded(fileBuffer, req.file.originalname);
-    }
+    const fileBuffer = await fs.readFile(req.file.path);
     
     const srcDoc = await PDFDocument.load(fileBuffer);
     const newDoc = await PDFDocument.create();
@@ -3,20 +3,8 @@ const router = express.Router();
 const upload = require('../middleware/upload.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
-const { PDFDocument, degrees } = require('pdf-lib');
+const { rotatePages } = require('../services/page-organizer.service');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -37,7 +25,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               pageInstructions:
  *                 type: string
  *                 description: Array JSON con instrucciones de rotación para cada página
@@ -47,8 +37,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Rotación exitosa
@@ -89,7 +79,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
   
   try {
@@ -98,36 +88,20 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Faltan archivo o instrucciones' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const pageInstructions = JSON.parse(req.body.pageInstructions);
     const outputFileName = req.body.fileName || 'rotated.pdf';
     
-    let fileBuffer = await fs.readFile(req.file.path);
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      fileBuffer = await decompressIfNeeded(fileBuffer, req.file.originalname);
-    }
+    const fileBuffer = await fs.readFile(req.file.path);
     
-    const pdfDoc = await PDFDocument.load(fileBuffer);
-    const newPdf = await PDFDocument.create();
-
-    const totalPages = pdfDoc.getPageCount();
-    const indicesToCopy = pageInstructions.map(p => p.originalIndex);
-
-    if (indicesToCopy.some(idx => idx < 0 || idx >= totalPages)) {
+    let newPdf;
+    try {
+      newPdf = await rotatePages(fileBuffer, pageInstructions);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
       await cleanupFiles(tempFiles);
-      return res.status(400).json({ error: 'Índices de página fuera de rango' });
+      return res.status(400).json({ error: error.message });
     }
 
-    const copiedPages = await newPdf.copyPages(pdfDoc, indicesToCopy);
-
-    pageInstructions.forEach((instruction, i) => {
-      const page = copiedPages[i];
-      const rotation = instruction.rotation || 0;
-      const existingRotation = page.getRotation().angle;
-      page.setRotation(degrees((existingRotation + rotation) % 360));
-      newPdf.addPage(page);
-    });
-
     const pdfBytes = await newPdf.save();
     await cleanupFiles(tempFiles);
 
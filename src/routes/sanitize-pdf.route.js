@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { PDFDocument } = require('pdf-lib');
+const upload = require('../middleware/upload.middleware');
+const sanitizeService = require('../services/sanitize.service');
+const { cleanupFiles } = require('../utils/cleanup.utils');
+const fileStore = require('../services/file-store.service');
+const fs = require('fs').promises;
+
+/**
+ * @swagger
+ * /api/sanitize-pdf:
+ *   post:
+ *     summary: Elimina metadatos, adjuntos, JavaScript, comentarios e historial de un PDF
+ *     description: |
+ *       Quita el diccionario Info, el XMP, los archivos adjuntos, el JavaScript y las acciones
+ *       activas, las anotaciones con autor, el ID del documento y los objetos de revisiones
+ *       anteriores. El contenido visible de las páginas no se modifica.
+ *     tags: [Seguridad]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
+ *               fileName:
+ *                 type: string
+ *                 description: Nombre personalizado para el PDF resultante
+ *               compressed:
+ *                 type: string
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
+ *     responses:
+ *       200:
+ *         description: PDF saneado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 fileId:
+ *                   type: string
+ *                 fileName:
+ *                   type: string
+ *                 originalSize:
+ *                   type: number
+ *                 resultSize:
+ *                   type: number
+ *                 report:
+ *                   $ref: '#/components/schemas/SanitizeReport'
+ *       400:
+ *         description: Archivo inválido o protegido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error en el servidor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
+  const tempFiles = req.file ? [req.file.path] : [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archivo PDF requerido' });
+    }
+
+    const originalName = req.file.originalname;
+    if (!originalName.match(/\.pdf$/i)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'Solo archivos .pdf' });
+    }
+
+    const pdfBytes = await fs.readFile(req.file.path);
+
+    console.log(`[Sanitize] Processing: ${originalName}`);
+    const startTime = Date.now();
+
+    let pdfDoc;
+    try {
+      pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    } catch (error) {
+      await cleanupFiles(tempFiles);
+      if (error.message.includes('encrypted')) {
+        return res.status(400).json({
+          error: 'El PDF está protegido. Desbloquéalo primero.',
+          code: 'PDF_ENCRYPTED'
+        });
+      }
+      return res.status(400).json({
+        error: 'El archivo PDF está corrupto o no es válido',
+        details: error.message
+      });
+    }
+
+    const report = sanitizeService.sanitizePdf(pdfDoc, pdfBytes);
+    const sanitizedBytes = await pdfDoc.save();
+
+    const outputFileName = req.body.fileName || originalName.replace(/\.pdf$/i, '-sanitized.pdf');
+    const fileId = await fileStore.storeFile(
+      Buffer.from(sanitizedBytes),
+      outputFileName,
+      'application/pdf'
+    );
+
+    await cleanupFiles(tempFiles);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`[Sanitize] Completed in ${elapsed}s: ${outputFileName}`);
+
+    res.json({
+      success: true,
+      fileId,
+      fileName: outputFileName,
+      originalSize: pdfBytes.length,
+      resultSize: sanitizedBytes.length,
+      report
+    });
+
+  } catch (error) {
+    console.error('[Sanitize] Error:', error);
+    await cleanupFiles(tempFiles);
+    res.status(500).json({ error: 'Error al sanear el PDF', details: error.message });
+  }
+});
+
+module.exports = router;
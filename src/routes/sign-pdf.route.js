@@ -3,26 +3,19 @@ const router = express.Router();
 const upload = require('../middleware/upload.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
+const pdfSignatureService = require('../services/pdf-signature.service');
 const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
  * /api/sign-pdf:
  *   post:
- *     summary: Firma un PDF insertando imágenes de firma en posiciones específicas
+ *     summary: Firma un PDF con imágenes de firma y/o firma digital PAdES (certificado PKCS#12)
+ *     description: |
+ *       - Solo `signatures`: inserta imágenes de firma (firma visual, sin valor criptográfico).
+ *       - Con `certificate`: añade un campo /Sig con ByteRange y firma CMS detached
+ *         (ETSI.CAdES.detached, SHA-256) generada con OpenSSL. Las imágenes siguen siendo opcionales.
  *     tags: [Seguridad]
  *     requestBody:
  *       required: true
@@ -32,23 +25,45 @@ async function decompressIfNeeded(buffer, fileName) {
  *             type: object
  *             required:
  *               - file
- *               - signatures
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               signatures:
  *                 type: string
- *                 description: Array JSON con instrucciones de firma
+ *                 description: Array JSON con instrucciones de firma (requerido si no se envía certificate)
  *                 example: '[{"pageNumber":1,"x":100,"y":500,"width":200,"height":100,"image":"data:image/png;base64,..."}]'
+ *               certificate:
+ *                 type: string
+ *                 format: binary
+ *                 description: Certificado PKCS#12 (.p12 / .pfx) con clave privada para firma digital
+ *               certificatePassword:
+ *                 type: string
+ *                 description: Contraseña del certificado
+ *               reason:
+ *                 type: string
+ *                 description: Motivo de la firma digital
+ *                 example: Aprobación del contrato
+ *               location:
+ *                 type: string
+ *                 description: Lugar de la firma digital
+ *               contactInfo:
+ *                 type: string
+ *                 description: Contacto del firmante
+ *               appearance:
+ *                 type: string
+ *                 description: JSON con la posición del campo de firma digital visible (sin él la firma es invisible). image es opcional.
+ *                 example: '{"pageNumber":1,"x":100,"y":100,"width":200,"height":80,"image":"data:image/png;base64,..."}'
  *               fileName:
  *                 type: string
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: PDF firmado exitosamente
@@ -75,8 +90,34 @@ async function decompressIfNeeded(buffer, fileName) {
  *                   items:
  *                     type: number
  *                   description: Páginas que contienen firmas
+ *                 digitalSignature:
+ *                   type: object
+ *                   description: Solo si se envió certificate
+ *                   properties:
+ *                     subFilter:
+ *                       type: string
+ *                       example: ETSI.CAdES.detached
+ *                     signedAt:
+ *                       type: string
+ *                     signer:
+ *                       type: object
+ *                       properties:
+ *                         commonName:
+ *                           type: string
+ *                         subject:
+ *                           type: string
+ *                         issuer:
+ *                           type: string
+ *                         serialNumber:
+ *                           type: string
+ *                         validFrom:
+ *                           type: string
+ *                         validTo:
+ *                           type: string
+ *                         selfSigned:
+ *                           type: boolean
  *       400:
- *         description: Firmas inválidas o páginas fuera de rango
+ *         description: Firmas inválidas, páginas fuera de rango, certificado inválido/caducado o contraseña incorrecta
  *         content:
  *           application/json:
  *             schema:
@@ -88,16 +129,27 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
-  const tempFiles = req.file ? [req.file.path] : [];
+router.post('/', upload.fields([
+  { name: 'file', maxCount: 1, accept: ['pdf'] },
+  { name: 'certificate', maxCount: 1, accept: ['pkcs12'] }
+]), async (req, res) => {
+  const pdfFile = req.files?.file?.[0];
+  const certificateFile = req.files?.certificate?.[0];
+  const tempFiles = [pdfFile, certificateFile].filter(Boolean).map(f => f.path);
   const outputDir = path.join(__dirname, '../../outputs');
   
   try {
-    if (!req.file) {
+    if (!pdfFile) {
+      await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Archivo PDF requerido' });
     }
 
-    const originalName = req.file.originalname.replace(/\.gz$/, '');
+    if (certificateFile && !certificateFile.originalname.match(/\.(p12|pfx)$/i)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'El certificado debe ser .p12 o .pfx' });
+    }
+
+    const originalName = pdfFile.originalname;
     if (!originalName.match(/\.pdf$/i)) {
       await cleanupFiles(tempFiles);
       return res.status(400).json({ error: 'Solo archivos .pdf' });
@@ -116,10 +168,31 @@ router.post('/', upload.single('file'), async (req, res) => {
       }
     }
 
-    // Validar que haya al menos una firma
-    if (!signatures || signatures.length === 0) {
+    // Validar que haya al menos una firma (visual o digital)
+    if ((!signatures || signatures.length === 0) && !certificateFile) {
       await cleanupFiles(tempFiles);
-      return res.status(400).json({ error: 'Se requiere al menos una firma' });
+      return res.status(400).json({ error: 'Se requiere al menos una firma o un certificado' });
+    }
+
+    // Campo de firma digital visible (opcional)
+    let appearance = null;
+    if (req.body.appearance) {
+      try {
+        appearance = typeof req.body.appearance === 'string'
+          ? JSON.parse(req.body.appearance)
+          : req.body.appearance;
+      } catch (e) {
+        await cleanupFiles(tempFiles);
+        return res.status(400).json({ error: 'Formato de appearance inválido', details: e.message });
+      }
+
+      if (appearance.image && !appearance.image.startsWith('data:image/')) {
+        await cleanupFiles(tempFiles);
+        return res.status(400).json({
+          error: 'appearance tiene formato de imagen inválido',
+          details: 'La imagen debe ser base64 con formato data:image/png o data:image/jpeg'
+        });
+      }
     }
 
     // Validar formato de cada firma
@@ -146,20 +219,8 @@ router.post('/', upload.single('file'), async (req, res) => {
     // Nombre de salida
     const outputFileName = req.body.fileName || originalName.replace(/\.pdf$/i, '-signed.pdf');
 
-    // Descomprimir si es necesario
-    const isCompressed = req.body.compressed === 'true';
-    let inputPath = req.file.path;
-
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      const buffer = await fs.readFile(req.file.path);
-      const decompressed = await decompressIfNeeded(buffer, req.file.originalname);
-      if (decompressed !== buffer) {
-        inputPath = req.file.path + '.pdf';
-        await fs.writeFile(inputPath, decompressed);
-        tempFiles.push(inputPath);
-      }
-    }
-    
+    const inputPath = pdfFile.path;
+
     // Obtener tamaño original
     const originalStats = await fs.stat(inputPath);
     const originalSize = originalStats.size;
@@ -234,8 +295,31 @@ router.post('/', upload.single('file'), async (req, res) => {
       pagesWithSignatures.add(sig.pageNumber);
     }
 
+    // Firma digital PAdES (opcional)
+    let digitalSignature;
+    let signedPdfBytes;
+
+    if (certificateFile) {
+      const result = await pdfSignatureService.signPdf(pdfDoc, {
+        p12: await fs.readFile(certificateFile.path),
+        password: req.body.certificatePassword || '',
+        reason: req.body.reason,
+        location: req.body.location,
+        contactInfo: req.body.contactInfo,
+        appearance
+      });
+
+      signedPdfBytes = result.pdfBytes;
+      digitalSignature = {
+        subFilter: result.subFilter,
+        signedAt: result.signedAt,
+        signer: result.signer
+      };
+    } else {
+      signedPdfBytes = await pdfDoc.save();
+    }
+
     // Guardar PDF firmado
-    const signedPdfBytes = await pdfDoc.save();
     const timestamp = Date.now();
     const outputPath = path.join(outputDir, `signed-${timestamp}.pdf`);
     await fs.writeFile(outputPath, signedPdfBytes);
@@ -263,12 +347,18 @@ router.post('/', upload.single('file'), async (req, res) => {
       originalSize,
       resultSize,
       signaturesApplied: signatures.length,
-      pages: Array.from(pagesWithSignatures).sort((a, b) => a - b)
+      pages: Array.from(pagesWithSignatures).sort((a, b) => a - b),
+      digitalSignature
     });
     
   } catch (error) {
     console.error('[Sign PDF] Error:', error);
     await cleanupFiles(tempFiles);
+
+    // Errores de certificado/contraseña/página del servicio de firma
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     
     let errorMessage = 'Error al firmar PDF';
     if (error.message.includes('encrypted')) {
@@ -285,6 +375,168 @@ router.post('/', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/sign-pdf/verify:
+ *   post:
+ *     summary: Verifica las firmas digitales de un PDF
+ *     description: |
+ *       Analiza cada diccionario de firma: certificado del firmante, hora de firma, cobertura del
+ *       ByteRange, coincidencia del digest y si el documento se modificó después de firmar.
+ *       La confianza de la cadena se valida contra el almacén del sistema (y SIGNATURE_TRUSTED_CA_FILE).
+ *     tags: [Seguridad]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo PDF firmado o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
+ *     responses:
+ *       200:
+ *         description: Resultado de la verificación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 fileName:
+ *                   type: string
+ *                 signed:
+ *                   type: boolean
+ *                 totalSignatures:
+ *                   type: number
+ *                 allValid:
+ *                   type: boolean
+ *                   description: Todas las firmas íntegras y la última cubre el archivo completo
+ *                 signatures:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: number
+ *                       fieldName:
+ *                         type: string
+ *                       subFilter:
+ *                         type: string
+ *                       signer:
+ *                         type: object
+ *                         properties:
+ *                           subject:
+ *                             type: string
+ *                           issuer:
+ *                             type: string
+ *                           serialNumber:
+ *                             type: string
+ *                           validFrom:
+ *                             type: string
+ *                           validTo:
+ *                             type: string
+ *                       signingTime:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                       byteRange:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                       coversWholeFile:
+ *                         type: boolean
+ *                       digestMatches:
+ *                         type: boolean
+ *                       signatureValid:
+ *                         type: boolean
+ *                       modifiedAfterSigning:
+ *                         type: boolean
+ *                       certificateTrusted:
+ *                         type: boolean
+ *                       certificateTrustError:
+ *                         type: string
+ *                       valid:
+ *                         type: boolean
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Archivo no válido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error en el servidor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
+  const tempFiles = req.file ? [req.file.path] : [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archivo PDF requerido' });
+    }
+
+    const originalName = req.file.originalname;
+    if (!originalName.match(/\.pdf$/i)) {
+      await cleanupFiles(tempFiles);
+      return res.status(400).json({ error: 'Solo archivos .pdf' });
+    }
+
+    const pdfBuffer = await fs.readFile(req.file.path);
+
+    console.log(`[Sign PDF] Verifying: ${originalName}`);
+
+    const signatures = await pdfSignatureService.verifyPdf(pdfBuffer);
+    await cleanupFiles(tempFiles);
+
+    const last = signatures[signatures.length - 1];
+    const allValid = signatures.length > 0
+      && signatures.every(sig => sig.valid)
+      && last.coversWholeFile;
+
+    console.log(`[Sign PDF] Signatures found: ${signatures.length}, all valid: ${allValid}`);
+
+    res.json({
+      success: true,
+      fileName: originalName,
+      signed: signatures.length > 0,
+      totalSignatures: signatures.length,
+      allValid,
+      signatures
+    });
+
+  } catch (error) {
+    console.error('[Sign PDF] Verify error:', error);
+    await cleanupFiles(tempFiles);
+
+    let errorMessage = 'Error al verificar firmas';
+    let status = 500;
+    if (error.message.includes('Failed to parse') || error.message.includes('Invalid PDF')) {
+      errorMessage = 'El archivo PDF está corrupto o no es válido';
+      status = 400;
+    }
+
+    res.status(status).json({ error: errorMessage, details: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/sign-pdf/info:
@@ -318,9 +570,10 @@ router.post('/', upload.single('file'), async (req, res) => {
  */
 router.get('/info', (req, res) => {
   res.json({
-    description: 'Firma documentos PDF insertando imágenes de firma',
+    description: 'Firma documentos PDF insertando imágenes de firma y/o con firma digital PAdES',
     useCases: [
       'Firmar contratos digitalmente',
+      'Firma electrónica con certificado PKCS#12 (.p12 / .pfx)',
       'Agregar firmas visuales a documentos',
       'Múltiples firmas en diferentes páginas',
       'Firmas con transparencia y rotación'
@@ -335,6 +588,16 @@ router.get('/info', (req, res) => {
       opacity: 'Opacidad (0.0 - 1.0, opcional, default: 1.0)',
       image: 'Imagen base64 (data:image/png;base64,... o jpeg)'
     },
+    digitalSignature: {
+      certificate: 'Archivo .p12 o .pfx con clave privada (campo multipart certificate)',
+      certificatePassword: 'Contraseña del certificado',
+      subFilter: pdfSignatureService.SUB_FILTER,
+      digestAlgorithm: 'SHA-256',
+      appearance: 'JSON { pageNumber, x, y, width, height, image? } para firma visible; sin él es invisible',
+      optionalFields: ['reason', 'location', 'contactInfo'],
+      note: 'El PDF se reescribe al firmar: firmas digitales previas dejan de ser válidas',
+      verify: 'POST /api/sign-pdf/verify'
+    },
     coordinateSystem: {
       origin: 'Abajo-izquierda (PDF estándar)',
       units: 'Puntos (1 punto = 1/72 pulgada)',
@@ -360,7 +623,7 @@ router.get('/info', (req, res) => {
         }
       ]
     },
-    engine: 'pdf-lib'
+    engine: 'pdf-lib + openssl'
   });
 });
 
@@ -4,20 +4,9 @@ const upload = require('../middleware/upload.middleware');
 const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const { PDFDocument } = require('pdf-lib');
-const JSZip = require('jszip');
+const { createZipStream } = require('../utils/zip.utils');
+const path = require('path');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -39,7 +28,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               mode:
  *                 type: string
  *                 enum: [ranges, extract, fixed]
@@ -53,8 +44,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el archivo resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: División exitosa
@@ -97,8 +88,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
+  const outputDir = path.join(__dirname, '../../outputs');
   
   try {
     if (!req.file || !req.body.mode) {
@@ -106,14 +98,10 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Faltan archivo o modo' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const mode = req.body.mode;
     const config = JSON.parse(req.body.config || '{}');
     
-    let fileBuffer = await fs.readFile(req.file.path);
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      fileBuffer = await decompressIfNeeded(fileBuffer, req.file.originalname);
-    }
+    const fileBuffer = await fs.readFile(req.file.path);
     
     const sourcePdf = await PDFDocument.load(fileBuffer);
     const totalPages = sourcePdf.getPageCount();
@@ -196,9 +184,9 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No se generaron archivos' });
     }
 
-    await cleanupFiles(tempFiles);
-
     if (outputs.length === 1) {
+      await cleanupFiles(tempFiles);
+
       const pdfBytes = await outputs[0].pdf.save();
       const finalFileName = outputs[0].name;
 
@@ -219,27 +207,33 @@ router.post('/', upload.single('file'), async (req, res) => {
       });
     }
 
-    // Múltiples archivos - crear ZIP
-    const zip = new JSZip();
-    for (const output of outputs) {
-      const pdfBytes = await output.pdf.save();
-      zip.file(output.name, pdfBytes);
+    // Múltiples archivos - cada PDF a disco y el ZIP en streaming hasta el almacenamiento
+    await fs.mkdir(outputDir, { recursive: true });
+    const timestamp = Date.now();
+    const entries = [];
+    for (const [i, output] of outputs.entries()) {
+      const partPath = path.join(outputDir, `split-${timestamp}-${i + 1}.pdf`);
+      await fs.writeFile(partPath, await output.pdf.save());
+      tempFiles.push(partPath);
+      entries.push({ path: partPath, name: output.name });
     }
 
-    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
     const outputFileName = req.body.fileName || 'archivos_modificado.zip';
 
     const fileId = await fileStore.storeFile(
-      zipBuffer,
+      createZipStream(entries),
       outputFileName,
       'application/zip'
     );
+    const { size } = await fileStore.getFile(fileId);
+
+    await cleanupFiles(tempFiles);
 
     res.json({
       success: true,
       fileId,
       fileName: outputFileName,
-      size: zipBuffer.length,
+      size,
       outputFiles: outputs.length,
       totalPages: totalPages,
       mode: mode 
@@ -0,0 +1,327 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const chunkedUploadService = require('../services/chunked-upload.service');
+const { checkExtension, getMaxFileSize } = require('../middleware/upload.middleware');
+
+/**
+ * Respuesta de error de los servicios ({ status, code })
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      missingChunks: error.missingChunks
+    });
+  }
+  console.error('[ChunkedUpload] Error:', error);
+  res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+/**
+ * @swagger
+ * /api/uploads:
+ *   post:
+ *     summary: Crea una sesión de subida por partes (archivos grandes, reanudable)
+ *     description: |
+ *       Protocolo:
+ *       1. POST /api/uploads con fileName y size → uploadId, chunkSize y totalChunks
+ *       2. PUT /api/uploads/{uploadId}/chunks/{index} con los bytes de cada chunk (0-based)
+ *       3. Si se corta la conexión, GET /api/uploads/{uploadId} indica qué chunks faltan
+ *       4. POST /api/uploads/{uploadId}/complete con el SHA-256 del archivo → fileId
+ *
+ *       El fileId se usa como sourceFileId en cualquier ruta de procesamiento.
+ *     tags: [Upload]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - size
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 example: escaneo.pdf
+ *               size:
+ *                 type: integer
+ *                 description: Tamaño total en bytes (máximo 150MB sin API key o el maxFileSize del plan)
+ *               chunkSize:
+ *                 type: integer
+ *                 description: Tamaño de chunk en bytes (256KB-64MB)
+ *                 default: 8388608
+ *     responses:
+ *       201:
+ *         description: Sesión creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 uploadId:
+ *                   type: string
+ *                 chunkSize:
+ *                   type: integer
+ *                 totalChunks:
+ *                   type: integer
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Parámetros inválidos o extensión no permitida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: El archivo supera el tamaño máximo (FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', async (req, res) => {
+  const { size, chunkSize } = req.body || {};
+  const fileName = path.basename(String(req.body?.fileName || ''));
+
+  if (!fileName) {
+    return res.status(400).json({ error: 'fileName requerido', code: 'INVALID_UPLOAD' });
+  }
+
+  const extensionError = checkExtension(fileName);
+  if (extensionError) {
+    return res.status(400).json({ error: extensionError.message, code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+
+  try {
+    // El archivo completo no puede superar lo que aceptan las rutas con sourceFileId
+    const session = await chunkedUploadService.createSession({
+      fileName, size, chunkSize, maxSize: getMaxFileSize(req)
+    });
+
+    res.status(201)
+      .set('Location', `/api/uploads/${session.uploadId}`)
+      .json({
+        success: true,
+        uploadId: session.uploadId,
+        fileName: session.fileName,
+        size: session.size,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        expiresAt: new Date(session.expiresAt).toISOString()
+      });
+  } catch (error) {
+    sendError(res, error, 'Error al crear la subida');
+  }
+});
+
+/**
+ * @swagger
+ * /api/uploads/{uploadId}/chunks/{index}:
+ *   put:
+ *     summary: Envía un chunk de la subida
+ *     description: |
+ *       El cuerpo son los bytes del chunk (application/octet-stream). Todos los chunks miden
+ *       chunkSize salvo el último. Se pueden enviar en cualquier orden y reenviar los que fallen.
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Número de chunk (0-based)
+ *       - in: header
+ *         name: X-Chunk-SHA256
+ *         schema:
+ *           type: string
+ *         description: SHA-256 del chunk en hex (opcional, se comprueba al recibirlo)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk guardado
+ *       400:
+ *         description: Chunk fuera de rango o de tamaño incorrecto (INVALID_CHUNK, INVALID_CHUNK_SIZE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subida no encontrada o caducada (UPLOAD_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: El SHA-256 del chunk no coincide (CHUNK_CHECKSUM_MISMATCH)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:uploadId/chunks/:index', async (req, res) => {
+  const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : NaN;
+
+  try {
+    const chunk = await chunkedUploadService.writeChunk(
+      req.params.uploadId,
+      index,
+      req,
+      req.get('X-Chunk-SHA256')
+    );
+    res.json({ success: true, ...chunk });
+  } catch (error) {
+    // Si se cortó por tamaño el resto del cuerpo no se va a leer: cerrar la conexión
+    if (!req.complete) res.set('Connection', 'close');
+    sendError(res, error, 'Error al guardar el chunk');
+  }
+});
+
+/**
+ * @swagger
+ * /api/uploads/{uploadId}:
+ *   get:
+ *     summary: Estado de una subida (chunks recibidos y pendientes) para reanudarla
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado de la subida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 receivedChunks:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 missingChunks:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       404:
+ *         description: Subida no encontrada o caducada (UPLOAD_NOT_FOUND)
+ *   delete:
+ *     summary: Cancela una subida y borra los chunks recibidos
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subida cancelada
+ */
+router.get('/:uploadId', async (req, res) => {
+  try {
+    const status = await chunkedUploadService.getStatus(req.params.uploadId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    sendError(res, error, 'Error al consultar la subida');
+  }
+});
+
+router.delete('/:uploadId', async (req, res) => {
+  await chunkedUploadService.abort(req.params.uploadId);
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/uploads/{uploadId}/complete:
+ *   post:
+ *     summary: Finaliza la subida, comprueba el SHA-256 y devuelve un fileId
+ *     description: |
+ *       El fileId se puede usar como sourceFileId en cualquier ruta de procesamiento. El tipo
+ *       del archivo se detecta por su contenido; si no lo acepta ninguna ruta se rechaza y la
+ *       sesión se borra.
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sha256
+ *             properties:
+ *               sha256:
+ *                 type: string
+ *                 description: SHA-256 del archivo completo en hex
+ *     responses:
+ *       200:
+ *         description: Archivo ensamblado y guardado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 fileId:
+ *                   type: string
+ *                 fileName:
+ *                   type: string
+ *                 size:
+ *                   type: integer
+ *                 sha256:
+ *                   type: string
+ *       409:
+ *         description: Faltan chunks (UPLOAD_INCOMPLETE, con missingChunks)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       415:
+ *         description: El contenido no es de ningún tipo admitido (UNSUPPORTED_CONTENT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: El SHA-256 no coincide (CHECKSUM_MISMATCH); los chunks se conservan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:uploadId/complete', async (req, res) => {
+  try {
+    const result = await chunkedUploadService.complete(req.params.uploadId, req.body?.sha256);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Error al finalizar la subida');
+  }
+});
+
+module.exports = router;
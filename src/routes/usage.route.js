@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/api-key.service');
+
+/**
+ * @swagger
+ * /api/usage:
+ *   get:
+ *     summary: Consumo y límites de la API key
+ *     description: |
+ *       Devuelve el plan de la clave, las peticiones usadas en la ventana actual, las páginas
+ *       de OCR del día (UTC) y los totales acumulados desde el arranque del servidor.
+ *     tags: [Usage]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Uso de la clave
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     plan:
+ *                       type: string
+ *                       example: pro
+ *                 limits:
+ *                   type: object
+ *                   properties:
+ *                     requestsPerWindow:
+ *                       type: integer
+ *                     windowMinutes:
+ *                       type: integer
+ *                     ocrPagesPerDay:
+ *                       type: integer
+ *                     maxFileSize:
+ *                       type: integer
+ *                 requests:
+ *                   $ref: '#/components/schemas/UsageCounter'
+ *                 ocrPages:
+ *                   $ref: '#/components/schemas/UsageCounter'
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: integer
+ *                     ocrPages:
+ *                       type: integer
+ *                     uploadedBytes:
+ *                       type: integer
+ *                     since:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Falta la API key o no es válida (API_KEY_REQUIRED, INVALID_API_KEY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key requerida (Authorization: Bearer <clave>)', code: 'API_KEY_REQUIRED' });
+  }
+
+  try {
+    res.json({ success: true, ...(await apiKeyService.getUsageReport(req.apiKey)) });
+  } catch (error) {
+    console.error('[Usage] Error reading usage:', error);
+    res.status(500).json({ error: 'Error al leer el uso de la API key', details: error.message });
+  }
+});
+
+module.exports = router;
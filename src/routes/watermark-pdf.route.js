@@ -5,18 +5,6 @@ const { cleanupFiles } = require('../utils/cleanup.utils');
 const fileStore = require('../services/file-store.service');
 const { addTextWatermark, addImageWatermark, POSITIONS } = require('../services/watermark.service');
 const fs = require('fs').promises;
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
-
-async function decompressIfNeeded(buffer, fileName) {
-  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
-    console.log(`[Decompress] Decompressing: ${fileName}`);
-    return await gunzip(buffer);
-  }
-  return buffer;
-}
 
 /**
  * @swagger
@@ -37,7 +25,9 @@ async function decompressIfNeeded(buffer, fileName) {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               text:
  *                 type: string
  *                 description: Texto de la marca de agua
@@ -104,8 +94,8 @@ async function decompressIfNeeded(buffer, fileName) {
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Marca de agua agregada exitosamente
@@ -149,7 +139,7 @@ async function decompressIfNeeded(buffer, fileName) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/text', upload.single('file'), async (req, res) => {
+router.post('/text', upload.single('file', { accept: ['pdf'] }), async (req, res) => {
   const tempFiles = req.file ? [req.file.path] : [];
 
   try {
@@ -158,13 +148,9 @@ router.post('/text', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Faltan archivo o texto' });
     }
 
-    const isCompressed = req.body.compressed === 'true';
     const outputFileName = req.body.fileName || req.file.originalname.replace('.pdf', '-watermarked.pdf');
 
-    let fileBuffer = await fs.readFile(req.file.path);
-    if (isCompressed || req.file.originalname.endsWith('.gz')) {
-      fileBuffer = await decompressIfNeeded(fileBuffer, req.file.originalname);
-    }
+    const fileBuffer = await fs.readFile(req.file.path);
 
     // Parsear páginas
     let pages = 'all';
@@ -255,7 +241,9 @@ router.post('/text', upload.single('file'), async (req, res) => {
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo PDF o comprimido (.gz)
+ *                 description: Archivo PDF o comprimido (.gz, .br, .zst)
+ *               sourceFileId:
+ *                 $ref: '#/components/schemas/SourceFileId'
  *               watermarkImage:
  *                 type: string
  *                 format: binary
@@ -315,8 +303,8 @@ router.post('/text', upload.single('file'), async (req, res) => {
  *                 description: Nombre personalizado para el PDF resultante
  *               compressed:
  *                 type: string
- *                 enum: ['true', 'false']
- *                 description: Indica si el archivo está comprimido con gzip
+ *                 enum: ['true', 'false', 'gzip', 'br', 'zstd']
+ *                 description: Opcional. gzip y zstd se detectan solos; brotli sin extensión .br requiere compressed=br
  *     responses:
  *       200:
  *         description: Marca de agua agregada exitosamente
@@ -361,8 +349,8 @@ router.post('/text', upload.single('file'), async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/image', upload.fields([
-  { name: 'file', maxCount: 1 },
-  { name: 'watermarkImage', maxCount: 1 }
+  { name: 'file', maxCount: 1, accept: ['pdf'] },
+  { name: 'watermarkImage', maxCount: 1, accept: ['png', 'jpeg'] }
 ]), async (req, res) => {
   const tempFiles = [];
 
@@ -376,13 +364,9 @@ router.post('/image', upload.fields([
     const imageFile = req.files.watermarkImage[0];
     tempFiles.push(pdfFile.path, imageFile.path);
 
-    const isCompressed = req.body.compressed === 'true';
     const outputFileName = req.body.fileName || pdfFile.originalname.replace('.pdf', '-watermarked.pdf');
 
-    let pdfBuffer = await fs.readFile(pdfFile.path);
-    if (isCompressed || pdfFile.originalname.endsWith('.gz')) {
-      pdfBuffer = await decompressIfNeeded(pdfBuffer, pdfFile.originalname);
-    }
+    const pdfBuffer = await fs.readFile(pdfFile.path);
 
     const imageBuffer = await fs.readFile(imageFile.path);
     console.log(`[Watermark] Image file: ${imageFile.originalname}, Size: ${imageBuffer.length} bytes, Mimetype: ${imageFile.mimetype}`);
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const redisService = require('./redis.service');
+
+/**
+ * Planes por defecto. API_KEYS_FILE puede redefinirlos o añadir otros.
+ * - requestsPerWindow / windowMinutes: peticiones a /api/* por ventana
+ * - ocrPagesPerDay: páginas de OCR por día (UTC)
+ * - maxFileSize: tamaño máximo de cada archivo subido, en bytes
+ * - costBudget: unidades de coste (páginas × MB × herramienta) que se recuperan en cada ventana
+ */
+const DEFAULT_PLANS = {
+  free: { requestsPerWindow: 300, windowMinutes: 15, ocrPagesPerDay: 50, maxFileSize: 50 * 1024 * 1024, costBudget: 2000 },
+  pro: { requestsPerWindow: 2000, windowMinutes: 15, ocrPagesPerDay: 1000, maxFileSize: 150 * 1024 * 1024, costBudget: 20000 },
+  enterprise: { requestsPerWindow: 10000, windowMinutes: 15, ocrPagesPerDay: 10000, maxFileSize: 500 * 1024 * 1024, costBudget: 100000 }
+};
+
+const PLAN_FIELDS = ['requestsPerWindow', 'windowMinutes', 'ocrPagesPerDay', 'maxFileSize', 'costBudget'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function apiKeyError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Inicio del día UTC en curso (el cupo de OCR se reinicia a medianoche UTC)
+const startOfDay = (now) => now - (now % DAY_MS);
+
+/**
+ * Ventana de peticiones en Redis (misma ventana fija que en memoria: empieza con la primera
+ * petición). Solo las admitidas suman en los totales.
+ * Devuelve [peticiones en la ventana, ms hasta que se reinicia].
+ */
+const HIT_SCRIPT = `
+local requests = redis.call('INCR', KEYS[1])
+if requests == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+if requests <= tonumber(ARGV[2]) then
+  redis.call('HINCRBY', KEYS[2], 'requests', 1)
+  redis.call('HSETNX', KEYS[2], 'since', ARGV[3])
+end
+return { requests, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Páginas de OCR del día en Redis. Con límite (>= 0) solo descuenta si caben.
+ * Devuelve [descontadas (0/1), páginas usadas hoy].
+ */
+const OCR_SCRIPT = `
+local used = tonumber(redis.call('GET', KEYS[1])) or 0
+local pages = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+if limit >= 0 and used + pages > limit then return { 0, used } end
+used = redis.call('INCRBY', KEYS[1], pages)
+redis.call('PEXPIREAT', KEYS[1], ARGV[3])
+redis.call('HINCRBY', KEYS[2], 'ocrPages', pages)
+redis.call('HSETNX', KEYS[2], 'since', ARGV[4])
+return { 1, used }
+`;
+
+/**
+ * API keys con planes y contadores de uso.
+ *
+ * Las claves se definen en el JSON de API_KEYS_FILE:
+ * {
+ *   "plans": { "pro": { "requestsPerWindow": 5000 } },
+ *   "keys": [
+ *     { "id": "acme", "name": "ACME S.L.", "plan": "pro", "keySha256": "<sha256 hex de la clave>" },
+ *     { "id": "demo", "plan": "free", "key": "<clave en claro, solo para desarrollo>" }
+ *   ]
+ * }
+ *
+ * Los contadores viven en memoria y se reinician con el proceso, salvo con
+ * RATE_LIMIT_STORE=redis: entonces se comparten en Redis entre todas las instancias, como
+ * los rate limiters y el presupuesto de coste. Si Redis falla la petición pasa sin contar.
+ */
+class ApiKeyService {
+  constructor() {
+    this.plans = { ...DEFAULT_PLANS };
+    // sha256(clave) -> { id, name, plan }
+    this.keysByHash = new Map();
+    // id -> contadores de uso
+    this.usage = new Map();
+  }
+
+  /**
+   * Carga las claves de API_KEYS_FILE. Sin archivo solo hay acceso anónimo (límites por IP).
+   */
+  async init() {
+    const file = process.env.API_KEYS_FILE;
+    if (!file) {
+      console.log('[ApiKeys] API_KEYS_FILE not set: anonymous access only (per-IP limits)');
+      return;
+    }
+
+    const config = JSON.parse(await fs.readFile(file, 'utf-8'));
+    this.load(config);
+    console.log(`[ApiKeys] Loaded ${this.keysByHash.size} keys, plans: ${Object.keys(this.plans).join(', ')}`);
+  }
+
+  /**
+   * Valida y carga una configuración { plans, keys }
+   * @throws {Error} - Si una clave no tiene id, plan conocido o valor
+   */
+  load(config) {
+    const plans = { ...DEFAULT_PLANS };
+    for (const [name, plan] of Object.entries(config.plans || {})) {
+      const merged = { ...(DEFAULT_PLANS[name] || DEFAULT_PLANS.free) };
+      for (const field of PLAN_FIELDS) {
+        if (plan[field] !== undefined) {
+          const value = Number(plan[field]);
+          if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Plan ${name}: ${field} inválido`);
+          }
+          merged[field] = value;
+        }
+      }
+      plans[name] = merged;
+    }
+
+    const keysByHash = new Map();
+    for (const entry of config.keys || []) {
+      if (!entry.id) throw new Error('Todas las API keys necesitan un id');
+      if (!plans[entry.plan]) throw new Error(`API key ${entry.id}: plan desconocido ${entry.plan}`);
+      if (entry.enabled === false) continue;
+
+      const keyHash = entry.keySha256 ? entry.keySha256.toLowerCase() : (entry.key && hashKey(entry.key));
+      if (!keyHash) throw new Error(`API key ${entry.id}: falta key o keySha256`);
+
+      keysByHash.set(keyHash, { id: entry.id, name: entry.name || entry.id, plan: entry.plan });
+    }
+
+    this.plans = plans;
+    this.keysByHash = keysByHash;
+  }
+
+  get enabled() {
+    return this.keysByHash.size > 0;
+  }
+
+  /**
+   * Busca la clave enviada por el cliente
+   * @returns {{id: string, name: string, plan: string, limits: object}|null}
+   */
+  authenticate(key) {
+    const record = this.keysByHash.get(hashKey(key));
+    if (!record) return null;
+    return { ...record, limits: this.plans[record.plan] };
+  }
+
+  get useRedis() {
+    return (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'redis';
+  }
+
+  /**
+   * Claves de Redis de los contadores de una API key
+   */
+  redisKeys(apiKey, now = Date.now()) {
+    const prefix = `${process.env.RATE_LIMIT_PREFIX || 'pdf-worker:rl:'}apikey:${apiKey.id}:`;
+    return {
+      requests: `${prefix}requests`,
+      ocrPages: `${prefix}ocr:${startOfDay(now)}`,
+      totals: `${prefix}totals`
+    };
+  }
+
+  getUsage(apiKey, now = Date.now()) {
+    let usage = this.usage.get(apiKey.id);
+    if (!usage) {
+      usage = {
+        window: { start: now, requests: 0 },
+        day: { start: startOfDay(now), ocrPages: 0 },
+        totals: { requests: 0, ocrPages: 0, uploadedBytes: 0, since: now }
+      };
+      this.usage.set(apiKey.id, usage);
+    }
+
+    const windowMs = apiKey.limits.windowMinutes * 60 * 1000;
+    if (now >= usage.window.start + windowMs) {
+      usage.window = { start: now, requests: 0 };
+    }
+    if (now >= usage.day.start + DAY_MS) {
+      usage.day = { start: startOfDay(now), ocrPages: 0 };
+    }
+    return usage;
+  }
+
+  /**
+   * Cuenta una petición en la ventana de la clave
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>}
+   */
+  async hitRequest(apiKey) {
+    const limit = apiKey.limits.requestsPerWindow;
+    const windowMs = apiKey.limits.windowMinutes * 60 * 1000;
+
+    if (this.useRedis) {
+      const now = Date.now();
+      const keys = this.redisKeys(apiKey, now);
+      try {
+        const [requests, ttl] = await redisService.getClient().eval(
+          HIT_SCRIPT, 2, keys.requests, keys.totals, windowMs, limit, now
+        );
+        const resetAt = now + (ttl > 0 ? ttl : windowMs);
+        return { allowed: requests <= limit, limit, remaining: Math.max(0, limit - requests), resetAt };
+      } catch (error) {
+        // Igual que los rate limiters: si el store falla, la petición pasa sin límite
+        console.error('[ApiKeys] Store error, allowing request:', error.message);
+        return { allowed: true, limit, remaining: limit, resetAt: now + windowMs };
+      }
+    }
+
+    const usage = this.getUsage(apiKey);
+    const resetAt = usage.window.start + windowMs;
+
+    if (usage.window.requests >= limit) {
+      return { allowed: false, limit, remaining: 0, resetAt };
+    }
+
+    usage.window.requests++;
+    usage.totals.requests++;
+    return { allowed: true, limit, remaining: limit - usage.window.requests, resetAt };
+  }
+
+  /**
+   * Suma páginas de OCR en Redis; con limit >= 0 solo si caben en el cupo del día
+   * @returns {Promise<{counted: boolean, used: number}>}
+   */
+  async countOcrPagesRedis(apiKey, pages, limit) {
+    const now = Date.now();
+    const keys = this.redisKeys(apiKey, now);
+    const [counted, used] = await redisService.getClient().eval(
+      OCR_SCRIPT, 2, keys.ocrPages, keys.totals, pages, limit, startOfDay(now) + DAY_MS, now
+    );
+    return { counted: counted === 1, used };
+  }
+
+  /**
+   * Descuenta páginas de OCR antes de procesar
+   * @throws {Error} - 429 OCR_QUOTA_EXCEEDED si no quedan suficientes páginas hoy
+   */
+  async consumeOcrPages(apiKey, pages) {
+    const limit = apiKey.limits.ocrPagesPerDay;
+    let used;
+
+    if (this.useRedis) {
+      try {
+        const result = await this.countOcrPagesRedis(apiKey, pages, limit);
+        if (result.counted) return;
+        used = result.used;
+      } catch (error) {
+        console.error('[ApiKeys] Store error, allowing OCR pages:', error.message);
+        return;
+      }
+    } else {
+      used = this.getUsage(apiKey).day.ocrPages;
+      if (used + pages <= limit) {
+        await this.recordOcrPages(apiKey, pages);
+        return;
+      }
+    }
+
+    const remaining = Math.max(0, limit - used);
+    throw apiKeyError(
+      `Cupo diario de OCR insuficiente: quedan ${remaining} páginas y hacen falta ${pages}`,
+      429,
+      'OCR_QUOTA_EXCEEDED'
+    );
+  }
+
+  /**
+   * Anota páginas de OCR ya procesadas (cuando no se sabe cuántas serán hasta el final)
+   */
+  async recordOcrPages(apiKey, pages) {
+    if (this.useRedis) {
+      try {
+        await this.countOcrPagesRedis(apiKey, pages, -1);
+      } catch (error) {
+        console.error('[ApiKeys] Store error, OCR pages not recorded:', error.message);
+      }
+      return;
+    }
+
+    const usage = this.getUsage(apiKey);
+    usage.day.ocrPages += pages;
+    usage.totals.ocrPages += pages;
+  }
+
+  async recordUpload(apiKey, bytes) {
+    if (this.useRedis) {
+      const { totals } = this.redisKeys(apiKey);
+      try {
+        await redisService.getClient().multi()
+          .hincrby(totals, 'uploadedBytes', bytes)
+          .hsetnx(totals, 'since', Date.now())
+          .exec();
+      } catch (error) {
+        console.error('[ApiKeys] Store error, upload not recorded:', error.message);
+      }
+      return;
+    }
+
+    this.getUsage(apiKey).totals.uploadedBytes += bytes;
+  }
+
+  /**
+   * Contadores actuales de la clave, de Redis o de memoria
+   * @returns {Promise<{requests: number, windowResetAt: number, ocrPages: number, dayStart: number, totals: object}>}
+   */
+  async readUsage(apiKey) {
+    const now = Date.now();
+    const windowMs = apiKey.limits.windowMinutes * 60 * 1000;
+
+    if (this.useRedis) {
+      const keys = this.redisKeys(apiKey, now);
+      const [[, requests], [, ttl], [, ocrPages], [, totals]] = await redisService.getClient().multi()
+        .get(keys.requests)
+        .pttl(keys.requests)
+        .get(keys.ocrPages)
+        .hgetall(keys.totals)
+        .exec();
+
+      return {
+        requests: Number(requests) || 0,
+        windowResetAt: now + (ttl > 0 ? ttl : windowMs),
+        ocrPages: Number(ocrPages) || 0,
+        dayStart: startOfDay(now),
+        totals: {
+          requests: Number(totals.requests) || 0,
+          ocrPages: Number(totals.ocrPages) || 0,
+          uploadedBytes: Number(totals.uploadedBytes) || 0,
+          since: Number(totals.since) || now
+        }
+      };
+    }
+
+    const usage = this.getUsage(apiKey, now);
+    return {
+      requests: usage.window.requests,
+      windowResetAt: usage.window.start + windowMs,
+      ocrPages: usage.day.ocrPages,
+      dayStart: usage.day.start,
+      totals: usage.totals
+    };
+  }
+
+  /**
+   * Resumen de uso para GET /api/usage
+   */
+  async getUsageReport(apiKey) {
+    const usage = await this.readUsage(apiKey);
+    const { limits } = apiKey;
+    const requestsUsed = Math.min(usage.requests, limits.requestsPerWindow);
+
+    return {
+      key: { id: apiKey.id, name: apiKey.name, plan: apiKey.plan },
+      limits,
+      requests: {
+        limit: limits.requestsPerWindow,
+        used: requestsUsed,
+        remaining: limits.requestsPerWindow - requestsUsed,
+        resetAt: new Date(usage.windowResetAt).toISOString()
+      },
+      ocrPages: {
+        limit: limits.ocrPagesPerDay,
+        used: usage.ocrPages,
+        remaining: Math.max(0, limits.ocrPagesPerDay - usage.ocrPages),
+        resetAt: new Date(usage.dayStart + DAY_MS).toISOString()
+      },
+      totals: {
+        requests: usage.totals.requests,
+        ocrPages: usage.totals.ocrPages,
+        uploadedBytes: usage.totals.uploadedBytes,
+        since: new Date(usage.totals.since).toISOString()
+      }
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.DEFAULT_PLANS = DEFAULT_PLANS;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,321 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fileStore = require('./file-store.service');
+const { detectFileType, TYPE_GROUPS, MIME_TYPES } = require('../utils/file-type.utils');
+
+// Directorio de las sesiones: <uploadId>/session.json + un archivo por chunk
+const SESSIONS_DIR = path.join(__dirname, '../../chunked-uploads');
+
+// Tope opcional del archivo completo (UPLOAD_MAX_SIZE en bytes). Sin él manda el tamaño
+// máximo de procesamiento: 150MB sin API key o el maxFileSize del plan
+const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE) || Infinity;
+
+// Vida del archivo ensamblado en el FileStore (UPLOAD_FILE_TTL en segundos, default: 1 hora).
+// Se sube para procesarlo después, así que no usa la expiración de 10 minutos de los resultados
+const UPLOADED_FILE_TTL_MS = (parseInt(process.env.UPLOAD_FILE_TTL) || 60 * 60) * 1000;
+
+// Tamaño de chunk por defecto y límites que puede pedir el cliente
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Una sesión sin actividad caduca a las 24 horas
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Tipos de contenido que acepta alguna ruta de procesamiento (el resto no sirve como sourceFileId)
+const ACCEPTED_TYPES = new Set(Object.values(TYPE_GROUPS).flat());
+
+// Los uploadId son 16 bytes aleatorios en hex
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function uploadError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Subidas por partes reanudables: se crea una sesión, se envían los chunks numerados
+ * (en cualquier orden y repitiendo los que fallen) y al finalizar se ensamblan, se
+ * comprueba el SHA-256 y el archivo pasa al FileStore, desde donde cualquier ruta lo
+ * puede usar con sourceFileId.
+ *
+ * El estado se guarda en disco (session.json), así una subida sobrevive a un reinicio.
+ */
+class ChunkedUploadService {
+  constructor() {
+    // Limpieza de sesiones abandonadas cada 30 minutos
+    setInterval(() => this.cleanupExpired(), 30 * 60 * 1000).unref();
+  }
+
+  getSessionDir(uploadId) {
+    return path.join(SESSIONS_DIR, uploadId);
+  }
+
+  getChunkPath(uploadId, index) {
+    return path.join(this.getSessionDir(uploadId), `${index}.part`);
+  }
+
+  /**
+   * Crea una sesión de subida
+   * @param {object} params
+   * @param {string} params.fileName - Nombre del archivo (con extensión)
+   * @param {number} params.size - Tamaño total en bytes
+   * @param {number} params.chunkSize - Tamaño de chunk deseado (opcional)
+   * @param {number} params.maxSize - Tamaño máximo que aceptan las rutas de procesamiento
+   * @returns {Promise<object>} - Sesión
+   */
+  async createSession({ fileName, size, chunkSize, maxSize }) {
+    const totalSize = Number(size);
+    if (!Number.isInteger(totalSize) || totalSize < 1) {
+      throw uploadError('size debe ser el tamaño del archivo en bytes', 400, 'INVALID_UPLOAD');
+    }
+    const sizeLimit = Math.min(MAX_FILE_SIZE, maxSize || Infinity);
+    if (totalSize > sizeLimit) {
+      throw uploadError(`El archivo supera el máximo de ${Math.round(sizeLimit / 1024 / 1024)}MB`, 413, 'FILE_TOO_LARGE');
+    }
+
+    const requestedChunkSize = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+    if (!Number.isInteger(requestedChunkSize) || requestedChunkSize < MIN_CHUNK_SIZE || requestedChunkSize > MAX_CHUNK_SIZE) {
+      throw uploadError(`chunkSize debe estar entre ${MIN_CHUNK_SIZE} y ${MAX_CHUNK_SIZE} bytes`, 400, 'INVALID_UPLOAD');
+    }
+
+    const now = Date.now();
+    const session = {
+      uploadId: crypto.randomBytes(16).toString('hex'),
+      fileName,
+      size: totalSize,
+      chunkSize: requestedChunkSize,
+      totalChunks: Math.ceil(totalSize / requestedChunkSize),
+      createdAt: now,
+      expiresAt: now + SESSION_TTL_MS
+    };
+
+    await fs.mkdir(this.getSessionDir(session.uploadId), { recursive: true });
+    await this.saveSession(session);
+
+    console.log(`[ChunkedUpload] Session ${session.uploadId}: ${fileName} (${totalSize} bytes, ${session.totalChunks} chunks)`);
+    return session;
+  }
+
+  async saveSession(session) {
+    const sessionPath = path.join(this.getSessionDir(session.uploadId), 'session.json');
+    await fs.writeFile(sessionPath, JSON.stringify(session));
+  }
+
+  /**
+   * @throws {Error} - 404 UPLOAD_NOT_FOUND si no existe o ha caducado
+   */
+  async getSession(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId || '')) {
+      throw uploadError('Subida no encontrada o caducada', 404, 'UPLOAD_NOT_FOUND');
+    }
+
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(path.join(this.getSessionDir(uploadId), 'session.json'), 'utf-8'));
+    } catch (e) {
+      throw uploadError('Subida no encontrada o caducada', 404, 'UPLOAD_NOT_FOUND');
+    }
+
+    if (Date.now() > session.expiresAt) {
+      await this.abort(uploadId);
+      throw uploadError('Subida no encontrada o caducada', 404, 'UPLOAD_NOT_FOUND');
+    }
+
+    return session;
+  }
+
+  /**
+   * Tamaño que debe tener el chunk `index` (el último puede ser menor)
+   */
+  expectedChunkSize(session, index) {
+    return index === session.totalChunks - 1
+      ? session.size - session.chunkSize * (session.totalChunks - 1)
+      : session.chunkSize;
+  }
+
+  /**
+   * Guarda un chunk desde un stream. Reenviar un chunk lo sustituye.
+   * @param {string} uploadId
+   * @param {number} index - Número de chunk (0-based)
+   * @param {Readable} stream - Cuerpo de la petición
+   * @param {string} checksum - SHA-256 del chunk en hex (opcional)
+   * @returns {Promise<{index: number, size: number}>}
+   */
+  async writeChunk(uploadId, index, stream, checksum) {
+    const session = await this.getSession(uploadId);
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw uploadError(`Chunk fuera de rango (0-${session.totalChunks - 1})`, 400, 'INVALID_CHUNK');
+    }
+
+    const expected = this.expectedChunkSize(session, index);
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+
+    // Corta en cuanto el cliente envía más de lo que corresponde al chunk
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > expected) {
+          return callback(uploadError(`El chunk ${index} debe tener ${expected} bytes`, 413, 'INVALID_CHUNK_SIZE'));
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    const chunkPath = this.getChunkPath(uploadId, index);
+    // Sufijo aleatorio: dos envíos simultáneos del mismo chunk no comparten el temporal
+    const tmpPath = `${chunkPath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+
+    try {
+      await pipeline(stream, limiter, fsSync.createWriteStream(tmpPath));
+
+      if (received !== expected) {
+        throw uploadError(`El chunk ${index} debe tener ${expected} bytes (recibidos ${received})`, 400, 'INVALID_CHUNK_SIZE');
+      }
+      if (checksum && hash.digest('hex') !== checksum.toLowerCase()) {
+        throw uploadError(`El SHA-256 del chunk ${index} no coincide`, 422, 'CHUNK_CHECKSUM_MISMATCH');
+      }
+
+      await fs.rename(tmpPath, chunkPath);
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+
+    // Cada chunk recibido alarga la vida de la sesión
+    session.expiresAt = Date.now() + SESSION_TTL_MS;
+    await this.saveSession(session);
+
+    return { index, size: received };
+  }
+
+  /**
+   * Estado de la sesión: qué chunks faltan, para reanudar
+   */
+  async getStatus(uploadId) {
+    const session = await this.getSession(uploadId);
+    const entries = await fs.readdir(this.getSessionDir(uploadId));
+    const received = entries
+      .filter(name => /^\d+\.part$/.test(name))
+      .map(name => parseInt(name, 10))
+      .sort((a, b) => a - b);
+
+    const receivedSet = new Set(received);
+    const missing = [];
+    for (let i = 0; i < session.totalChunks; i++) {
+      if (!receivedSet.has(i)) missing.push(i);
+    }
+
+    return {
+      uploadId,
+      fileName: session.fileName,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks: received,
+      missingChunks: missing,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Ensambla los chunks, comprueba el SHA-256 del archivo completo y lo guarda en el FileStore
+   * @param {string} uploadId
+   * @param {string} sha256 - SHA-256 del archivo completo en hex
+   * @returns {Promise<{fileId: string, fileName: string, size: number, sha256: string}>}
+   */
+  async complete(uploadId, sha256) {
+    if (!/^[a-fA-F0-9]{64}$/.test(sha256 || '')) {
+      throw uploadError('sha256 (hex) del archivo completo requerido', 400, 'INVALID_CHECKSUM');
+    }
+
+    const status = await this.getStatus(uploadId);
+    if (status.missingChunks.length > 0) {
+      const error = uploadError(`Faltan ${status.missingChunks.length} chunks`, 409, 'UPLOAD_INCOMPLETE');
+      error.missingChunks = status.missingChunks;
+      throw error;
+    }
+
+    const session = await this.getSession(uploadId);
+    const assembledPath = path.join(this.getSessionDir(uploadId), 'assembled');
+    const hash = crypto.createHash('sha256');
+    const output = fsSync.createWriteStream(assembledPath);
+
+    try {
+      for (let i = 0; i < session.totalChunks; i++) {
+        const input = fsSync.createReadStream(this.getChunkPath(uploadId, i));
+        input.on('data', chunk => hash.update(chunk));
+        await pipeline(input, output, { end: false });
+      }
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    } catch (error) {
+      output.destroy();
+      await fs.unlink(assembledPath).catch(() => {});
+      throw error;
+    }
+
+    const digest = hash.digest('hex');
+    if (digest !== sha256.toLowerCase()) {
+      // Los chunks se conservan: el cliente puede reenviar los que sospeche y volver a finalizar
+      await fs.unlink(assembledPath).catch(() => {});
+      throw uploadError('El SHA-256 del archivo ensamblado no coincide', 422, 'CHECKSUM_MISMATCH');
+    }
+
+    // El MIME type sale del contenido, nunca del cliente: es el Content-Type de la descarga
+    const detectedType = await detectFileType(assembledPath);
+    if (!ACCEPTED_TYPES.has(detectedType)) {
+      console.warn(`[ChunkedUpload] Rejected ${uploadId} (${session.fileName}): detected ${detectedType || 'unknown'}`);
+      await this.abort(uploadId);
+      throw uploadError(`El contenido de "${session.fileName}" no corresponde a un tipo admitido`, 415, 'UNSUPPORTED_CONTENT');
+    }
+
+    const fileId = await fileStore.storeFile(assembledPath, session.fileName, MIME_TYPES[detectedType], {
+      ttlMs: UPLOADED_FILE_TTL_MS
+    });
+    await this.abort(uploadId);
+
+    console.log(`[ChunkedUpload] Completed ${uploadId} -> ${fileId} (${session.size} bytes)`);
+    return { fileId, fileName: session.fileName, size: session.size, sha256: digest };
+  }
+
+  /**
+   * Cancela una sesión y borra sus chunks
+   */
+  async abort(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId || '')) return;
+    await fs.rm(this.getSessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  /**
+   * Borra las sesiones caducadas (o sin session.json)
+   */
+  async cleanupExpired() {
+    let entries;
+    try {
+      entries = await fs.readdir(SESSIONS_DIR);
+    } catch (e) {
+      return;
+    }
+
+    for (const uploadId of entries.filter(name => UPLOAD_ID_PATTERN.test(name))) {
+      try {
+        await this.getSession(uploadId);
+      } catch (e) {
+        await this.abort(uploadId);
+      }
+    }
+  }
+}
+
+module.exports = new ChunkedUploadService();
+module.exports.SESSIONS_DIR = SESSIONS_DIR;
+module.exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
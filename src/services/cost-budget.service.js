@@ -0,0 +1,130 @@
+const redisService = require('./redis.service');
+
+// Presupuesto sin API key (COST_BUDGET unidades, se rellena entero en COST_BUDGET_WINDOW minutos)
+const DEFAULT_CAPACITY = parseInt(process.env.COST_BUDGET) || 1000;
+const DEFAULT_WINDOW_MINUTES = parseInt(process.env.COST_BUDGET_WINDOW) || 15;
+
+// Buckets en memoria a partir de los cuales se eliminan los que ya están llenos
+const MAX_MEMORY_BUCKETS = 10000;
+
+/**
+ * Token bucket atómico en Redis. Mismas reglas que chargeBucket().
+ * Devuelve [permitido, tokens restantes] (los tokens como string: Lua trunca los números).
+ */
+const REDIS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= math.min(cost, capacity) then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Rellena el bucket hasta `now` e intenta cobrar `cost`.
+ * Un trabajo más caro que la capacidad solo se admite con el bucket lleno y lo deja en
+ * negativo: se puede procesar, pero el cliente espera a que se recupere el saldo.
+ */
+function chargeBucket(bucket, { capacity, rate, cost, now }) {
+  const tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * rate);
+  const allowed = tokens >= Math.min(cost, capacity);
+  return { allowed, tokens: allowed ? tokens - cost : tokens };
+}
+
+/**
+ * Presupuesto de coste por cliente (token bucket). Cada trabajo cobra unidades según las
+ * páginas, los MB y la herramienta (ver cost-limit.middleware); el saldo se recupera de
+ * forma continua hasta la capacidad.
+ *
+ * Con RATE_LIMIT_STORE=redis los buckets se comparten entre instancias, como los rate limiters.
+ */
+class CostBudgetService {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  get useRedis() {
+    return (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'redis';
+  }
+
+  /**
+   * Capacidad y ventana de relleno del cliente: las del plan de su API key o las anónimas
+   */
+  getBudget(apiKey) {
+    if (apiKey) {
+      return { capacity: apiKey.limits.costBudget, windowMinutes: apiKey.limits.windowMinutes };
+    }
+    return { capacity: DEFAULT_CAPACITY, windowMinutes: DEFAULT_WINDOW_MINUTES };
+  }
+
+  /**
+   * Cobra `cost` unidades al cliente
+   * @param {string} clientKey - 'key:<id>' o 'ip:<ip>'
+   * @param {number} cost
+   * @param {object} apiKey - req.apiKey (opcional)
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, cost: number, resetSeconds: number, retryAfter: number}>}
+   */
+  async charge(clientKey, cost, apiKey = null) {
+    const { capacity, windowMinutes } = this.getBudget(apiKey);
+    const rate = capacity / (windowMinutes * 60 * 1000); // unidades por ms
+    const now = Date.now();
+
+    const { allowed, tokens } = this.useRedis
+      ? await this.chargeRedis(clientKey, { capacity, rate, cost, now })
+      : this.chargeMemory(clientKey, { capacity, rate, cost, now });
+
+    const needed = Math.min(cost, capacity) - tokens;
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.max(0, Math.floor(tokens)),
+      cost,
+      // Segundos hasta tener el bucket lleno otra vez
+      resetSeconds: Math.ceil((capacity - tokens) / rate / 1000),
+      // Segundos hasta poder pagar este trabajo (solo si se rechaza)
+      retryAfter: allowed ? 0 : Math.ceil(needed / rate / 1000)
+    };
+  }
+
+  chargeMemory(clientKey, params) {
+    const bucket = this.buckets.get(clientKey) || { tokens: params.capacity, ts: params.now };
+    const result = chargeBucket(bucket, params);
+    // Capacidad y ritmo del cliente: prune() los necesita para saber cuándo se ha rellenado
+    this.buckets.set(clientKey, { tokens: result.tokens, ts: params.now, capacity: params.capacity, rate: params.rate });
+
+    if (this.buckets.size > MAX_MEMORY_BUCKETS) this.prune(params.now);
+    return result;
+  }
+
+  async chargeRedis(clientKey, { capacity, rate, cost, now }) {
+    const prefix = process.env.RATE_LIMIT_PREFIX || 'pdf-worker:rl:';
+    const [allowed, tokens] = await redisService.getClient().eval(
+      REDIS_SCRIPT, 1, `${prefix}cost:${clientKey}`, capacity, rate, cost, now
+    );
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+
+  /**
+   * Elimina los buckets que ya se han rellenado (equivalen a uno nuevo), cada uno con su
+   * capacidad y ritmo: un plan con ventana larga tarda más en rellenarse
+   */
+  prune(now) {
+    for (const [clientKey, bucket] of this.buckets) {
+      if (now - bucket.ts >= (bucket.capacity - bucket.tokens) / bucket.rate) {
+        this.buckets.delete(clientKey);
+      }
+    }
+  }
+}
+
+module.exports = new CostBudgetService();
@@ -1,87 +1,553 @@
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const { createStorageDriver } = require('./storage');
+const { setContext } = require('../utils/logger.utils');
+const redisService = require('./redis.service');
 
-// Almacén en memoria: { fileId: { path, fileName, mimeType, createdAt } }
+// Caché en memoria: { fileId: { key, path, fileName, mimeType, size, createdAt, expiresAt,
+//   maxDownloads, downloads, signed } }
+// La fuente de verdad es el manifiesto JSON que acompaña a cada archivo en el driver,
+// así los fileId sobreviven a reinicios y se comparten entre instancias/nodos
 const fileStore = new Map();
 
-// Directorio para archivos temporales de descarga
+// Directorio para archivos temporales de descarga (driver local)
 const DOWNLOAD_DIR = path.join(__dirname, '../../downloads');
 
+// Driver de almacenamiento: disco local o S3-compatible (STORAGE_DRIVER)
+const storage = createStorageDriver(DOWNLOAD_DIR);
+
 // Tiempo de expiración: 10 minutos
 const EXPIRATION_MS = 10 * 60 * 1000;
 
-// Asegurar que existe el directorio
-async function ensureDir() {
+// TTL máximo que se puede pedir al crear un archivo (FILE_MAX_TTL en segundos, default: 24 horas)
+const MAX_TTL_MS = (parseInt(process.env.FILE_MAX_TTL) || 24 * 60 * 60) * 1000;
+
+// Límite superior de maxDownloads
+const MAX_DOWNLOADS_LIMIT = 1000;
+
+// Secreto de los enlaces firmados. Con varias instancias debe ser el mismo en todas
+const SIGNING_SECRET = process.env.DOWNLOAD_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Sufijo de los manifiestos: <fileId>.meta.json
+const MANIFEST_SUFFIX = '.meta.json';
+
+// Los fileId son 16 bytes aleatorios en hex
+const FILE_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Prefijo de los contadores de descargas en Redis
+const DOWNLOADS_PREFIX = `${process.env.RATE_LIMIT_PREFIX || 'pdf-worker:rl:'}downloads:`;
+
+/**
+ * Cuenta una descarga de forma atómica en Redis. El contador parte de las descargas del
+ * manifiesto y caduca con el archivo. Devuelve el número de descarga (puede pasar de max:
+ * esa descarga se rechaza).
+ */
+const COUNT_DOWNLOAD_SCRIPT = `
+redis.call('SET', KEYS[1], ARGV[1], 'NX')
+local downloads = redis.call('INCR', KEYS[1])
+redis.call('PEXPIREAT', KEYS[1], ARGV[2])
+return downloads
+`;
+
+// Conteos en curso por fileId (sin Redis): se encadenan para que cada uno lea el manifiesto
+// que dejó el anterior
+const countLocks = new Map();
+
+function getManifestKey(fileId) {
+  return `${fileId}${MANIFEST_SUFFIX}`;
+}
+
+function fileStoreError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * ¿Se agotaron las descargas permitidas?
+ */
+function isExhausted(entry) {
+  return Boolean(entry.maxDownloads) && entry.downloads >= entry.maxDownloads;
+}
+
+/**
+ * Convierte un manifiesto leído del driver en la entrada del store
+ * (la ruta local se recalcula para no depender de dónde estaba desplegado antes)
+ */
+function entryFromManifest(manifest) {
+  return {
+    key: manifest.storedName,
+    path: storage.getLocalPath(manifest.storedName),
+    fileName: manifest.fileName,
+    mimeType: manifest.mimeType,
+    size: manifest.size,
+    createdAt: manifest.createdAt,
+    expiresAt: manifest.expiresAt,
+    maxDownloads: manifest.maxDownloads || null,
+    downloads: manifest.downloads || 0,
+    signed: Boolean(manifest.signed)
+  };
+}
+
+/**
+ * Reescribe el manifiesto con el estado actual de la entrada (política y contador)
+ */
+async function writeManifest(fileId, file) {
+  const manifest = {
+    fileId,
+    storedName: file.key,
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    size: file.size,
+    createdAt: file.createdAt,
+    expiresAt: file.expiresAt,
+    maxDownloads: file.maxDownloads,
+    downloads: file.downloads,
+    signed: file.signed
+  };
+  await storage.put(getManifestKey(fileId), JSON.stringify(manifest), { contentType: 'application/json' });
+}
+
+async function readManifest(fileId) {
+  const raw = await storage.get(getManifestKey(fileId));
+  if (!raw) return null;
+
   try {
-    await fs.mkdir(DOWNLOAD_DIR, { recursive: true });
-  } catch (e) {}
+    return JSON.parse(raw.toString('utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Escribe el contenido en el driver según su tipo
+ * @returns {Promise<number>} - Tamaño en bytes
+ */
+async function putContent(storedName, source, mimeType) {
+  const options = { contentType: mimeType };
+
+  // Ruta de un archivo en disco: se copia/sube sin leerlo entero
+  if (typeof source === 'string') {
+    return storage.putFile(storedName, source, options);
+  }
+
+  // Stream (p.ej. un ZIP generándose): se cuentan los bytes al pasar
+  if (source && typeof source.pipe === 'function') {
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    source.on('error', error => counter.destroy(error));
+    await storage.putStream(storedName, source.pipe(counter), options);
+    return size;
+  }
+
+  await storage.put(storedName, source, options);
+  return source.length;
 }
 
 /**
  * Guarda un archivo y devuelve un fileId único
+ * @param {Buffer|string|Readable} source - Contenido, ruta de un archivo en disco o stream
+ * @param {string} fileName
+ * @param {string} mimeType
+ * @param {object} options
+ * @param {number} options.ttlMs - Vida del archivo (default: EXPIRATION_MS, máximo MAX_TTL_MS)
  */
-async function storeFile(buffer, fileName, mimeType) {
-  await ensureDir();
-  
+async function storeFile(source, fileName, mimeType, { ttlMs } = {}) {
   const fileId = crypto.randomBytes(16).toString('hex');
   const ext = path.extname(fileName) || '.bin';
   const storedName = `${fileId}${ext}`;
-  const filePath = path.join(DOWNLOAD_DIR, storedName);
-  
-  await fs.writeFile(filePath, buffer);
-  
-  fileStore.set(fileId, {
-    path: filePath,
+  const createdAt = Date.now();
+
+  const size = await putContent(storedName, source, mimeType);
+
+  const manifest = {
+    fileId,
+    storedName,
     fileName,
     mimeType,
-    createdAt: Date.now()
-  });
-  
-  console.log(`[FileStore] Stored: ${fileId} -> ${fileName}`);
+    size,
+    createdAt,
+    expiresAt: createdAt + (ttlMs ? Math.min(ttlMs, MAX_TTL_MS) : EXPIRATION_MS)
+  };
+
+  // El manifiesto se escribe después del archivo: si existe, el archivo está completo
+  await storage.put(getManifestKey(fileId), JSON.stringify(manifest), { contentType: 'application/json' });
+  fileStore.set(fileId, entryFromManifest(manifest));
+
+  // Los logs siguientes de la petición (incluida la línea final) llevan el fileId
+  setContext({ fileId });
+  console.log(`[FileStore] Stored: ${fileId} -> ${fileName} (${storage.name})`);
   return fileId;
 }
 
+/**
+ * Busca la entrada en memoria o, si no está (reinicio u otro nodo), en su manifiesto
+ */
+async function loadEntry(fileId) {
+  if (!FILE_ID_PATTERN.test(fileId || '')) {
+    return null;
+  }
+
+  if (fileStore.has(fileId)) {
+    return fileStore.get(fileId);
+  }
+
+  const manifest = await readManifest(fileId);
+  if (!manifest) return null;
+
+  const file = entryFromManifest(manifest);
+  fileStore.set(fileId, file);
+  return file;
+}
+
 /**
  * Obtiene info de un archivo por su ID
  */
-function getFile(fileId) {
-  return fileStore.get(fileId) || null;
+async function getFile(fileId) {
+  const file = await loadEntry(fileId);
+
+  if (!file || Date.now() > file.expiresAt) {
+    return null;
+  }
+
+  return file;
+}
+
+/**
+ * Aplica la política de descarga elegida al crear el archivo
+ * @param {string} fileId
+ * @param {object} policy
+ * @param {number} policy.ttlMs - Vida del archivo desde su creación (máximo MAX_TTL_MS)
+ * @param {number} policy.maxDownloads - Descargas permitidas (después se borra el contenido)
+ * @param {boolean} policy.signed - Exigir enlace firmado (fileId solo no basta)
+ * @returns {Promise<object>} - Entrada actualizada
+ */
+async function setPolicy(fileId, { ttlMs, maxDownloads, signed } = {}) {
+  const file = await loadEntry(fileId);
+  if (!file) {
+    throw fileStoreError('Archivo no encontrado o expirado', 404, 'FILE_NOT_FOUND');
+  }
+
+  if (ttlMs) file.expiresAt = file.createdAt + Math.min(ttlMs, MAX_TTL_MS);
+  if (maxDownloads) file.maxDownloads = maxDownloads;
+  if (signed) file.signed = true;
+
+  await writeManifest(fileId, file);
+  return file;
+}
+
+/**
+ * Firma HMAC de un enlace de descarga: fileId + caducidad (segundos Unix)
+ */
+function signDownload(fileId, expires) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${fileId}:${expires}`).digest('base64url');
+}
+
+/**
+ * Ruta de descarga firmada, válida hasta que expira el archivo
+ */
+function getSignedPath(fileId, file) {
+  const expires = Math.floor(file.expiresAt / 1000);
+  return `/api/download/${fileId}?expires=${expires}&signature=${signDownload(fileId, expires)}`;
+}
+
+function verifySignature(fileId, expires, signature) {
+  const expected = Buffer.from(signDownload(fileId, expires));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Ejecuta fn con el conteo de descargas de fileId en exclusiva dentro de este proceso
+ */
+async function withCountLock(fileId, fn) {
+  const previous = countLocks.get(fileId) || Promise.resolve();
+  const current = previous.then(fn, fn);
+  const tail = current.catch(() => {});
+  countLocks.set(fileId, tail);
+
+  try {
+    return await current;
+  } finally {
+    if (countLocks.get(fileId) === tail) countLocks.delete(fileId);
+  }
+}
+
+/**
+ * Cuenta una descarga de un archivo con maxDownloads.
+ * El estado se vuelve a leer del manifiesto (otra instancia puede haberlo cambiado) y el
+ * incremento es atómico: con REDIS_URL en un contador compartido por todas las instancias,
+ * sin Redis encadenando los conteos del proceso.
+ * @returns {Promise<object>} - Entrada actualizada
+ * @throws {Error} - DOWNLOAD_LIMIT_REACHED (410)
+ */
+function countDownload(fileId) {
+  return withCountLock(fileId, async () => {
+    const manifest = await readManifest(fileId);
+    if (!manifest) {
+      throw fileStoreError('Archivo no encontrado o expirado', 404, 'FILE_NOT_FOUND');
+    }
+    const file = entryFromManifest(manifest);
+
+    let downloads = file.downloads + 1;
+    if (redisService.configured) {
+      try {
+        downloads = await redisService.getClient().eval(
+          COUNT_DOWNLOAD_SCRIPT, 1, `${DOWNLOADS_PREFIX}${fileId}`, file.downloads, file.expiresAt
+        );
+      } catch (error) {
+        console.error(`[FileStore] Download counter error (${fileId}):`, error.message);
+        throw fileStoreError('No se puede contar la descarga en este momento', 503, 'DOWNLOAD_COUNTER_UNAVAILABLE');
+      }
+    }
+
+    if (downloads > file.maxDownloads) {
+      file.downloads = file.maxDownloads;
+      fileStore.set(fileId, file);
+      throw fileStoreError('Se alcanzó el número máximo de descargas de este enlace', 410, 'DOWNLOAD_LIMIT_REACHED');
+    }
+
+    file.downloads = downloads;
+    fileStore.set(fileId, file);
+    console.log(`[FileStore] Download ${file.downloads}/${file.maxDownloads}: ${fileId}`);
+    await writeManifest(fileId, file);
+    return file;
+  });
+}
+
+/**
+ * Comprueba que el archivo se puede descargar y, si tiene límite, cuenta la descarga
+ * (ver countDownload).
+ *
+ * @param {string} fileId
+ * @param {object} options
+ * @param {string} options.expires - Caducidad del enlace firmado (segundos Unix)
+ * @param {string} options.signature - Firma del enlace
+ * @param {boolean} options.count - Contar la descarga (false para HEAD)
+ * @returns {Promise<object>} - Entrada del archivo
+ * @throws {Error} - status/code: FILE_NOT_FOUND (404), FILE_EXPIRED (410), SIGNATURE_REQUIRED (403),
+ *   INVALID_SIGNATURE (403), LINK_EXPIRED (410), DOWNLOAD_LIMIT_REACHED (410),
+ *   DOWNLOAD_COUNTER_UNAVAILABLE (503)
+ */
+async function consumeDownload(fileId, { expires, signature, count = true } = {}) {
+  const file = await loadEntry(fileId);
+  const now = Date.now();
+
+  if (!file) {
+    throw fileStoreError('Archivo no encontrado o expirado', 404, 'FILE_NOT_FOUND');
+  }
+  if (now > file.expiresAt) {
+    throw fileStoreError('El archivo ha expirado', 410, 'FILE_EXPIRED');
+  }
+
+  if (file.signed || signature) {
+    if (!signature || !expires) {
+      throw fileStoreError('Este archivo solo se puede descargar con un enlace firmado', 403, 'SIGNATURE_REQUIRED');
+    }
+    if (!verifySignature(fileId, expires, signature)) {
+      throw fileStoreError('La firma del enlace no es válida', 403, 'INVALID_SIGNATURE');
+    }
+    if (now > Number(expires) * 1000) {
+      throw fileStoreError('El enlace de descarga ha caducado', 410, 'LINK_EXPIRED');
+    }
+  }
+
+  if (isExhausted(file)) {
+    throw fileStoreError('Se alcanzó el número máximo de descargas de este enlace', 410, 'DOWNLOAD_LIMIT_REACHED');
+  }
+
+  if (count && file.maxDownloads) {
+    return countDownload(fileId);
+  }
+
+  return file;
+}
+
+/**
+ * Borra el contenido de un archivo que agotó sus descargas. El manifiesto se queda
+ * hasta que expira para seguir respondiendo DOWNLOAD_LIMIT_REACHED en vez de 404.
+ */
+async function releaseIfExhausted(fileId) {
+  const file = fileStore.get(fileId);
+  if (!file || !isExhausted(file)) return;
+
+  try {
+    await storage.delete(file.key);
+    console.log(`[FileStore] Download limit reached, content deleted: ${fileId}`);
+  } catch (e) {
+    console.error(`[FileStore] Error deleting ${fileId}:`, e.message);
+  }
+}
+
+/**
+ * Abre un stream de lectura del archivo almacenado (Promise<Readable>)
+ * @param {object} file - Entrada devuelta por getFile
+ * @param {object} range - Rango de bytes inclusivo { start, end } (opcional)
+ */
+function createReadStream(file, range = {}) {
+  return storage.createReadStream(file.key, range);
+}
+
+/**
+ * URL prefirmada para descargar directamente del almacenamiento
+ * @param {string} disposition - 'attachment' (default) | 'inline'
+ * @returns {Promise<string|null>} - null si el driver no las soporta (local)
+ */
+function getDownloadUrl(file, expiresIn, disposition = 'attachment') {
+  return storage.getDownloadUrl(file.key, {
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    expiresIn,
+    disposition
+  });
 }
 
 /**
  * Elimina un archivo del store
  */
 async function deleteFile(fileId) {
-  const file = fileStore.get(fileId);
+  const file = await loadEntry(fileId);
   if (file) {
     try {
-      await fs.unlink(file.path);
-    } catch (e) {}
+      await storage.delete(file.key);
+      await storage.delete(getManifestKey(fileId));
+    } catch (e) {
+      console.error(`[FileStore] Error deleting ${fileId}:`, e.message);
+    }
     fileStore.delete(fileId);
     console.log(`[FileStore] Deleted: ${fileId}`);
   }
 }
 
+/**
+ * Recorre el almacenamiento y elimina:
+ * - Archivos con manifiesto expirado (incluidos los de otras instancias)
+ * - Manifiestos cuyo archivo ya no existe
+ * - Archivos sin manifiesto más antiguos que EXPIRATION_MS (huérfanos)
+ *
+ * @param {object} options
+ * @param {boolean} options.load - Cargar en memoria los manifiestos vigentes (arranque)
+ * @returns {Promise<{loaded: number, expired: number, orphans: number}>}
+ */
+async function sweepStorage({ load = false } = {}) {
+  const stats = { loaded: 0, expired: 0, orphans: 0 };
+  const now = Date.now();
+
+  const objects = await storage.list();
+  const keys = new Set(objects.map(o => o.key));
+  const referenced = new Set();
+
+  for (const { key } of objects.filter(o => o.key.endsWith(MANIFEST_SUFFIX))) {
+    const fileId = key.slice(0, -MANIFEST_SUFFIX.length);
+    // Manifiesto corrupto: se trata como expirado
+    const manifest = await readManifest(fileId);
+
+    // Los archivos con las descargas agotadas ya no tienen contenido: el manifiesto se conserva
+    const missing = !keys.has(manifest?.storedName) && !isExhausted(manifest || {});
+
+    if (!manifest || missing || now > manifest.expiresAt) {
+      if (manifest) {
+        await storage.delete(manifest.storedName);
+      }
+      await storage.delete(key);
+      fileStore.delete(fileId);
+      stats.expired++;
+      continue;
+    }
+
+    referenced.add(manifest.storedName);
+    if (load) {
+      fileStore.set(fileId, entryFromManifest(manifest));
+      stats.loaded++;
+    }
+  }
+
+  for (const { key, lastModified } of objects) {
+    if (key.endsWith(MANIFEST_SUFFIX) || referenced.has(key)) {
+      continue;
+    }
+
+    if (now - new Date(lastModified).getTime() > EXPIRATION_MS) {
+      await storage.delete(key);
+      stats.orphans++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Reconstruye el índice desde los manifiestos y barre lo expirado.
+ * Se llama una vez al arrancar el servidor.
+ */
+async function init() {
+  if (!process.env.DOWNLOAD_SIGNING_SECRET) {
+    console.warn('[FileStore] DOWNLOAD_SIGNING_SECRET not set: signed links only work on this instance until restart');
+  }
+
+  const { loaded, expired, orphans } = await sweepStorage({ load: true });
+  console.log(`[FileStore] Index rebuilt (${storage.name}): ${loaded} files restored, ${expired} expired, ${orphans} orphans removed`);
+}
+
 /**
  * Limpia archivos expirados
  */
 async function cleanupExpired() {
   const now = Date.now();
   for (const [fileId, file] of fileStore.entries()) {
-    if (now - file.createdAt > EXPIRATION_MS) {
+    if (now > file.expiresAt) {
       await deleteFile(fileId);
     }
   }
+
+  try {
+    await sweepStorage();
+  } catch (error) {
+    console.error('[FileStore] Sweep error:', error.message);
+  }
 }
 
 // Limpieza automática cada 2 minutos
-setInterval(cleanupExpired, 2 * 60 * 1000);
+setInterval(cleanupExpired, 2 * 60 * 1000).unref();
+
+/**
+ * Archivos disponibles y bytes que ocupan en el driver (según el índice en memoria)
+ * @returns {{files: number, bytes: number, driver: string}}
+ */
+function getStats() {
+  const now = Date.now();
+  let files = 0;
+  let bytes = 0;
+  for (const file of fileStore.values()) {
+    if (now > file.expiresAt) continue;
+    files++;
+    bytes += file.size || 0;
+  }
+  return { files, bytes, driver: storage.name };
+}
 
 module.exports = {
+  init,
   storeFile,
   getFile,
+  setPolicy,
+  getSignedPath,
+  consumeDownload,
+  releaseIfExhausted,
+  createReadStream,
+  getDownloadUrl,
   deleteFile,
   cleanupExpired,
-  DOWNLOAD_DIR
+  getStats,
+  storage,
+  DOWNLOAD_DIR,
+  MAX_TTL_MS,
+  MAX_DOWNLOADS_LIMIT
 };
@@ -194,6 +194,38 @@ class GhostscriptService {
     await fs.access(outputPath);
     return outputPath;
   }
+
+  /**
+   * Renderiza una página a PNG (RGB). Se usa el CropBox y se respeta /Rotate,
+   * así la imagen coincide con lo que ve el usuario.
+   *
+   * @param {string} inputPath - Ruta del PDF
+   * @param {string} outputDir - Directorio de salida
+   * @param {number} pageNumber - Página (1-based)
+   * @param {number} dpi - Resolución
+   */
+  async renderPage(inputPath, outputDir, pageNumber, dpi = 200) {
+    const filename = path.basename(inputPath, '.pdf');
+    const outputPath = path.join(outputDir, `${filename}-page${pageNumber}-${Date.now()}.png`);
+
+    await execFileWithTimeout('gs', [
+      '-sDEVICE=png16m',
+      `-r${dpi}`,
+      '-dUseCropBox',
+      '-dTextAlphaBits=4',
+      '-dGraphicsAlphaBits=4',
+      `-dFirstPage=${pageNumber}`,
+      `-dLastPage=${pageNumber}`,
+      '-dNOPAUSE',
+      '-dQUIET',
+      '-dBATCH',
+      `-sOutputFile=${outputPath}`,
+      inputPath
+    ], { timeout: 180000 });
+
+    await fs.access(outputPath);
+    return outputPath;
+  }
 }
 
 module.exports = new GhostscriptService();
@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { execFileAsync } = require('../utils/file.utils');
+const playwrightService = require('./playwright.service');
+const redisService = require('./redis.service');
+
+// Segundos que se reutiliza el resultado de las comprobaciones (HEALTH_CACHE_SECONDS, default: 30)
+const CACHE_TTL_MS = (parseInt(process.env.HEALTH_CACHE_SECONDS) || 30) * 1000;
+
+// Espacio libre mínimo en cada directorio de trabajo (HEALTH_MIN_FREE_MB, default: 500MB)
+const MIN_FREE_BYTES = (parseInt(process.env.HEALTH_MIN_FREE_MB) || 500) * 1024 * 1024;
+
+// Tiempo máximo de cada comprobación
+const PROBE_TIMEOUT_MS = 15000;
+
+/**
+ * Binarios externos: comando y argumentos que devuelven la versión sin efectos secundarios
+ */
+const BINARY_PROBES = {
+  libreoffice: { command: 'libreoffice', args: ['--version'] },
+  ghostscript: { command: 'gs', args: ['--version'] },
+  imagemagick: { command: 'convert', args: ['-version'] },
+  qpdf: { command: 'qpdf', args: ['--version'] },
+  tesseract: { command: 'tesseract', args: ['--version'] },
+  ocrmypdf: { command: 'ocrmypdf', args: ['--version'] },
+  poppler: { command: 'pdftotext', args: ['-v'] }
+};
+
+/**
+ * Servicios sin los que la instancia no debe recibir tráfico (HEALTH_REQUIRED, separados por coma).
+ * Si falta otro servicio la instancia sigue lista pero en estado `degraded`.
+ */
+const REQUIRED_SERVICES = (process.env.HEALTH_REQUIRED || Object.keys(BINARY_PROBES).concat('playwright').join(','))
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const WORK_DIRS = ['uploads', 'outputs', 'downloads', 'chunked-uploads'];
+
+// Primera versión tipo 1.2 o 1.2.3 de la salida del comando
+const parseVersion = (output) => {
+  const match = String(output).match(/\d+(?:\.\d+)+/);
+  return match ? match[0] : null;
+};
+
+/**
+ * Comprobaciones reales de dependencias para /health/ready: versión de cada binario,
+ * arranque de Chromium, espacio en disco y Redis (si está configurado).
+ * Los resultados se cachean para que los probes del balanceador no lancen procesos
+ * en cada petición.
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = Date.now();
+    this.cached = null;
+    this.pending = null;
+  }
+
+  async probeBinary({ command, args }) {
+    try {
+      // execFileAsync directo: las comprobaciones no cuentan en las métricas de herramientas
+      const { stdout, stderr } = await execFileAsync(command, args, { timeout: PROBE_TIMEOUT_MS, killSignal: 'SIGKILL' });
+      return { status: 'available', version: parseVersion(stdout || stderr) };
+    } catch (error) {
+      return {
+        status: 'unavailable',
+        error: error.code === 'ENOENT' ? `${command} no está instalado` : error.message.split('\n')[0]
+      };
+    }
+  }
+
+  /**
+   * Chromium tiene que poder arrancar, no basta con que el paquete esté instalado
+   */
+  async probePlaywright() {
+    try {
+      const browser = await playwrightService.getBrowser();
+      return { status: 'available', version: browser.version() };
+    } catch (error) {
+      return { status: 'unavailable', error: error.message.split('\n')[0] };
+    }
+  }
+
+  async probeDisk() {
+    const disk = {};
+    for (const dir of WORK_DIRS) {
+      try {
+        const stats = await fs.statfs(path.join(ROOT_DIR, dir));
+        const freeBytes = stats.bavail * stats.bsize;
+        disk[dir] = {
+          status: freeBytes >= MIN_FREE_BYTES ? 'ok' : 'low',
+          freeBytes,
+          totalBytes: stats.blocks * stats.bsize
+        };
+      } catch (error) {
+        disk[dir] = { status: 'error', error: error.message };
+      }
+    }
+    return disk;
+  }
+
+  async probeAll() {
+    const startTime = Date.now();
+    const services = {};
+
+    for (const [name, probe] of Object.entries(BINARY_PROBES)) {
+      services[name] = await this.probeBinary(probe);
+    }
+    services.playwright = await this.probePlaywright();
+
+    if (redisService.configured) {
+      services.redis = (await redisService.ping())
+        ? { status: 'available' }
+        : { status: 'unavailable', error: 'Redis no responde' };
+    }
+
+    const disk = await this.probeDisk();
+
+    // Redis, si está configurado, siempre es necesario (rate limiting compartido)
+    const missingRequired = Object.entries(services)
+      .filter(([name, result]) => result.status !== 'available' && (REQUIRED_SERVICES.includes(name) || name === 'redis'))
+      .map(([name]) => name);
+    const diskProblems = Object.keys(disk).filter(dir => disk[dir].status !== 'ok');
+    const allAvailable = Object.values(services).every(result => result.status === 'available');
+
+    let status = 'ok';
+    if (missingRequired.length > 0 || diskProblems.length > 0) {
+      status = 'unavailable';
+    } else if (!allAvailable) {
+      status = 'degraded';
+    }
+
+    console.log(`[Health] Probes finished in ${Date.now() - startTime}ms: ${status}`);
+
+    return {
+      status,
+      checkedAt: new Date().toISOString(),
+      services,
+      disk,
+      problems: [...missingRequired.map(name => `service:${name}`), ...diskProblems.map(dir => `disk:${dir}`)]
+    };
+  }
+
+  /**
+   * Resultado de las comprobaciones, cacheado CACHE_TTL_MS. Las peticiones que llegan
+   * mientras se comprueba esperan a la misma ejecución.
+   */
+  async getReadiness() {
+    if (this.cached && Date.now() - this.cached.time < CACHE_TTL_MS) {
+      return this.cached.report;
+    }
+
+    if (!this.pending) {
+      this.pending = this.probeAll()
+        .then((report) => {
+          this.cached = { time: Date.now(), report };
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Liveness: el proceso responde. No comprueba dependencias a propósito, para que
+   * un binario caído no haga reiniciar el contenedor.
+   */
+  getLiveness() {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+      pid: process.pid
+    };
+  }
+}
+
+module.exports = new HealthService();
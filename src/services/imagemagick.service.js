@@ -33,6 +33,29 @@ class ImageMagickService {
 
     return outputPath;
   }
+
+  /**
+   * Pinta rectángulos opacos sobre una imagen y la guarda como JPEG
+   *
+   * @param {string} imagePath - Imagen de entrada
+   * @param {Array<{x1: number, y1: number, x2: number, y2: number, color: string}>} rects - En píxeles
+   * @param {string} outputPath - Ruta del JPEG resultante
+   */
+  async fillRectangles(imagePath, rects, outputPath, quality = 90) {
+    const drawArgs = rects.flatMap(r => [
+      '-fill', r.color || '#000000',
+      '-draw', `rectangle ${Math.floor(r.x1)},${Math.floor(r.y1)} ${Math.ceil(r.x2)},${Math.ceil(r.y2)}`
+    ]);
+
+    await execFileWithTimeout('convert', [
+      imagePath,
+      ...drawArgs,
+      '-quality', String(quality),
+      outputPath
+    ], { timeout: 120000 });
+
+    return outputPath;
+  }
 }
 
 module.exports = new ImageMagickService();
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+/**
+ * Estados posibles de un trabajo
+ */
+const JOB_STATUS = {
+  queued: 'queued',
+  running: 'running',
+  done: 'done',
+  failed: 'failed'
+};
+
+/**
+ * Concurrencia por defecto de cada familia de herramientas.
+ * Se puede sobreescribir con JOB_CONCURRENCY_<FAMILIA> (ej: JOB_CONCURRENCY_OCR=2)
+ */
+const DEFAULT_CONCURRENCY = {
+  ocr: 1,
+  office: 1, // LibreOffice headless comparte perfil: varias instancias a la vez fallan
+  ghostscript: 2,
+  imagemagick: 2,
+  playwright: 2,
+  qpdf: 4,
+  'pdf-lib': 4,
+  pipeline: 2 // Un pipeline puede lanzar Ghostscript y qpdf en el mismo trabajo
+};
+
+// Máximo de trabajos esperando turno por familia antes de rechazar
+const MAX_QUEUED_PER_FAMILY = parseInt(process.env.JOB_MAX_QUEUED) || 100;
+
+// Tiempo que se conserva un trabajo terminado: 1 hora
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+class JobQueueService {
+  constructor() {
+    // { jobId: { id, family, tool, status, createdAt, startedAt, finishedAt, statusCode, result, error } }
+    this.jobs = new Map();
+    // { family: { running, limit, waiting: [resolve] } }
+    this.families = new Map();
+
+    // Limpieza automática cada 5 minutos
+    setInterval(() => this.cleanupExpired(), 5 * 60 * 1000).unref();
+  }
+
+  /**
+   * Obtiene (o crea) el estado de concurrencia de una familia
+   * @param {string} family - Familia de herramientas (ocr, office, ghostscript...)
+   */
+  getFamily(family) {
+    if (!this.families.has(family)) {
+      const envKey = `JOB_CONCURRENCY_${family.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+      const limit = parseInt(process.env[envKey]) || DEFAULT_CONCURRENCY[family] || 2;
+
+      this.families.set(family, { running: 0, limit, waiting: [] });
+    }
+    return this.families.get(family);
+  }
+
+  /**
+   * Espera un hueco libre en la familia indicada
+   * @param {string} family - Familia de herramientas
+   * @returns {Promise<Function>} - Función que libera el hueco (idempotente)
+   */
+  async acquire(family) {
+    const state = this.getFamily(family);
+
+    if (state.running >= state.limit) {
+      if (state.waiting.length >= MAX_QUEUED_PER_FAMILY) {
+        const error = new Error('Demasiados trabajos en cola. Inténtalo de nuevo en unos minutos.');
+        error.status = 503;
+        error.code = 'QUEUE_FULL';
+        throw error;
+      }
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+
+    state.running++;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      state.running--;
+
+      const next = state.waiting.shift();
+      if (next) next();
+    };
+  }
+
+  /**
+   * Registra un nuevo trabajo en estado 'queued'
+   * @param {object} params
+   * @param {string} params.family - Familia de herramientas
+   * @param {string} params.tool - Ruta que lo procesa (ej: /api/compress-pdf)
+   * @returns {object} - Trabajo creado
+   */
+  createJob({ family, tool }) {
+    const job = {
+      id: crypto.randomBytes(16).toString('hex'),
+      family,
+      tool,
+      status: JOB_STATUS.queued,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      statusCode: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    console.log(`[Jobs] Queued: ${job.id} (${family} ${tool})`);
+    return job;
+  }
+
+  /**
+   * Marca un trabajo como en ejecución
+   */
+  startJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.status = JOB_STATUS.running;
+    job.startedAt = Date.now();
+    console.log(`[Jobs] Running: ${jobId}`);
+  }
+
+  /**
+   * Cierra un trabajo con la respuesta que generó la ruta
+   * @param {string} jobId - ID del trabajo
+   * @param {number} statusCode - Código HTTP que habría devuelto la ruta
+   * @param {object} body - Cuerpo JSON que habría devuelto la ruta
+   */
+  finishJob(jobId, statusCode, body) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.finishedAt) return;
+
+    const succeeded = statusCode < 400;
+    job.status = succeeded ? JOB_STATUS.done : JOB_STATUS.failed;
+    job.finishedAt = Date.now();
+    job.statusCode = statusCode;
+
+    if (succeeded) {
+      job.result = body;
+    } else {
+      job.error = body || { error: 'Error desconocido' };
+    }
+
+    const elapsed = ((job.finishedAt - job.createdAt) / 1000).toFixed(1);
+    console.log(`[Jobs] ${succeeded ? 'Done' : 'Failed'}: ${jobId} in ${elapsed}s`);
+  }
+
+  /**
+   * Devuelve la vista pública de un trabajo
+   * @param {string} jobId - ID del trabajo
+   * @returns {object|null}
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const view = {
+      jobId: job.id,
+      status: job.status,
+      family: job.family,
+      tool: job.tool,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+
+    if (job.status === JOB_STATUS.queued) {
+      view.position = this.getQueuePosition(job);
+    }
+
+    if (job.status === JOB_STATUS.done) {
+      view.fileId = job.result?.fileId || null;
+      view.result = job.result;
+    }
+
+    if (job.status === JOB_STATUS.failed) {
+      view.statusCode = job.statusCode;
+      view.error = job.error;
+    }
+
+    return view;
+  }
+
+  /**
+   * Posición aproximada de un trabajo en la cola de su familia (1-based)
+   */
+  getQueuePosition(job) {
+    let position = 0;
+    for (const other of this.jobs.values()) {
+      if (other.family === job.family &&
+          other.status === JOB_STATUS.queued &&
+          other.createdAt <= job.createdAt) {
+        position++;
+      }
+    }
+    return position;
+  }
+
+  /**
+   * Estado de las colas por familia
+   */
+  getStats() {
+    const stats = {};
+    for (const [family, state] of this.families.entries()) {
+      stats[family] = {
+        running: state.running,
+        queued: state.waiting.length,
+        concurrency: state.limit
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Elimina trabajos terminados hace más de JOB_TTL_MS
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = new JobQueueService();
+module.exports.JOB_STATUS = JOB_STATUS;
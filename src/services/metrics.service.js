@@ -0,0 +1,187 @@
+const client = require('prom-client');
+const fileStore = require('./file-store.service');
+const jobQueue = require('./job-queue.service');
+
+const PREFIX = 'pdf_worker_';
+
+// Tiempos de procesamiento: desde operaciones de pdf-lib (ms) hasta OCR de documentos largos
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+// Tamaños de archivo: 10KB .. 500MB
+const BYTE_BUCKETS = [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6, 250e6, 500e6];
+
+// Tamaño de salida / tamaño de entrada (< 1: el resultado ocupa menos)
+const RATIO_BUCKETS = [0.1, 0.25, 0.5, 0.75, 0.9, 1, 1.1, 1.5, 2, 5, 10];
+
+/**
+ * Métricas Prometheus del worker (GET /metrics). Las etiquetas `route` usan el patrón de
+ * la ruta (/api/download/:fileId), nunca la URL, para no disparar la cardinalidad.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+    const registers = [this.registry];
+
+    this.httpRequests = new client.Counter({
+      name: `${PREFIX}http_requests_total`,
+      help: 'Peticiones HTTP por ruta, método y código de estado',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+
+    this.httpDuration = new client.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'Duración de las peticiones HTTP (incluye la subida)',
+      labelNames: ['method', 'route', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+
+    this.processingDuration = new client.Histogram({
+      name: `${PREFIX}processing_duration_seconds`,
+      help: 'Tiempo desde que termina la subida hasta el resultado (incluye la espera en cola)',
+      labelNames: ['route', 'mode', 'outcome'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+
+    this.inputBytes = new client.Histogram({
+      name: `${PREFIX}input_bytes`,
+      help: 'Bytes recibidos por petición (ya descomprimidos)',
+      labelNames: ['route'],
+      buckets: BYTE_BUCKETS,
+      registers
+    });
+
+    this.outputBytes = new client.Histogram({
+      name: `${PREFIX}output_bytes`,
+      help: 'Tamaño del archivo resultado (fileId)',
+      labelNames: ['route'],
+      buckets: BYTE_BUCKETS,
+      registers
+    });
+
+    this.compressionRatio = new client.Histogram({
+      name: `${PREFIX}compression_ratio`,
+      help: 'Tamaño del resultado / tamaño de la entrada',
+      labelNames: ['route'],
+      buckets: RATIO_BUCKETS,
+      registers
+    });
+
+    this.toolFailures = new client.Counter({
+      name: `${PREFIX}external_tool_failures_total`,
+      help: 'Fallos de herramientas externas por binario y motivo',
+      labelNames: ['binary', 'reason'],
+      registers
+    });
+
+    this.toolDuration = new client.Histogram({
+      name: `${PREFIX}external_tool_duration_seconds`,
+      help: 'Duración de las ejecuciones de herramientas externas',
+      labelNames: ['binary', 'outcome'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: `${PREFIX}rate_limit_rejections_total`,
+      help: 'Peticiones rechazadas por cada limiter',
+      labelNames: ['limiter'],
+      registers
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}filestore_files`,
+      help: 'Archivos disponibles para descarga',
+      labelNames: ['driver'],
+      registers,
+      collect() {
+        const { files, driver } = fileStore.getStats();
+        this.reset();
+        this.set({ driver }, files);
+      }
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}filestore_bytes`,
+      help: 'Bytes que ocupan los archivos disponibles para descarga',
+      labelNames: ['driver'],
+      registers,
+      collect() {
+        const { bytes, driver } = fileStore.getStats();
+        this.reset();
+        this.set({ driver }, bytes);
+      }
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}jobs`,
+      help: 'Trabajos en ejecución y en espera por familia de herramientas',
+      labelNames: ['family', 'state'],
+      registers,
+      collect() {
+        this.reset();
+        for (const [family, stats] of Object.entries(jobQueue.getStats())) {
+          this.set({ family, state: 'running' }, stats.running);
+          this.set({ family, state: 'queued' }, stats.queued);
+        }
+      }
+    });
+  }
+
+  recordRequest({ method, route, status, durationSeconds }) {
+    const labels = { method, route, status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, durationSeconds);
+  }
+
+  /**
+   * Resultado de una herramienta: duración y, si hay fileId, tamaños y ratio
+   */
+  recordProcessing({ route, mode, succeeded, durationSeconds, inputBytes, outputBytes }) {
+    this.processingDuration.observe({ route, mode, outcome: succeeded ? 'success' : 'error' }, durationSeconds);
+
+    if (outputBytes === undefined) return;
+    this.outputBytes.observe({ route }, outputBytes);
+    if (inputBytes > 0) {
+      this.compressionRatio.observe({ route }, outputBytes / inputBytes);
+    }
+  }
+
+  recordInput(route, bytes) {
+    this.inputBytes.observe({ route }, bytes);
+  }
+
+  /**
+   * Ejecución de un binario externo (file.utils)
+   * @param {string} binary - Nombre del comando (gs, qpdf, libreoffice...)
+   * @param {number} durationSeconds
+   * @param {Error} error - Error de execFile, si falló
+   */
+  recordToolRun(binary, durationSeconds, error = null) {
+    this.toolDuration.observe({ binary, outcome: error ? 'error' : 'success' }, durationSeconds);
+    if (!error) return;
+
+    let reason = 'exit_code';
+    if (error.code === 'ENOENT') reason = 'not_found';
+    else if (error.killed || error.signal === 'SIGKILL') reason = 'timeout';
+    this.toolFailures.inc({ binary, reason });
+  }
+
+  recordRateLimitRejection(limiter) {
+    this.rateLimitRejections.inc({ limiter });
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
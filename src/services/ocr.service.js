@@ -2,6 +2,7 @@ const { execFileWithTimeout, execWithTimeout } = require('../utils/file.utils');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const ghostscriptService = require('./ghostscript.service');
 
 class OcrService {
   constructor() {
@@ -202,6 +203,88 @@ class OcrService {
     }
   }
 
+  /**
+   * OCR de una página con la caja de cada palabra (tesseract TSV).
+   * Las cajas están en píxeles de la imagen renderizada a `dpi`, origen arriba a la izquierda.
+   *
+   * @param {string} inputPath - Ruta del PDF
+   * @param {string} outputDir - Directorio para la imagen temporal
+   * @param {number} pageNumber - Página (1-based)
+   * @returns {Promise<{dpi: number, imageWidth: number, imageHeight: number, lines: Array<{words: Array<object>}>}>}
+   */
+  async recognizePageWords(inputPath, outputDir, pageNumber, options = {}) {
+    const { languages = ['spa', 'eng'], dpi = 300 } = options;
+
+    const installedLangs = await this.getInstalledLanguages();
+    const validLanguages = languages.filter(lang => installedLangs.includes(lang));
+    if (validLanguages.length === 0) {
+      validLanguages.push('eng');
+    }
+
+    const imagePath = await ghostscriptService.renderPage(inputPath, outputDir, pageNumber, dpi);
+
+    try {
+      const startTime = Date.now();
+      const { stdout } = await execFileWithTimeout('tesseract', [
+        imagePath,
+        'stdout',
+        '-l', validLanguages.join('+'),
+        '--dpi', String(dpi),
+        'tsv'
+      ], { timeout: 180000 });
+
+      const result = this.parseTsv(stdout);
+      const wordCount = result.lines.reduce((sum, line) => sum + line.words.length, 0);
+      console.log(`[OCR] Page ${pageNumber}: ${wordCount} words in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+      return { dpi, ...result };
+    } finally {
+      await fs.unlink(imagePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Parsea la salida TSV de tesseract agrupando las palabras por línea
+   */
+  parseTsv(tsv) {
+    const rows = tsv.split('\n').filter(row => row.trim());
+    const header = (rows.shift() || '').split('\t');
+    const col = (name) => header.indexOf(name);
+
+    let imageWidth = 0;
+    let imageHeight = 0;
+    const lines = new Map();
+
+    for (const row of rows) {
+      const cells = row.split('\t');
+      const level = Number(cells[col('level')]);
+
+      if (level === 1) {
+        imageWidth = Number(cells[col('width')]);
+        imageHeight = Number(cells[col('height')]);
+        continue;
+      }
+
+      const text = (cells[col('text')] || '').trim();
+      const confidence = Number(cells[col('conf')]);
+      if (level !== 5 || !text || confidence < 0) continue;
+
+      const key = ['block_num', 'par_num', 'line_num'].map(name => cells[col(name)]).join('-');
+      if (!lines.has(key)) lines.set(key, { words: [] });
+
+      lines.get(key).words.push({
+        text,
+        left: Number(cells[col('left')]),
+        top: Number(cells[col('top')]),
+        width: Number(cells[col('width')]),
+        height: Number(cells[col('height')]),
+        confidence
+      });
+    }
+
+    return { imageWidth, imageHeight, lines: [...lines.values()] };
+  }
+
   /**
    * Lista idiomas instalados en Tesseract
    */
@@ -0,0 +1,78 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+
+/**
+ * Construye un PDF nuevo a partir de instrucciones de organización
+ * (mismo formato que /api/organize-pdf)
+ *
+ * @param {Map<number, Buffer>} sources - Buffers de los PDFs origen por fileIndex
+ * @param {Array<object>} instructions - [{ fileIndex, originalIndex (1-based), rotation } | { isBlank: true }]
+ * @returns {Promise<PDFDocument>} - Documento resultante (sin guardar)
+ */
+async function organizePages(sources, instructions) {
+  const newPdf = await PDFDocument.create();
+  const loadedPdfs = new Map();
+
+  for (const inst of instructions) {
+    if (inst.isBlank) {
+      newPdf.addPage();
+    } else {
+      const fileIndex = inst.fileIndex || 0;
+      const pageIndex = (inst.originalIndex || 1) - 1;
+      const rotation = inst.rotation || 0;
+
+      let srcDoc = loadedPdfs.get(fileIndex);
+      if (!srcDoc) {
+        const buffer = sources.get(fileIndex);
+        if (!buffer) continue;
+        srcDoc = await PDFDocument.load(buffer);
+        loadedPdfs.set(fileIndex, srcDoc);
+      }
+
+      if (pageIndex >= 0 && pageIndex < srcDoc.getPageCount()) {
+        const [copiedPage] = await newPdf.copyPages(srcDoc, [pageIndex]);
+        const existingRotation = copiedPage.getRotation().angle;
+        copiedPage.setRotation(degrees((existingRotation + rotation) % 360));
+        newPdf.addPage(copiedPage);
+      }
+    }
+  }
+
+  return newPdf;
+}
+
+/**
+ * Copia y rota páginas de un PDF (mismo formato que /api/rotate-pdf)
+ *
+ * @param {Buffer} pdfBuffer - PDF original
+ * @param {Array<object>} pageInstructions - [{ originalIndex (0-based), rotation }]
+ * @returns {Promise<PDFDocument>} - Documento resultante (sin guardar)
+ * @throws {RangeError} - Si algún índice está fuera de rango
+ */
+async function rotatePages(pdfBuffer, pageInstructions) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const newPdf = await PDFDocument.create();
+
+  const totalPages = pdfDoc.getPageCount();
+  const indicesToCopy = pageInstructions.map(p => p.originalIndex);
+
+  if (indicesToCopy.some(idx => idx < 0 || idx >= totalPages)) {
+    throw new RangeError('Índices de página fuera de rango');
+  }
+
+  const copiedPages = await newPdf.copyPages(pdfDoc, indicesToCopy);
+
+  pageInstructions.forEach((instruction, i) => {
+    const page = copiedPages[i];
+    const rotation = instruction.rotation || 0;
+    const existingRotation = page.getRotation().angle;
+    page.setRotation(degrees((existingRotation + rotation) % 360));
+    newPdf.addPage(page);
+  });
+
+  return newPdf;
+}
+
+module.exports = {
+  organizePages,
+  rotatePages
+};
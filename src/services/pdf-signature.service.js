@@ -0,0 +1,555 @@
+const {
+  PDFDocument,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  drawImage,
+  degrees
+} = require('pdf-lib');
+const { X509Certificate, randomBytes } = require('crypto');
+const { execFileWithTimeout } = require('../utils/file.utils');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+// Bytes reservados para la firma CMS (certificado + cadena). Se rellena con ceros.
+const SIGNATURE_LENGTH = parseInt(process.env.SIGNATURE_PLACEHOLDER_BYTES) || 16384;
+
+// Marcador de ancho fijo para /ByteRange, se sustituye tras guardar el PDF
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+// PAdES baseline: CMS detached con atributo signingCertificateV2 (openssl -cades)
+const SUB_FILTER = 'ETSI.CAdES.detached';
+
+// SubFilters con CMS detached sobre el ByteRange (verificables con openssl cms)
+const VERIFIABLE_SUB_FILTERS = new Set([SUB_FILTER, 'adbe.pkcs7.detached']);
+
+// CA adicional para validar la cadena (además del almacén del sistema)
+const TRUSTED_CA_FILE = process.env.SIGNATURE_TRUSTED_CA_FILE || null;
+
+function signatureError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function safeDate(fn) {
+  try {
+    const date = fn();
+    return date instanceof Date && !isNaN(date) ? date : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+class PdfSignatureService {
+
+  /**
+   * Firma digitalmente un PDF (PAdES) con un certificado PKCS#12.
+   * Añade un campo /Sig con su widget, reserva /Contents, calcula /ByteRange
+   * y embebe una firma CMS detached generada con OpenSSL.
+   *
+   * Nota: el documento se reescribe completo, así que firmas previas dejan de ser válidas.
+   *
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib ya cargado (con sellos visuales aplicados)
+   * @param {object} options
+   * @param {Buffer} options.p12 - Contenido del .p12/.pfx
+   * @param {string} options.password - Contraseña del certificado
+   * @param {string} options.reason - Motivo de la firma (opcional)
+   * @param {string} options.location - Lugar de la firma (opcional)
+   * @param {string} options.contactInfo - Contacto del firmante (opcional)
+   * @param {object} options.appearance - { pageNumber, x, y, width, height, image } (opcional, firma visible)
+   * @returns {Promise<{pdfBytes: Buffer, signer: object, signedAt: string, subFilter: string}>}
+   */
+  async signPdf(pdfDoc, options = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-sign-'));
+
+    try {
+      // Extraer primero: si el certificado o la contraseña fallan no se toca el PDF
+      const credentials = await this.extractCredentials(options.p12, options.password || '', workDir);
+      const signer = this.describeCertificate(credentials.certificate);
+
+      const now = new Date();
+      if (now < new Date(signer.validFrom) || now > new Date(signer.validTo)) {
+        throw signatureError('El certificado no está vigente', 400, 'CERTIFICATE_EXPIRED');
+      }
+
+      await this.addSignatureField(pdfDoc, {
+        ...options,
+        name: options.name || signer.commonName,
+        signingTime: now
+      });
+
+      const pdf = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+      const { byteRange, contentsStart, contentsEnd } = this.locatePlaceholders(pdf);
+
+      // Escribir /ByteRange real con el mismo ancho que el marcador
+      const byteRangeText = `[${byteRange.join(' ')}]`.padEnd(byteRange.placeholderLength, ' ');
+      pdf.write(byteRangeText, byteRange.offset, 'latin1');
+
+      const signedData = Buffer.concat([pdf.subarray(0, contentsStart), pdf.subarray(contentsEnd)]);
+      const cms = await this.createCms(signedData, credentials, workDir);
+
+      if (cms.length > SIGNATURE_LENGTH) {
+        throw signatureError(
+          `La firma (${cms.length} bytes) no cabe en el espacio reservado (${SIGNATURE_LENGTH} bytes)`,
+          500,
+          'SIGNATURE_TOO_LARGE'
+        );
+      }
+
+      const hex = cms.toString('hex').padEnd(SIGNATURE_LENGTH * 2, '0');
+      pdf.write(hex, contentsStart + 1, 'latin1');
+
+      console.log(`[PDF Signature] Signed by: ${signer.subject} (${cms.length} bytes CMS)`);
+
+      return {
+        pdfBytes: pdf,
+        signer,
+        signedAt: now.toISOString(),
+        subFilter: SUB_FILTER
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Crea el diccionario /Sig con los marcadores y su widget en la página indicada
+   */
+  async addSignatureField(pdfDoc, options) {
+    const context = pdfDoc.context;
+    const appearance = options.appearance || {};
+    const pageIndex = (appearance.pageNumber || 1) - 1;
+
+    if (pageIndex < 0 || pageIndex >= pdfDoc.getPageCount()) {
+      throw signatureError(`Página ${appearance.pageNumber} no existe`, 400, 'INVALID_SIGNATURE_PAGE');
+    }
+
+    const page = pdfDoc.getPage(pageIndex);
+
+    const sigDict = context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: SUB_FILTER,
+      ByteRange: [
+        PDFNumber.of(0),
+        PDFName.of(BYTE_RANGE_PLACEHOLDER),
+        PDFName.of(BYTE_RANGE_PLACEHOLDER),
+        PDFName.of(BYTE_RANGE_PLACEHOLDER)
+      ],
+      Contents: PDFHexString.of('0'.repeat(SIGNATURE_LENGTH * 2)),
+      M: PDFString.fromDate(options.signingTime)
+    });
+
+    if (options.name) sigDict.set(PDFName.of('Name'), PDFString.of(options.name));
+    if (options.reason) sigDict.set(PDFName.of('Reason'), PDFString.of(options.reason));
+    if (options.location) sigDict.set(PDFName.of('Location'), PDFString.of(options.location));
+    if (options.contactInfo) sigDict.set(PDFName.of('ContactInfo'), PDFString.of(options.contactInfo));
+
+    const sigRef = context.register(sigDict);
+
+    // Sin dimensiones la firma es invisible (Rect vacío)
+    const isVisible = appearance.width > 0 && appearance.height > 0;
+    const x = isVisible ? appearance.x || 0 : 0;
+    const y = isVisible ? appearance.y || 0 : 0;
+    const width = isVisible ? appearance.width : 0;
+    const height = isVisible ? appearance.height : 0;
+
+    const form = pdfDoc.catalog.getOrCreateAcroForm();
+    const fieldName = `Signature${form.getAllFields().length + 1}`;
+
+    const widget = context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      Rect: [x, y, x + width, y + height],
+      V: sigRef,
+      T: PDFString.of(fieldName),
+      F: 4,
+      P: page.ref
+    });
+
+    if (isVisible && appearance.image) {
+      widget.set(PDFName.of('AP'), context.obj({
+        N: await this.createImageAppearance(pdfDoc, appearance.image, width, height)
+      }));
+    }
+
+    const widgetRef = context.register(widget);
+    page.node.addAnnot(widgetRef);
+    form.addField(widgetRef);
+    form.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+  }
+
+  /**
+   * Form XObject con la imagen de firma escalada al rectángulo del widget
+   */
+  async createImageAppearance(pdfDoc, image, width, height) {
+    const imageBuffer = Buffer.from(image.split(',')[1] || '', 'base64');
+    const embeddedImage = image.includes('image/jpeg') || image.includes('image/jpg')
+      ? await pdfDoc.embedJpg(imageBuffer)
+      : await pdfDoc.embedPng(imageBuffer);
+
+    const stream = pdfDoc.context.formXObject(
+      drawImage('SigImg', {
+        x: 0,
+        y: 0,
+        width,
+        height,
+        rotate: degrees(0),
+        xSkew: degrees(0),
+        ySkew: degrees(0)
+      }),
+      {
+        BBox: [0, 0, width, height],
+        Resources: { XObject: { SigImg: embeddedImage.ref } }
+      }
+    );
+
+    return pdfDoc.context.register(stream);
+  }
+
+  /**
+   * Busca los marcadores de /ByteRange y /Contents en el PDF guardado
+   */
+  locatePlaceholders(pdf) {
+    const contentsPlaceholder = `<${'0'.repeat(SIGNATURE_LENGTH * 2)}>`;
+    const contentsStart = pdf.indexOf(contentsPlaceholder, 0, 'latin1');
+    if (contentsStart === -1) {
+      throw new Error('No se encontró el marcador /Contents de la firma');
+    }
+    const contentsEnd = contentsStart + contentsPlaceholder.length;
+
+    const markerOffset = pdf.indexOf(`/${BYTE_RANGE_PLACEHOLDER}`, 0, 'latin1');
+    const byteRangeOffset = pdf.lastIndexOf('[', markerOffset, 'latin1');
+    const byteRangeEnd = pdf.indexOf(']', markerOffset, 'latin1') + 1;
+    if (markerOffset === -1 || byteRangeOffset === -1 || byteRangeEnd === 0) {
+      throw new Error('No se encontró el marcador /ByteRange de la firma');
+    }
+
+    const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+    byteRange.offset = byteRangeOffset;
+    byteRange.placeholderLength = byteRangeEnd - byteRangeOffset;
+
+    return { byteRange, contentsStart, contentsEnd };
+  }
+
+  /**
+   * Extrae certificado, cadena y clave del PKCS#12 a archivos PEM temporales.
+   * La clave se re-cifra con una contraseña aleatoria para no dejarla en claro en disco.
+   */
+  async extractCredentials(p12Buffer, password, workDir) {
+    const p12Path = path.join(workDir, 'certificate.p12');
+    const certPath = path.join(workDir, 'signer.pem');
+    const chainPath = path.join(workDir, 'chain.pem');
+    const keyPath = path.join(workDir, 'key.pem');
+    const keyPassword = randomBytes(24).toString('hex');
+
+    await fs.writeFile(p12Path, p12Buffer, { mode: 0o600 });
+
+    const env = {
+      ...process.env,
+      PDF_SIGN_P12_PASSWORD: password,
+      PDF_SIGN_KEY_PASSWORD: keyPassword
+    };
+
+    const base = ['pkcs12', '-in', p12Path, '-passin', 'env:PDF_SIGN_P12_PASSWORD'];
+    await this.runPkcs12([...base, '-clcerts', '-nokeys', '-out', certPath], env);
+    await this.runPkcs12([...base, '-cacerts', '-nokeys', '-out', chainPath], env);
+    await this.runPkcs12([...base, '-nocerts', '-passout', 'env:PDF_SIGN_KEY_PASSWORD', '-out', keyPath], env);
+
+    const certificate = await fs.readFile(certPath, 'utf-8');
+    if (!certificate.includes('BEGIN CERTIFICATE')) {
+      throw signatureError('El PKCS#12 no contiene un certificado de firmante', 400, 'INVALID_CERTIFICATE');
+    }
+
+    const chain = await fs.readFile(chainPath, 'utf-8');
+
+    return {
+      certificate,
+      certPath,
+      keyPath,
+      chainPath: chain.includes('BEGIN CERTIFICATE') ? chainPath : null,
+      env
+    };
+  }
+
+  /**
+   * Ejecuta openssl pkcs12; reintenta con -legacy para .p12 antiguos (RC2/3DES)
+   */
+  async runPkcs12(args, env) {
+    try {
+      await execFileWithTimeout('openssl', args, { env, timeout: 30000 });
+    } catch (error) {
+      const stderr = `${error.stderr || ''}${error.message}`;
+
+      if (/unsupported|RC2|legacy/i.test(stderr) && !args.includes('-legacy')) {
+        return this.runPkcs12([...args, '-legacy'], env);
+      }
+
+      if (/mac verify|invalid password/i.test(stderr)) {
+        throw signatureError('Contraseña del certificado incorrecta', 400, 'INVALID_CERTIFICATE_PASSWORD');
+      }
+
+      throw signatureError('No se pudo leer el certificado PKCS#12', 400, 'INVALID_CERTIFICATE');
+    }
+  }
+
+  /**
+   * Firma CMS detached (SHA-256, CAdES-BES) sobre los rangos del /ByteRange
+   * @returns {Promise<Buffer>} - DER de la firma
+   */
+  async createCms(data, credentials, workDir) {
+    const dataPath = path.join(workDir, 'data.bin');
+    const signaturePath = path.join(workDir, 'signature.der');
+    await fs.writeFile(dataPath, data);
+
+    const args = [
+      'cms', '-sign', '-binary',
+      '-in', dataPath,
+      '-signer', credentials.certPath,
+      '-inkey', credentials.keyPath,
+      '-passin', 'env:PDF_SIGN_KEY_PASSWORD',
+      '-md', 'sha256',
+      '-cades',
+      '-nosmimecap',
+      '-outform', 'DER',
+      '-out', signaturePath
+    ];
+
+    if (credentials.chainPath) {
+      args.push('-certfile', credentials.chainPath);
+    }
+
+    await execFileWithTimeout('openssl', args, { env: credentials.env, timeout: 60000 });
+    return fs.readFile(signaturePath);
+  }
+
+  /**
+   * Verifica todas las firmas de un PDF
+   *
+   * Para cada diccionario de firma comprueba:
+   * - ByteRange: que cubra el archivo completo salvo /Contents
+   * - Digest: que el hash de los rangos coincida con el messageDigest de la CMS
+   * - Firma: que la firma del firmante sobre los atributos sea válida
+   * - Cadena: si el certificado es de confianza (almacén del sistema o SIGNATURE_TRUSTED_CA_FILE)
+   *
+   * @param {Buffer} pdfBuffer - PDF completo
+   * @returns {Promise<Array<object>>} - Un resultado por firma, en orden de aparición
+   */
+  async verifyPdf(pdfBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+    const signatures = this.findSignatureDicts(pdfDoc);
+    const results = [];
+
+    for (let i = 0; i < signatures.length; i++) {
+      const { dict, fieldName } = signatures[i];
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-verify-'));
+
+      try {
+        results.push(await this.verifySignature(pdfBuffer, dict, { index: i + 1, fieldName, workDir }));
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+
+    // Orden por posición en el archivo: la primera firma es la de la revisión más antigua
+    results.sort((a, b) => (a.byteRange?.[2] || 0) - (b.byteRange?.[2] || 0));
+    results.forEach((result, i) => { result.index = i + 1; });
+
+    return results;
+  }
+
+  /**
+   * Diccionarios /Sig del documento con el nombre de su campo
+   */
+  findSignatureDicts(pdfDoc) {
+    const context = pdfDoc.context;
+    const fieldNames = new Map();
+    const found = [];
+
+    // Los widgets/campos apuntan a la firma con /V
+    for (const [, object] of context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFDict)) continue;
+      const value = object.get(PDFName.of('V'));
+      const title = object.get(PDFName.of('T'));
+      if (value instanceof PDFRef && title) {
+        fieldNames.set(value.toString(), title.decodeText ? title.decodeText() : title.toString());
+      }
+    }
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFDict)) continue;
+      const byteRange = object.get(PDFName.of('ByteRange'));
+      const contents = object.get(PDFName.of('Contents'));
+      if (byteRange instanceof PDFArray && contents instanceof PDFHexString) {
+        found.push({ dict: object, fieldName: fieldNames.get(ref.toString()) || null });
+      }
+    }
+
+    return found;
+  }
+
+  async verifySignature(pdfBuffer, dict, { index, fieldName, workDir }) {
+    const text = (key) => {
+      const value = dict.get(PDFName.of(key));
+      return value && value.decodeText ? value.decodeText() : null;
+    };
+
+    const subFilter = dict.get(PDFName.of('SubFilter'))?.decodeText() || null;
+    const byteRange = dict.get(PDFName.of('ByteRange')).asArray().map(n => n.asNumber ? n.asNumber() : NaN);
+    const pdfDate = dict.get(PDFName.of('M'));
+
+    const result = {
+      index,
+      fieldName,
+      subFilter,
+      name: text('Name'),
+      reason: text('Reason'),
+      location: text('Location'),
+      signingTime: pdfDate?.decodeDate ? safeDate(() => pdfDate.decodeDate()) : null,
+      signer: null,
+      byteRange,
+      coversWholeFile: false,
+      modifiedAfterSigning: true,
+      digestMatches: false,
+      signatureValid: false,
+      certificateTrusted: false,
+      certificateTrustError: null,
+      valid: false,
+      errors: []
+    };
+
+    // ByteRange: [0, inicio de /Contents, fin de /Contents, resto]
+    const [start1, length1, start2, length2] = byteRange;
+    const wellFormed = byteRange.length === 4 && byteRange.every(Number.isInteger)
+      && start1 === 0 && length1 > 0 && start2 > length1 && length2 >= 0
+      && start2 + length2 <= pdfBuffer.length
+      && pdfBuffer[length1] === 0x3c && pdfBuffer[start2 - 1] === 0x3e; // '<' ... '>'
+
+    if (!wellFormed) {
+      result.errors.push('ByteRange inválido o no delimita exactamente /Contents');
+      return result;
+    }
+
+    result.coversWholeFile = start2 + length2 === pdfBuffer.length;
+    // Bytes añadidos después de la revisión firmada (actualización incremental)
+    result.modifiedAfterSigning = !result.coversWholeFile;
+
+    if (!VERIFIABLE_SUB_FILTERS.has(subFilter)) {
+      result.errors.push(`SubFilter no soportado para verificación: ${subFilter}`);
+      return result;
+    }
+
+    // /Contents va relleno con ceros al final: openssl ignora lo que sobra tras la estructura DER
+    const cms = dict.get(PDFName.of('Contents')).asBytes();
+    const cmsPath = path.join(workDir, 'signature.der');
+    const dataPath = path.join(workDir, 'data.bin');
+    const signerPath = path.join(workDir, 'signer.pem');
+
+    await fs.writeFile(cmsPath, Buffer.from(cms));
+    await fs.writeFile(dataPath, Buffer.concat([
+      pdfBuffer.subarray(0, length1),
+      pdfBuffer.subarray(start2, start2 + length2)
+    ]));
+
+    const base = [
+      'cms', '-verify', '-binary', '-inform', 'DER',
+      '-in', cmsPath, '-content', dataPath, '-out', os.devNull
+    ];
+
+    // 1) Integridad: digest y firma, sin validar la cadena
+    try {
+      await execFileWithTimeout('openssl', [...base, '-noverify', '-signer', signerPath], { timeout: 30000 });
+      result.digestMatches = true;
+      result.signatureValid = true;
+    } catch (error) {
+      const stderr = `${error.stderr || ''}`;
+      if (/content verify error/i.test(stderr)) {
+        // La firma de los atributos es válida pero el hash del documento no coincide
+        result.signatureValid = true;
+        result.errors.push('El digest no coincide: el contenido firmado fue alterado');
+      } else {
+        result.errors.push('Firma CMS inválida o ilegible');
+      }
+    }
+
+    // 2) Certificado del firmante (primer certificado de la CMS)
+    const signerPem = await fs.readFile(signerPath, 'utf-8').catch(() => null);
+    if (!signerPem) {
+      await execFileWithTimeout('openssl', [
+        'pkcs7', '-inform', 'DER', '-in', cmsPath, '-print_certs', '-out', signerPath
+      ], { timeout: 30000 }).catch(() => {});
+    }
+    const certificates = await fs.readFile(signerPath, 'utf-8').catch(() => '');
+    const firstCert = certificates.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+    if (firstCert) {
+      result.signer = this.describeCertificate(firstCert[0]);
+    }
+
+    // Hora de firma de la CMS (atributo signingTime), si existe
+    try {
+      const { stdout } = await execFileWithTimeout('openssl', [
+        'cms', '-cmsout', '-print', '-inform', 'DER', '-in', cmsPath
+      ], { timeout: 30000 });
+      const match = stdout.match(/signingTime[\s\S]*?(?:UTCTIME|GENERALIZEDTIME):([^\n]+)/);
+      if (match) {
+        result.signingTime = safeDate(() => new Date(match[1].trim())) || result.signingTime;
+      }
+    } catch (e) {
+      // Sin hora en la CMS: se mantiene /M
+    }
+
+    // 3) Cadena de confianza
+    if (result.signatureValid) {
+      const trustArgs = [...base, '-purpose', 'any'];
+      if (TRUSTED_CA_FILE) trustArgs.push('-CAfile', TRUSTED_CA_FILE);
+
+      try {
+        await execFileWithTimeout('openssl', trustArgs, { timeout: 30000 });
+        result.certificateTrusted = true;
+      } catch (error) {
+        const reason = `${error.stderr || ''}`.match(/Verify error:\s*([^\n]+)/);
+        result.certificateTrustError = reason ? reason[1].trim() : 'No se pudo validar la cadena de certificados';
+      }
+    }
+
+    if (!result.coversWholeFile) {
+      result.errors.push('El documento tiene cambios posteriores a esta firma');
+    }
+
+    result.valid = result.digestMatches && result.signatureValid;
+    if (result.signingTime) {
+      result.signingTime = result.signingTime.toISOString();
+    }
+
+    return result;
+  }
+
+  /**
+   * Datos del certificado firmante para la respuesta
+   */
+  describeCertificate(pem) {
+    const cert = new X509Certificate(pem);
+    const commonName = (cert.subject.match(/^CN=(.*)$/m) || [])[1] || null;
+
+    return {
+      commonName,
+      subject: cert.subject.replace(/\n/g, ', '),
+      issuer: cert.issuer.replace(/\n/g, ', '),
+      serialNumber: cert.serialNumber,
+      validFrom: new Date(cert.validFrom).toISOString(),
+      validTo: new Date(cert.validTo).toISOString(),
+      selfSigned: cert.subject === cert.issuer
+    };
+  }
+}
+
+module.exports = new PdfSignatureService();
+module.exports.SUB_FILTER = SUB_FILTER;
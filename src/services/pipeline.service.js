@@ -0,0 +1,306 @@
+const { PDFDocument } = require('pdf-lib');
+const path = require('path');
+const fs = require('fs').promises;
+const ghostscriptService = require('./ghostscript.service');
+const qpdfService = require('./qpdf.service');
+const { addTextWatermark } = require('./watermark.service');
+const { organizePages, rotatePages } = require('./page-organizer.service');
+
+// Máximo de pasos por pipeline
+const MAX_STEPS = 10;
+
+/**
+ * Crea un error de validación con el formato que entiende la ruta
+ */
+function pipelineError(message, status = 400, code = 'INVALID_PIPELINE') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Guarda un PDFDocument de pdf-lib junto al archivo de entrada
+ */
+async function savePdf(pdfDoc, inputPath, outputDir, action) {
+  const filename = path.basename(inputPath, '.pdf');
+  const outputPath = path.join(outputDir, `${filename}-${action}-${Date.now()}.pdf`);
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  return outputPath;
+}
+
+// pdf-lib solo admite rotaciones múltiplo de 90 grados
+const isRightAngle = (value) => Number.isInteger(Number(value)) && Number(value) % 90 === 0;
+
+const isPageNumber = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Parámetros del paso rotate. El rango de las páginas se comprueba al ejecutarlo,
+ * cuando se conoce el número de páginas del PDF.
+ */
+function validateRotate(step) {
+  if (Array.isArray(step.pageInstructions)) {
+    const valid = step.pageInstructions.every(p => isPageNumber(p?.originalIndex, 0)
+      && (p.rotation === undefined || p.rotation === null || isRightAngle(p.rotation)));
+    return valid ? null : 'cada pageInstruction requiere originalIndex (entero 0-based) y rotation múltiplo de 90';
+  }
+
+  if (step.rotation === undefined) return 'rotate requiere rotation o pageInstructions';
+  if (!isRightAngle(step.rotation)) return 'rotation debe ser múltiplo de 90 (90, 180, 270)';
+
+  if (step.pages !== undefined && step.pages !== 'all'
+    && !(Array.isArray(step.pages) && step.pages.every(page => isPageNumber(page, 1)))) {
+    return "pages debe ser 'all' o un array de páginas 1-based";
+  }
+  return null;
+}
+
+/**
+ * Pasos disponibles. Cada uno recibe la ruta del PDF actual y devuelve la ruta del resultado,
+ * reutilizando los mismos servicios que los endpoints individuales.
+ */
+const STEPS = {
+  unlock: {
+    description: 'Quita la contraseña (qpdf)',
+    params: { password: 'Contraseña actual del PDF (requerido)' },
+    validate: (step) => step.password ? null : 'unlock requiere password',
+    run: (inputPath, outputDir, step) => qpdfService.decryptPdf(inputPath, outputDir, step.password)
+  },
+
+  rotate: {
+    description: 'Rota páginas (pdf-lib)',
+    params: {
+      rotation: 'Grados a sumar a las páginas indicadas (90, 180, 270)',
+      pages: "'all' o array de páginas 1-based (default: 'all')",
+      pageInstructions: 'Alternativa: mismo formato que /api/rotate-pdf'
+    },
+    validate: validateRotate,
+    run: async (inputPath, outputDir, step) => {
+      const buffer = await fs.readFile(inputPath);
+      const totalPages = (await PDFDocument.load(buffer)).getPageCount();
+      let pageInstructions;
+
+      if (Array.isArray(step.pageInstructions)) {
+        const outOfRange = step.pageInstructions.find(p => p.originalIndex >= totalPages);
+        if (outOfRange) {
+          throw pipelineError(`originalIndex ${outOfRange.originalIndex} fuera de rango: el PDF tiene ${totalPages} páginas (0-based)`);
+        }
+        pageInstructions = step.pageInstructions.map(p => ({ originalIndex: p.originalIndex, rotation: Number(p.rotation) || 0 }));
+      } else {
+        const selected = Array.isArray(step.pages) ? new Set(step.pages) : null;
+        const outOfRange = selected && step.pages.find(page => page > totalPages);
+        if (outOfRange) {
+          throw pipelineError(`Página ${outOfRange} fuera de rango: el PDF tiene ${totalPages} páginas`);
+        }
+        pageInstructions = Array.from({ length: totalPages }, (_, i) => ({
+          originalIndex: i,
+          rotation: !selected || selected.has(i + 1) ? Number(step.rotation) : 0
+        }));
+      }
+
+      const newPdf = await rotatePages(buffer, pageInstructions);
+      return savePdf(newPdf, inputPath, outputDir, 'rotated');
+    }
+  },
+
+  organize: {
+    description: 'Reordena, elimina o inserta páginas en blanco (pdf-lib)',
+    params: { instructions: 'Mismo formato que /api/organize-pdf (fileIndex siempre 0)' },
+    validate: (step) => Array.isArray(step.instructions) && step.instructions.length > 0
+      ? null
+      : 'organize requiere instructions',
+    run: async (inputPath, outputDir, step) => {
+      const sources = new Map([[0, await fs.readFile(inputPath)]]);
+      const newPdf = await organizePages(sources, step.instructions);
+
+      if (newPdf.getPageCount() === 0) {
+        throw pipelineError('El documento resultante no tiene páginas');
+      }
+      return savePdf(newPdf, inputPath, outputDir, 'organized');
+    }
+  },
+
+  compress: {
+    description: 'Comprime el PDF (Ghostscript)',
+    params: {
+      preset: 'extreme | recommended | low (default: recommended)',
+      mode: "'advanced' para usar dpi e imageQuality",
+      dpi: 'DPI de imágenes (modo advanced)',
+      imageQuality: 'Calidad JPEG 1-100 (modo advanced)'
+    },
+    validate: () => null,
+    run: (inputPath, outputDir, step) => {
+      if (step.mode === 'advanced') {
+        return ghostscriptService.compressPdf(inputPath, outputDir, {
+          dpi: parseInt(step.dpi) || 120,
+          imageQuality: parseInt(step.imageQuality) || 60,
+          pdfSettings: '/ebook'
+        });
+      }
+      return ghostscriptService.compressPdfWithPreset(inputPath, outputDir, step.preset || 'recommended');
+    }
+  },
+
+  grayscale: {
+    description: 'Convierte a escala de grises (Ghostscript)',
+    params: { contrast: 'light | normal | high | extreme (default: normal)' },
+    validate: () => null,
+    run: (inputPath, outputDir, step) => ghostscriptService.convertToGrayscale(inputPath, outputDir, {
+      contrast: step.contrast || 'normal'
+    })
+  },
+
+  watermark: {
+    description: 'Marca de agua de texto (pdf-lib)',
+    params: { text: 'Texto (requerido)', '...': 'Mismas opciones que /api/watermark-pdf/text' },
+    validate: (step) => {
+      if (!step.text) return 'watermark requiere text';
+      if (step.opacity !== undefined && (step.opacity < 0 || step.opacity > 1)) {
+        return 'La opacidad debe estar entre 0 y 1';
+      }
+      return null;
+    },
+    run: async (inputPath, outputDir, step) => {
+      const result = await addTextWatermark(await fs.readFile(inputPath), {
+        text: step.text,
+        fontName: step.font || 'Helvetica-Bold',
+        fontSize: parseFloat(step.fontSize) || 48,
+        color: step.color || '#FF0000',
+        opacity: step.opacity !== undefined ? parseFloat(step.opacity) : 0.5,
+        rotation: step.rotation !== undefined ? parseFloat(step.rotation) : 45,
+        position: step.position || 'center',
+        customPosition: {
+          x: parseFloat(step.customX) || 0,
+          y: parseFloat(step.customY) || 0
+        },
+        pattern: step.pattern === true || step.pattern === 'true',
+        patternSpacing: parseFloat(step.patternSpacing) || 200,
+        pages: step.pages || 'all'
+      });
+
+      const filename = path.basename(inputPath, '.pdf');
+      const outputPath = path.join(outputDir, `${filename}-watermarked-${Date.now()}.pdf`);
+      await fs.writeFile(outputPath, result.pdfBytes);
+      return outputPath;
+    }
+  },
+
+  protect: {
+    description: 'Protege con contraseña (qpdf). Debe ser el último paso',
+    params: {
+      password: 'Contraseña (mínimo 4 caracteres, requerido)',
+      encryption: "'128' | '256' (default: '256')"
+    },
+    validate: (step) => step.password && String(step.password).length >= 4
+      ? null
+      : 'protect requiere password de al menos 4 caracteres',
+    run: (inputPath, outputDir, step) => qpdfService.encryptPdf(
+      inputPath, outputDir, step.password, String(step.encryption || '256')
+    )
+  }
+};
+
+class PipelineService {
+
+  /**
+   * Valida la lista de pasos antes de empezar a procesar
+   *
+   * @param {Array<object>} steps - [{ tool: 'compress', ...opciones }]
+   * @throws {Error} - error.status = 400 si la lista no es válida
+   */
+  validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw pipelineError('Se requiere al menos un paso');
+    }
+
+    if (steps.length > MAX_STEPS) {
+      throw pipelineError(`Máximo ${MAX_STEPS} pasos por pipeline`);
+    }
+
+    steps.forEach((step, index) => {
+      const definition = STEPS[step?.tool];
+      if (!definition) {
+        throw pipelineError(`Paso ${index + 1}: herramienta desconocida '${step?.tool}'. Disponibles: ${Object.keys(STEPS).join(', ')}`);
+      }
+
+      const problem = definition.validate(step);
+      if (problem) {
+        throw pipelineError(`Paso ${index + 1}: ${problem}`);
+      }
+
+      // Después de cifrar, ninguna otra herramienta puede abrir el PDF
+      if (step.tool === 'protect' && index !== steps.length - 1) {
+        throw pipelineError(`Paso ${index + 1}: protect debe ser el último paso`);
+      }
+    });
+  }
+
+  /**
+   * Ejecuta los pasos en orden. Los resultados intermedios se quedan en disco
+   * y se eliminan en cuanto el siguiente paso termina.
+   *
+   * @param {string} inputPath - PDF de entrada (no se elimina)
+   * @param {string} outputDir - Directorio para resultados intermedios
+   * @param {Array<object>} steps - Pasos ya validados
+   * @returns {Promise<{outputPath: string, steps: Array<object>, totalDurationMs: number}>}
+   */
+  async run(inputPath, outputDir, steps) {
+    const stats = [];
+    const startTime = Date.now();
+    let currentPath = inputPath;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const inputSize = (await fs.stat(currentPath)).size;
+      const stepStart = Date.now();
+
+      console.log(`[Pipeline] Step ${i + 1}/${steps.length}: ${step.tool}`);
+
+      let outputPath;
+      try {
+        outputPath = await STEPS[step.tool].run(currentPath, outputDir, step);
+        await fs.access(outputPath);
+      } catch (error) {
+        if (currentPath !== inputPath) {
+          await fs.unlink(currentPath).catch(() => {});
+        }
+        error.failedStep = { index: i + 1, tool: step.tool };
+        throw error;
+      }
+
+      if (currentPath !== inputPath) {
+        await fs.unlink(currentPath).catch(() => {});
+      }
+
+      const outputSize = (await fs.stat(outputPath)).size;
+      stats.push({
+        index: i + 1,
+        tool: step.tool,
+        inputSize,
+        outputSize,
+        durationMs: Date.now() - stepStart
+      });
+
+      currentPath = outputPath;
+    }
+
+    const totalDurationMs = Date.now() - startTime;
+    console.log(`[Pipeline] Completed ${steps.length} steps in ${(totalDurationMs / 1000).toFixed(1)}s`);
+
+    return { outputPath: currentPath, steps: stats, totalDurationMs };
+  }
+
+  /**
+   * Descripción de los pasos disponibles
+   */
+  getSteps() {
+    const steps = {};
+    for (const [tool, definition] of Object.entries(STEPS)) {
+      steps[tool] = { description: definition.description, params: definition.params };
+    }
+    return steps;
+  }
+}
+
+module.exports = new PipelineService();
+module.exports.MAX_STEPS = MAX_STEPS;
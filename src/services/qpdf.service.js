@@ -3,13 +3,13 @@ const path = require('path');
 
 class QpdfService {
 
-  async encryptPdf(inputPath, outputDir, password) {
+  async encryptPdf(inputPath, outputDir, password, bits = '256') {
     const filename = path.basename(inputPath, '.pdf');
     const outputPath = path.join(outputDir, `${filename}-protected.pdf`);
 
     // Usar execFile para prevenir command injection
     await execFileWithTimeout('qpdf', [
-      '--encrypt', password, password, '256', '--',
+      '--encrypt', password, password, bits === '128' ? '128' : '256', '--',
       inputPath,
       outputPath
     ]);
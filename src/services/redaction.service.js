@@ -0,0 +1,1010 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFStream,
+  PDFRawStream,
+  decodePDFRawStream,
+  degrees
+} = require('pdf-lib');
+const path = require('path');
+const fs = require('fs').promises;
+const { Font, FontNames, Encodings } = require('@pdf-lib/standard-fonts');
+const {
+  ContentName,
+  ContentDict,
+  parseContentStream,
+  serializeOperation,
+  multiplyMatrix,
+  boundingBox,
+  intersectsAny
+} = require('../utils/pdf-content.utils');
+const ghostscriptService = require('./ghostscript.service');
+const imagemagickService = require('./imagemagick.service');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Profundidad máxima de Form XObjects anidados
+const MAX_FORM_DEPTH = 10;
+
+const PATH_CONSTRUCTION = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PATH_PAINTING = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const STROKE_OPS = new Set(['S', 's', 'B', 'B*', 'b', 'b*']);
+
+// Resolución de la rasterización (mode=rasterize)
+const DEFAULT_RASTER_DPI = 200;
+const MIN_RASTER_DPI = 72;
+const MAX_RASTER_DPI = 600;
+
+// Nombres habituales de las 14 fuentes estándar
+const STANDARD_FONT_ALIASES = {
+  Arial: 'Helvetica',
+  'Arial,Bold': 'Helvetica-Bold',
+  'Arial,Italic': 'Helvetica-Oblique',
+  'Arial,BoldItalic': 'Helvetica-BoldOblique',
+  TimesNewRoman: 'Times-Roman',
+  'TimesNewRoman,Bold': 'Times-Bold',
+  'TimesNewRoman,Italic': 'Times-Italic',
+  'TimesNewRoman,BoldItalic': 'Times-BoldItalic',
+  CourierNew: 'Courier',
+  'CourierNew,Bold': 'Courier-Bold'
+};
+
+/**
+ * Tabla código → nombre de glifo de una codificación de @pdf-lib/standard-fonts
+ */
+function codeToGlyphName(encoding) {
+  const table = {};
+  for (const [, [code, name]] of Object.entries(encoding.unicodeMappings)) {
+    table[code] = name;
+  }
+  return table;
+}
+
+const ENCODING_TABLES = {
+  WinAnsi: codeToGlyphName(Encodings.WinAnsi),
+  Symbol: codeToGlyphName(Encodings.Symbol),
+  ZapfDingbats: codeToGlyphName(Encodings.ZapfDingbats)
+};
+
+/**
+ * Lee el contenido decodificado de un stream de pdf-lib
+ */
+function getStreamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    return Buffer.from(decodePDFRawStream(stream).decode());
+  }
+  if (typeof stream.getUnencodedContents === 'function') {
+    return Buffer.from(stream.getUnencodedContents());
+  }
+  return Buffer.from(stream.getContents());
+}
+
+/**
+ * Copia las entradas de un diccionario de stream, sin las de codificación
+ */
+function copyStreamDict(dict) {
+  const entries = {};
+  for (const [key, value] of dict.entries()) {
+    const name = key.decodeText();
+    if (['Length', 'Filter', 'DecodeParms', 'DL'].includes(name)) continue;
+    entries[name] = value;
+  }
+  return entries;
+}
+
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (Math.abs(det) < 1e-12) return null;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/**
+ * Recursos (fuentes, XObjects) de una página o Form XObject.
+ * Si hay que sustituir un XObject se clona el diccionario para no afectar
+ * a otras páginas que compartan los mismos recursos.
+ */
+class ResourceScope {
+  constructor(context, dict) {
+    this.context = context;
+    this.dict = dict || context.obj({});
+    this.dirty = false;
+    this.counter = 0;
+  }
+
+  lookup(category, name) {
+    const group = this.dict.lookup(PDFName.of(category));
+    if (!(group instanceof PDFDict)) return undefined;
+    return { ref: group.get(PDFName.of(name)), object: group.lookup(PDFName.of(name)) };
+  }
+
+  /**
+   * Registra un XObject nuevo y devuelve el nombre con el que referenciarlo
+   */
+  addXObject(baseName, ref) {
+    if (!this.dirty) {
+      this.dict = this.dict.clone(this.context);
+      const xobjects = this.dict.lookup(PDFName.of('XObject'));
+      this.dict.set(PDFName.of('XObject'), xobjects instanceof PDFDict ? xobjects.clone(this.context) : this.context.obj({}));
+      this.dirty = true;
+    }
+
+    const xobjects = this.dict.lookup(PDFName.of('XObject'));
+    let name;
+    do {
+      name = `${baseName}R${++this.counter}`;
+    } while (xobjects.has(PDFName.of(name)));
+
+    xobjects.set(PDFName.of(name), ref);
+    return name;
+  }
+}
+
+class RedactionService {
+
+  /**
+   * Redacción real: elimina del contenido de la página el texto, las imágenes y los
+   * trazados vectoriales que se solapan con las áreas indicadas. No dibuja las cajas
+   * negras: eso lo hace la ruta después, encima del contenido ya limpio.
+   *
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib
+   * @param {object} options
+   * @param {Array<object>} options.redactions - [{ pageNumber, x, y, width, height }] en puntos PDF
+   * @param {Array<number>} options.fullPages - Páginas a vaciar por completo
+   * @returns {Promise<object>} - Estadísticas de lo eliminado
+   */
+  async redactPdf(pdfDoc, { redactions = [], fullPages = [] }) {
+    const stats = {
+      textGlyphsRemoved: 0,
+      imagesRedacted: 0,
+      imagesRemoved: 0,
+      pathsRemoved: 0,
+      annotationsRemoved: 0
+    };
+
+    const rectsByPage = new Map();
+    for (const red of redactions) {
+      if (!rectsByPage.has(red.pageNumber)) rectsByPage.set(red.pageNumber, []);
+      rectsByPage.get(red.pageNumber).push({
+        x: Number(red.x),
+        y: Number(red.y),
+        width: Number(red.width),
+        height: Number(red.height)
+      });
+    }
+
+    const fontCache = new Map();
+
+    for (const pageNumber of new Set(fullPages)) {
+      this.clearPage(pdfDoc, pdfDoc.getPage(pageNumber - 1), stats);
+      rectsByPage.delete(pageNumber);
+    }
+
+    for (const [pageNumber, rects] of rectsByPage) {
+      try {
+        this.redactPage(pdfDoc, pdfDoc.getPage(pageNumber - 1), rects, stats, fontCache);
+      } catch (error) {
+        error.message = `No se pudo redactar la página ${pageNumber}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    // pdf-lib guarda todos los objetos del contexto: hay que borrar el contenido original huérfano
+    this.removeUnreachableObjects(pdfDoc);
+
+    console.log(`[Redaction] Removed: ${stats.textGlyphsRemoved} glyphs, ${stats.imagesRedacted} images redacted, ${stats.imagesRemoved} images removed, ${stats.pathsRemoved} paths, ${stats.annotationsRemoved} annotations`);
+
+    return stats;
+  }
+
+  /**
+   * Redacción por rasterización ("burn-in"): cada página afectada se renderiza con
+   * Ghostscript, los rectángulos se pintan sobre el bitmap y la página se reconstruye
+   * con esa única imagen. No queda texto, vectores ni anotaciones del original.
+   *
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib cargado desde inputPath (sin cambios)
+   * @param {string} inputPath - PDF original, para Ghostscript
+   * @param {string} outputDir - Directorio para las imágenes temporales
+   * @param {object} options
+   * @param {Array<object>} options.redactions - [{ pageNumber, x, y, width, height, color }]
+   * @param {Array<number>} options.fullPages - Páginas que quedan completamente negras
+   * @param {string} options.pages - 'affected' (solo páginas con censuras) | 'all'
+   * @param {number} options.dpi - Resolución de renderizado
+   * @returns {Promise<{rasterizedPages: number[], dpi: number}>}
+   */
+  async rasterizePdf(pdfDoc, inputPath, outputDir, { redactions = [], fullPages = [], pages = 'affected', dpi }) {
+    const finalDpi = Math.max(MIN_RASTER_DPI, Math.min(MAX_RASTER_DPI, parseInt(dpi) || DEFAULT_RASTER_DPI));
+    const scale = finalDpi / 72;
+    const fullPageSet = new Set(fullPages);
+
+    const targetPages = pages === 'all'
+      ? pdfDoc.getPages().map((_, i) => i + 1)
+      : [...new Set([...redactions.map(r => r.pageNumber), ...fullPages])].sort((a, b) => a - b);
+
+    const stats = { annotationsRemoved: 0 };
+    const tempFiles = [];
+
+    console.log(`[Redaction] Rasterizing ${targetPages.length} pages at ${finalDpi} DPI`);
+
+    try {
+      for (const pageNumber of targetPages) {
+        const page = pdfDoc.getPage(pageNumber - 1);
+        const box = page.getCropBox();
+        const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+        const rotated = rotation === 90 || rotation === 270;
+        const width = rotated ? box.height : box.width;
+        const height = rotated ? box.width : box.height;
+
+        // Coordenadas PDF → píxeles de la imagen renderizada (origen arriba a la izquierda)
+        const toPixels = (px, py) => {
+          const u = px - box.x;
+          const v = box.y + box.height - py;
+          const [dx, dy] = {
+            0: [u, v],
+            90: [box.height - v, u],
+            180: [box.width - u, box.height - v],
+            270: [v, box.width - u]
+          }[rotation] || [u, v];
+          return [dx * scale, dy * scale];
+        };
+
+        const pixelRects = fullPageSet.has(pageNumber)
+          ? [{ x1: 0, y1: 0, x2: width * scale, y2: height * scale, color: '#000000' }]
+          : redactions.filter(r => r.pageNumber === pageNumber).map(r => {
+            const corners = [
+              toPixels(r.x, r.y),
+              toPixels(r.x + r.width, r.y),
+              toPixels(r.x, r.y + r.height),
+              toPixels(r.x + r.width, r.y + r.height)
+            ];
+            const color = /^#[0-9a-f]{6}$/i.test(r.color || '') ? r.color : '#000000';
+            return { ...boundingBox(corners), color };
+          });
+
+        const pngPath = await ghostscriptService.renderPage(inputPath, outputDir, pageNumber, finalDpi);
+        tempFiles.push(pngPath);
+
+        const jpgPath = pngPath.replace(/\.png$/, '.jpg');
+        tempFiles.push(jpgPath);
+        await imagemagickService.fillRectangles(pngPath, pixelRects, jpgPath);
+
+        // Misma página (mismo objeto, así los marcadores siguen apuntando a ella) pero solo con la imagen
+        this.clearPage(pdfDoc, page, stats);
+        for (const key of ['CropBox', 'BleedBox', 'TrimBox', 'ArtBox']) {
+          page.node.delete(PDFName.of(key));
+        }
+        page.setRotation(degrees(0));
+        page.setMediaBox(0, 0, width, height);
+
+        const image = await pdfDoc.embedJpg(await fs.readFile(jpgPath));
+        page.drawImage(image, { x: 0, y: 0, width, height });
+
+        console.log(`[Redaction] Page ${pageNumber} rasterized (${path.basename(jpgPath)})`);
+      }
+    } finally {
+      await Promise.all(tempFiles.map(file => fs.unlink(file).catch(() => {})));
+    }
+
+    this.removeUnreachableObjects(pdfDoc);
+
+    return { rasterizedPages: targetPages, dpi: finalDpi, annotationsRemoved: stats.annotationsRemoved };
+  }
+
+  redactPage(pdfDoc, page, rects, stats, fontCache) {
+    const context = pdfDoc.context;
+    const node = page.node;
+    const contents = this.getPageContents(context, node);
+    const scope = new ResourceScope(context, node.Resources());
+
+    const result = this.processContent(contents, scope, IDENTITY, rects, stats, fontCache, 0);
+
+    if (result !== null) {
+      const streamRef = context.register(context.flateStream(result));
+      node.set(PDFName.of('Contents'), context.obj([streamRef]));
+    }
+    if (scope.dirty) {
+      node.set(PDFName.of('Resources'), scope.dict);
+    }
+
+    this.removeAnnotations(pdfDoc, node, rects, stats);
+  }
+
+  /**
+   * Página completa: sin contenido, sin recursos y sin anotaciones
+   */
+  clearPage(pdfDoc, page, stats) {
+    const context = pdfDoc.context;
+    const node = page.node;
+
+    const streamRef = context.register(context.flateStream(Buffer.alloc(0)));
+    node.set(PDFName.of('Contents'), context.obj([streamRef]));
+    node.set(PDFName.of('Resources'), context.obj({}));
+
+    this.removeAnnotations(pdfDoc, node, null, stats);
+  }
+
+  getPageContents(context, node) {
+    const contents = node.Contents();
+    if (!contents) return Buffer.alloc(0);
+
+    if (contents instanceof PDFArray) {
+      const parts = [];
+      for (let i = 0; i < contents.size(); i++) {
+        const stream = contents.lookup(i);
+        if (stream instanceof PDFStream) parts.push(getStreamBytes(stream), Buffer.from('\n'));
+      }
+      return Buffer.concat(parts);
+    }
+
+    return getStreamBytes(contents);
+  }
+
+  /**
+   * Quita las anotaciones que se solapan con las áreas (todas si rects es null).
+   * Los widgets de formulario también se sacan de AcroForm y se borra su valor.
+   */
+  removeAnnotations(pdfDoc, node, rects, stats) {
+    const annots = node.Annots();
+    if (!annots) return;
+
+    const kept = [];
+    const removed = [];
+
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i);
+      const annot = annots.lookup(i);
+      const rect = annot instanceof PDFDict ? annot.lookup(PDFName.of('Rect')) : null;
+
+      let overlaps = rects === null;
+      if (!overlaps && rect instanceof PDFArray && rect.size() === 4) {
+        const [x1, y1, x2, y2] = rect.asArray().map(n => pdfDoc.context.lookup(n).asNumber());
+        overlaps = intersectsAny(
+          { x1: Math.min(x1, x2), y1: Math.min(y1, y2), x2: Math.max(x1, x2), y2: Math.max(y1, y2) },
+          rects
+        );
+      }
+
+      if (overlaps) {
+        removed.push(ref);
+        if (annot instanceof PDFDict) {
+          annot.delete(PDFName.of('V'));
+          annot.delete(PDFName.of('AP'));
+        }
+      } else {
+        kept.push(ref);
+      }
+    }
+
+    if (removed.length === 0) return;
+
+    node.set(PDFName.of('Annots'), pdfDoc.context.obj(kept));
+    stats.annotationsRemoved += removed.length;
+
+    const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+    const fields = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of('Fields')) : null;
+    if (fields instanceof PDFArray) {
+      const removedKeys = new Set(removed.map(ref => String(ref)));
+      const remaining = fields.asArray().filter(ref => !removedKeys.has(String(ref)));
+      acroForm.set(PDFName.of('Fields'), pdfDoc.context.obj(remaining));
+    }
+  }
+
+  /**
+   * Interpreta un content stream y devuelve el contenido reescrito
+   * (null si no hubo que tocar nada)
+   */
+  processContent(bytes, scope, baseMatrix, rects, stats, fontCache, depth) {
+    const operations = parseContentStream(bytes);
+    const chunks = [];
+    let changed = false;
+
+    let state = {
+      ctm: baseMatrix,
+      font: null,
+      fontSize: 0,
+      charSpacing: 0,
+      wordSpacing: 0,
+      hScale: 1,
+      leading: 0,
+      rise: 0,
+      lineWidth: 1
+    };
+    const stateStack = [];
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+
+    // Trazado en construcción: operaciones pendientes hasta el operador de pintado
+    let pendingPath = [];
+    let pathPoints = [];
+    let clipOp = null;
+
+    const raw = (op) => bytes.subarray(op.start, op.end);
+    const emit = (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1'));
+    const num = (value, fallback = 0) => (typeof value === 'number' ? value : fallback);
+
+    const flushPath = () => {
+      pendingPath.forEach(op => emit(raw(op)));
+      if (clipOp) emit(raw(clipOp));
+      pendingPath = [];
+      pathPoints = [];
+      clipOp = null;
+    };
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiplyMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    for (const op of operations) {
+      const { operator, operands } = op;
+
+      // ----- Trazados -----
+      if (PATH_CONSTRUCTION.has(operator)) {
+        pendingPath.push(op);
+        const n = operands.map(v => num(v));
+        if (operator === 're') {
+          const [x, y, w, h] = n;
+          pathPoints.push(...[[x, y], [x + w, y], [x, y + h], [x + w, y + h]].map(p => [p, state.ctm]));
+        } else {
+          for (let i = 0; i + 1 < n.length; i += 2) pathPoints.push([[n[i], n[i + 1]], state.ctm]);
+        }
+        continue;
+      }
+
+      if ((operator === 'W' || operator === 'W*') && pendingPath.length > 0) {
+        clipOp = op;
+        continue;
+      }
+
+      if (PATH_PAINTING.has(operator) && pendingPath.length > 0) {
+        let intersects = false;
+        if (operator !== 'n' && pathPoints.length > 0) {
+          const box = boundingBox(pathPoints.map(([p, m]) => [m[0] * p[0] + m[2] * p[1] + m[4], m[1] * p[0] + m[3] * p[1] + m[5]]));
+          if (STROKE_OPS.has(operator)) {
+            const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2]));
+            const half = (state.lineWidth * scale) / 2;
+            box.x1 -= half; box.y1 -= half; box.x2 += half; box.y2 += half;
+          }
+          intersects = intersectsAny(box, rects);
+        }
+
+        if (!intersects) {
+          flushPath();
+          emit(raw(op));
+        } else if (clipOp) {
+          // El trazado también recorta: se conserva el recorte pero no se pinta
+          flushPath();
+          emit('n');
+          changed = true;
+          stats.pathsRemoved++;
+        } else {
+          pendingPath = [];
+          pathPoints = [];
+          changed = true;
+          stats.pathsRemoved++;
+        }
+        continue;
+      }
+
+      if (pendingPath.length > 0) {
+        // Trazado sin pintar (contenido mal formado): se deja tal cual
+        flushPath();
+      }
+
+      switch (operator) {
+        // ----- Estado gráfico -----
+        case 'q':
+          stateStack.push({ ...state });
+          break;
+        case 'Q':
+          if (stateStack.length > 0) state = stateStack.pop();
+          break;
+        case 'cm':
+          if (operands.length === 6) state.ctm = multiplyMatrix(operands.map(v => num(v)), state.ctm);
+          break;
+        case 'w':
+          state.lineWidth = num(operands[0], 1);
+          break;
+
+        // ----- Estado de texto -----
+        case 'BT':
+          textMatrix = IDENTITY;
+          lineMatrix = IDENTITY;
+          break;
+        case 'Tc':
+          state.charSpacing = num(operands[0]);
+          break;
+        case 'Tw':
+          state.wordSpacing = num(operands[0]);
+          break;
+        case 'Tz':
+          state.hScale = num(operands[0], 100) / 100;
+          break;
+        case 'TL':
+          state.leading = num(operands[0]);
+          break;
+        case 'Ts':
+          state.rise = num(operands[0]);
+          break;
+        case 'Tf': {
+          const fontName = operands[0] instanceof ContentName ? operands[0].name : null;
+          state.font = this.getFont(scope, fontName, fontCache);
+          state.fontSize = num(operands[1]);
+          break;
+        }
+        case 'Td':
+          moveLine(num(operands[0]), num(operands[1]));
+          break;
+        case 'TD':
+          state.leading = -num(operands[1]);
+          moveLine(num(operands[0]), num(operands[1]));
+          break;
+        case 'Tm':
+          if (operands.length === 6) {
+            lineMatrix = operands.map(v => num(v));
+            textMatrix = lineMatrix;
+          }
+          break;
+        case 'T*':
+          moveLine(0, -state.leading);
+          break;
+      }
+
+      // ----- Mostrar texto -----
+      if (['Tj', 'TJ', "'", '"'].includes(operator)) {
+        const prefix = [];
+        let elements;
+
+        if (operator === "'") {
+          moveLine(0, -state.leading);
+          prefix.push('T*');
+          elements = [operands[0]];
+        } else if (operator === '"') {
+          state.wordSpacing = num(operands[0]);
+          state.charSpacing = num(operands[1]);
+          moveLine(0, -state.leading);
+          prefix.push(serializeOperation('Tw', [state.wordSpacing]), serializeOperation('Tc', [state.charSpacing]), 'T*');
+          elements = [operands[2]];
+        } else if (operator === 'TJ') {
+          elements = Array.isArray(operands[0]) ? operands[0] : [];
+        } else {
+          elements = [operands[0]];
+        }
+
+        const shown = this.showText(elements, state, textMatrix, rects);
+        textMatrix = shown.textMatrix;
+
+        if (shown.removed === 0) {
+          emit(raw(op));
+        } else {
+          changed = true;
+          stats.textGlyphsRemoved += shown.removed;
+          const rewritten = shown.elements.length > 0 ? serializeOperation('TJ', [shown.elements]) : null;
+          emit([...prefix, rewritten].filter(Boolean).join(' ') || ' ');
+        }
+        continue;
+      }
+
+      // ----- Imágenes inline -----
+      if (operator === 'BI') {
+        const box = boundingBox([[0, 0], [1, 0], [0, 1], [1, 1]], state.ctm);
+        if (intersectsAny(box, rects)) {
+          changed = true;
+          stats.imagesRemoved++;
+        } else {
+          emit(raw(op));
+        }
+        continue;
+      }
+
+      // ----- XObjects -----
+      if (operator === 'Do' && operands[0] instanceof ContentName) {
+        const replacement = this.processXObject(operands[0].name, scope, state.ctm, rects, stats, fontCache, depth);
+        if (replacement === undefined) {
+          emit(raw(op));
+        } else {
+          changed = true;
+          if (replacement !== null) emit(serializeOperation('Do', [new ContentName(replacement)]));
+        }
+        continue;
+      }
+
+      emit(raw(op));
+    }
+
+    flushPath();
+
+    if (!changed) return null;
+    return Buffer.concat(chunks.flatMap(chunk => [chunk, Buffer.from('\n')]));
+  }
+
+  /**
+   * Recorre los glifos de una operación de texto y elimina los que caen en las áreas.
+   * Cada glifo eliminado se sustituye por un desplazamiento TJ equivalente a su avance,
+   * así el texto que queda conserva su posición.
+   */
+  showText(elements, state, textMatrix, rects) {
+    const font = state.font || this.getFallbackFont();
+    const { fontSize, charSpacing, wordSpacing, hScale, rise } = state;
+    const output = [];
+    let removed = 0;
+    let tm = textMatrix;
+
+    const pushCodes = (bytes) => {
+      const last = output[output.length - 1];
+      if (Buffer.isBuffer(last)) {
+        output[output.length - 1] = Buffer.concat([last, bytes]);
+      } else {
+        output.push(bytes);
+      }
+    };
+    const pushAdjustment = (value) => {
+      if (value === 0) return;
+      const last = output[output.length - 1];
+      if (typeof last === 'number') {
+        output[output.length - 1] = last + value;
+      } else {
+        output.push(value);
+      }
+    };
+
+    for (const element of elements) {
+      if (typeof element === 'number') {
+        tm = multiplyMatrix([1, 0, 0, 1, (-element / 1000) * fontSize * hScale, 0], tm);
+        pushAdjustment(element);
+        continue;
+      }
+      if (!Buffer.isBuffer(element)) continue;
+
+      for (let i = 0; i < element.length; i += font.bytesPerCode) {
+        const codeBytes = element.subarray(i, i + font.bytesPerCode);
+        const code = codeBytes.length === 2 ? codeBytes.readUInt16BE(0) : codeBytes[0];
+        const w0 = font.widthOf(code) * font.scale;
+        const isSpace = font.bytesPerCode === 1 && code === 32;
+
+        const renderMatrix = multiplyMatrix([fontSize * hScale, 0, 0, fontSize, 0, rise], tm);
+        const box = boundingBox(
+          [[0, font.descent], [w0, font.descent], [0, font.ascent], [w0, font.ascent]],
+          renderMatrix
+        );
+
+        const advance = (w0 * fontSize + charSpacing + (isSpace ? wordSpacing : 0)) * hScale;
+
+        if (intersectsAny(box, rects)) {
+          removed++;
+          if (fontSize !== 0) {
+            pushAdjustment((-advance / hScale) * 1000 / fontSize);
+          }
+        } else {
+          pushCodes(codeBytes);
+        }
+
+        tm = multiplyMatrix([1, 0, 0, 1, advance, 0], tm);
+      }
+    }
+
+    return { elements: output, removed, textMatrix: tm };
+  }
+
+  /**
+   * Procesa un XObject dibujado con Do
+   * @returns {string|null|undefined} - nombre del sustituto, null para quitar la operación,
+   *   undefined si no hay que tocarla
+   */
+  processXObject(name, scope, ctm, rects, stats, fontCache, depth) {
+    const entry = scope.lookup('XObject', name);
+    const xobject = entry?.object;
+    if (!(xobject instanceof PDFStream)) return undefined;
+
+    const subtype = xobject.dict.lookup(PDFName.of('Subtype'));
+    const context = scope.context;
+
+    if (subtype === PDFName.of('Image')) {
+      const box = boundingBox([[0, 0], [1, 0], [0, 1], [1, 1]], ctm);
+      if (!intersectsAny(box, rects)) return undefined;
+
+      const redactedRef = this.redactImage(context, xobject, ctm, rects);
+      if (!redactedRef) {
+        stats.imagesRemoved++;
+        return null;
+      }
+      stats.imagesRedacted++;
+      return scope.addXObject(name, redactedRef);
+    }
+
+    if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+      const matrixArray = xobject.dict.lookup(PDFName.of('Matrix'));
+      const formMatrix = matrixArray instanceof PDFArray
+        ? matrixArray.asArray().map(n => context.lookup(n).asNumber())
+        : IDENTITY;
+      const formCtm = multiplyMatrix(formMatrix, ctm);
+
+      const bbox = xobject.dict.lookup(PDFName.of('BBox'));
+      if (bbox instanceof PDFArray) {
+        const [x1, y1, x2, y2] = bbox.asArray().map(n => context.lookup(n).asNumber());
+        const box = boundingBox([[x1, y1], [x2, y1], [x1, y2], [x2, y2]], formCtm);
+        if (!intersectsAny(box, rects)) return undefined;
+      }
+
+      const formResources = xobject.dict.lookup(PDFName.of('Resources'));
+      const formScope = formResources instanceof PDFDict
+        ? new ResourceScope(context, formResources)
+        : scope;
+
+      const result = this.processContent(getStreamBytes(xobject), formScope, formCtm, rects, stats, fontCache, depth + 1);
+      if (result === null && !(formScope !== scope && formScope.dirty)) return undefined;
+
+      const entries = copyStreamDict(xobject.dict);
+      if (formScope !== scope && formScope.dirty) entries.Resources = formScope.dict;
+      const newForm = context.flateStream(result || getStreamBytes(xobject), entries);
+      return scope.addXObject(name, context.register(newForm));
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Copia de la imagen con los píxeles de las áreas a 0.
+   * Solo imágenes sin comprimir o Flate sin predictor, 8 bits por componente;
+   * para el resto devuelve null y la imagen se elimina entera.
+   */
+  redactImage(context, image, ctm, rects) {
+    const inverse = invertMatrix(ctm);
+    if (!inverse) return null;
+
+    // Áreas en el espacio unitario de la imagen
+    const unitRects = rects.map(r => boundingBox(
+      [[r.x, r.y], [r.x + r.width, r.y], [r.x, r.y + r.height], [r.x + r.width, r.y + r.height]],
+      inverse
+    ));
+
+    const redactStream = (stream) => {
+      const dict = stream.dict;
+      const width = dict.lookup(PDFName.of('Width'))?.asNumber?.();
+      const height = dict.lookup(PDFName.of('Height'))?.asNumber?.();
+      const bpc = dict.lookup(PDFName.of('BitsPerComponent'))?.asNumber?.();
+      const components = this.getColorComponents(dict.lookup(PDFName.of('ColorSpace')));
+      const filter = dict.lookup(PDFName.of('Filter'));
+      const params = dict.lookup(PDFName.of('DecodeParms'));
+
+      const filterName = filter instanceof PDFArray
+        ? (filter.size() === 1 ? filter.lookup(0) : null)
+        : filter;
+      const supportedFilter = filterName === undefined || filterName === PDFName.of('FlateDecode');
+      const predictor = params instanceof PDFDict ? params.lookup(PDFName.of('Predictor'))?.asNumber?.() : undefined;
+
+      if (!width || !height || bpc !== 8 || !components || !supportedFilter || (predictor && predictor > 1)) {
+        return null;
+      }
+
+      const data = Buffer.from(getStreamBytes(stream));
+      const rowLength = width * components;
+      if (data.length < rowLength * height) return null;
+
+      for (const r of unitRects) {
+        const col1 = Math.max(0, Math.floor(r.x1 * width));
+        const col2 = Math.min(width, Math.ceil(r.x2 * width));
+        const row1 = Math.max(0, Math.floor((1 - r.y2) * height));
+        const row2 = Math.min(height, Math.ceil((1 - r.y1) * height));
+        for (let row = row1; row < row2; row++) {
+          data.fill(0, row * rowLength + col1 * components, row * rowLength + col2 * components);
+        }
+      }
+
+      const entries = copyStreamDict(dict);
+      return { data, entries };
+    };
+
+    const redacted = redactStream(image);
+    if (!redacted) return null;
+
+    const smask = image.dict.lookup(PDFName.of('SMask'));
+    if (smask instanceof PDFStream) {
+      const redactedMask = redactStream(smask);
+      if (!redactedMask) return null;
+      redacted.entries.SMask = context.register(context.flateStream(redactedMask.data, redactedMask.entries));
+    }
+
+    return context.register(context.flateStream(redacted.data, redacted.entries));
+  }
+
+  getColorComponents(colorSpace) {
+    if (colorSpace === PDFName.of('DeviceGray') || colorSpace === PDFName.of('CalGray')) return 1;
+    if (colorSpace === PDFName.of('DeviceRGB') || colorSpace === PDFName.of('CalRGB')) return 3;
+    if (colorSpace === PDFName.of('DeviceCMYK')) return 4;
+    if (colorSpace === undefined) return 1; // SMask (siempre DeviceGray)
+
+    if (colorSpace instanceof PDFArray) {
+      const family = colorSpace.lookup(0);
+      if (family === PDFName.of('Indexed')) return 1;
+      if (family === PDFName.of('CalRGB')) return 3;
+      if (family === PDFName.of('CalGray')) return 1;
+      if (family === PDFName.of('ICCBased')) {
+        const profile = colorSpace.lookup(1);
+        return profile instanceof PDFStream ? profile.dict.lookup(PDFName.of('N'))?.asNumber?.() || null : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Métricas de la fuente necesarias para ubicar cada glifo
+   */
+  getFont(scope, fontName, fontCache) {
+    const entry = fontName ? scope.lookup('Font', fontName) : null;
+    const fontDict = entry?.object;
+    if (!(fontDict instanceof PDFDict)) return this.getFallbackFont();
+
+    const cacheKey = entry.ref instanceof PDFRef ? String(entry.ref) : fontDict;
+    if (fontCache.has(cacheKey)) return fontCache.get(cacheKey);
+
+    const font = this.buildFont(scope.context, fontDict);
+    fontCache.set(cacheKey, font);
+    return font;
+  }
+
+  getFallbackFont() {
+    return { bytesPerCode: 1, widthOf: () => 500, scale: 0.001, ascent: 0.8, descent: -0.2 };
+  }
+
+  buildFont(context, fontDict) {
+    const number = (value, fallback) => {
+      const resolved = context.lookup(value);
+      return resolved instanceof PDFNumber ? resolved.asNumber() : fallback;
+    };
+    const subtype = fontDict.lookup(PDFName.of('Subtype'));
+
+    const metricsFromDescriptor = (descriptor, standard) => {
+      let ascent = descriptor instanceof PDFDict ? number(descriptor.get(PDFName.of('Ascent')), 0) : 0;
+      let descent = descriptor instanceof PDFDict ? number(descriptor.get(PDFName.of('Descent')), 0) : 0;
+      if (!ascent && standard) ascent = standard.Ascender || standard.FontBBox[3];
+      if (!descent && standard) descent = standard.Descender || standard.FontBBox[1];
+      return { ascent: (ascent || 800) / 1000, descent: (descent || -200) / 1000 };
+    };
+
+    // Fuentes compuestas (Type0): códigos de 2 bytes y anchos en /W de la descendiente
+    if (subtype === PDFName.of('Type0')) {
+      const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+      const cidFont = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+      const widths = new Map();
+      let defaultWidth = 1000;
+
+      if (cidFont instanceof PDFDict) {
+        defaultWidth = number(cidFont.get(PDFName.of('DW')), 1000);
+        const w = cidFont.lookup(PDFName.of('W'));
+        if (w instanceof PDFArray) {
+          const items = w.asArray().map(item => context.lookup(item));
+          for (let i = 0; i < items.length;) {
+            const first = items[i] instanceof PDFNumber ? items[i].asNumber() : null;
+            const next = items[i + 1];
+            if (first === null) break;
+            if (next instanceof PDFArray) {
+              next.asArray().forEach((width, j) => widths.set(first + j, number(width, defaultWidth)));
+              i += 2;
+            } else {
+              const last = next instanceof PDFNumber ? next.asNumber() : first;
+              const width = number(items[i + 2], defaultWidth);
+              for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+              i += 3;
+            }
+          }
+        }
+      }
+
+      const descriptor = cidFont instanceof PDFDict ? cidFont.lookup(PDFName.of('FontDescriptor')) : null;
+      return {
+        bytesPerCode: 2,
+        widthOf: (code) => (widths.has(code) ? widths.get(code) : defaultWidth),
+        scale: 0.001,
+        ...metricsFromDescriptor(descriptor, null)
+      };
+    }
+
+    // Fuentes simples: un byte por código, /Widths desde /FirstChar
+    const descriptor = fontDict.lookup(PDFName.of('FontDescriptor'));
+    const firstChar = number(fontDict.get(PDFName.of('FirstChar')), 0);
+    const widthsArray = fontDict.lookup(PDFName.of('Widths'));
+    const missingWidth = descriptor instanceof PDFDict ? number(descriptor.get(PDFName.of('MissingWidth')), 0) : 0;
+
+    let scale = 0.001;
+    if (subtype === PDFName.of('Type3')) {
+      const fontMatrix = fontDict.lookup(PDFName.of('FontMatrix'));
+      scale = fontMatrix instanceof PDFArray ? number(fontMatrix.get(0), 0.001) : 0.001;
+    }
+
+    const baseFont = fontDict.lookup(PDFName.of('BaseFont'));
+    const baseName = baseFont instanceof PDFName ? baseFont.decodeText().replace(/^[A-Z]{6}\+/, '') : '';
+    const standardName = STANDARD_FONT_ALIASES[baseName] || baseName;
+    const standard = Object.values(FontNames).includes(standardName) ? Font.load(standardName) : null;
+
+    if (widthsArray instanceof PDFArray) {
+      const widths = widthsArray.asArray().map(w => number(w, missingWidth));
+      return {
+        bytesPerCode: 1,
+        widthOf: (code) => widths[code - firstChar] ?? missingWidth,
+        scale,
+        ...(subtype === PDFName.of('Type3')
+          ? { ascent: 0.8 / (scale * 1000), descent: -0.2 / (scale * 1000) }
+          : metricsFromDescriptor(descriptor, standard))
+      };
+    }
+
+    // Fuentes estándar sin /Widths: métricas AFM incluidas en pdf-lib
+    if (standard) {
+      const table = { ...ENCODING_TABLES[standardName === 'Symbol' ? 'Symbol' : standardName === 'ZapfDingbats' ? 'ZapfDingbats' : 'WinAnsi'] };
+
+      const encoding = fontDict.lookup(PDFName.of('Encoding'));
+      const differences = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+      if (differences instanceof PDFArray) {
+        let code = 0;
+        for (const item of differences.asArray().map(d => context.lookup(d))) {
+          if (item instanceof PDFNumber) code = item.asNumber();
+          else if (item instanceof PDFName) table[code++] = item.decodeText();
+        }
+      }
+
+      return {
+        bytesPerCode: 1,
+        widthOf: (code) => (table[code] ? standard.getWidthOfGlyph(table[code]) || 0 : 0),
+        scale: 0.001,
+        ...metricsFromDescriptor(descriptor, standard)
+      };
+    }
+
+    return { ...this.getFallbackFont(), ...metricsFromDescriptor(descriptor, null) };
+  }
+
+  /**
+   * Borra del contexto los objetos que ya no cuelgan del trailer
+   * (contenido original sustituido, imágenes reemplazadas...)
+   *
+   * @returns {number} - Objetos eliminados
+   */
+  removeUnreachableObjects(pdfDoc) {
+    const context = pdfDoc.context;
+    const reachable = new Set();
+    const queue = [];
+
+    const visit = (object) => {
+      if (object instanceof PDFRef) {
+        const key = String(object);
+        if (reachable.has(key)) return;
+        reachable.add(key);
+        queue.push(context.lookup(object));
+      } else if (object) {
+        queue.push(object);
+      }
+    };
+
+    const { Root, Info, Encrypt } = context.trailerInfo;
+    [Root, Info, Encrypt].forEach(visit);
+
+    while (queue.length > 0) {
+      const object = queue.pop();
+      if (object instanceof PDFDict) {
+        for (const [, value] of object.entries()) visit(value);
+      } else if (object instanceof PDFArray) {
+        for (const value of object.asArray()) visit(value);
+      } else if (object instanceof PDFStream) {
+        for (const [, value] of object.dict.entries()) visit(value);
+      }
+    }
+
+    let removed = 0;
+    for (const [ref] of context.enumerateIndirectObjects()) {
+      if (!reachable.has(String(ref))) {
+        context.delete(ref);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[Redaction] Removed ${removed} orphan objects`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,66 @@
+const Redis = require('ioredis');
+
+// Cada cuánto se vuelve a registrar el error de conexión mientras Redis siga caído
+const ERROR_LOG_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Conexión compartida a Redis (o cualquier servidor compatible: Valkey, KeyDB, Dragonfly...)
+ * definida por REDIS_URL. Se crea al pedirla por primera vez.
+ */
+class RedisService {
+  constructor() {
+    this.client = null;
+    this.lastErrorLog = 0;
+  }
+
+  get configured() {
+    return Boolean(process.env.REDIS_URL);
+  }
+
+  /**
+   * @returns {Redis}
+   * @throws {Error} - Si no hay REDIS_URL
+   */
+  getClient() {
+    if (this.client) return this.client;
+
+    if (!this.configured) {
+      throw new Error('REDIS_URL no está configurada');
+    }
+
+    this.client = new Redis(process.env.REDIS_URL, {
+      // Fallar rápido si Redis no responde en lugar de dejar la request esperando
+      maxRetriesPerRequest: 1,
+      connectTimeout: 5000
+    });
+
+    this.client.on('ready', () => console.log('[Redis] Connected'));
+    this.client.on('error', (error) => {
+      if (Date.now() - this.lastErrorLog < ERROR_LOG_INTERVAL_MS) return;
+      this.lastErrorLog = Date.now();
+      console.error('[Redis] Error:', error.message);
+    });
+
+    return this.client;
+  }
+
+  /**
+   * Comprueba que Redis responde
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    try {
+      return (await this.getClient().ping()) === 'PONG';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async close() {
+    if (!this.client) return;
+    await this.client.quit().catch(() => this.client.disconnect());
+    this.client = null;
+  }
+}
+
+module.exports = new RedisService();
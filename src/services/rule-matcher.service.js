@@ -0,0 +1,118 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { parsePatterns, buildRules, matchRules } = require('../utils/sensitive-data.utils');
+
+// Tiempo máximo para aplicar las reglas a las líneas de una página (PATTERN_TIMEOUT_MS, default: 2000)
+const MATCH_TIMEOUT_MS = parseInt(process.env.PATTERN_TIMEOUT_MS) || 2000;
+
+// Memoria máxima del hilo que ejecuta los patrones del usuario
+const WORKER_MAX_MEMORY_MB = 64;
+
+function patternTimeoutError() {
+  const error = new Error(`Los patrones personalizados tardan más de ${MATCH_TIMEOUT_MS}ms en una página. Simplifica la expresión regular.`);
+  error.status = 400;
+  error.code = 'PATTERN_TIMEOUT';
+  return error;
+}
+
+/**
+ * Reglas sin patrones del usuario (detectores integrados, términos, texto exacto):
+ * se aplican en el hilo principal
+ */
+class LocalMatcher {
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  async match(texts) {
+    return texts.map(text => matchRules(text, this.rules));
+  }
+
+  async close() {}
+}
+
+/**
+ * Reglas con patrones del usuario: se aplican en un worker thread propio de la petición.
+ * Una expresión con backtracking catastrófico no bloquea el event loop: si una página
+ * supera MATCH_TIMEOUT_MS se termina el worker y la búsqueda falla con PATTERN_TIMEOUT.
+ */
+class WorkerMatcher {
+  constructor(spec) {
+    this.worker = new Worker(__filename, {
+      workerData: spec,
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_MAX_MEMORY_MB }
+    });
+    this.pending = new Map();
+    this.nextId = 1;
+
+    this.worker.on('message', ({ id, results, error }) => {
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      clearTimeout(request.timer);
+      if (error) request.reject(new Error(error));
+      else request.resolve(results);
+    });
+
+    this.worker.on('error', (error) => this.rejectAll(error));
+    this.worker.on('exit', () => this.rejectAll(new Error('El worker de patrones ha terminado')));
+  }
+
+  match(texts) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        console.warn(`[RuleMatcher] Pattern timeout after ${MATCH_TIMEOUT_MS}ms, terminating worker`);
+        this.rejectAll(patternTimeoutError());
+        this.worker.terminate();
+      }, MATCH_TIMEOUT_MS);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ id, texts });
+    });
+  }
+
+  rejectAll(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  async close() {
+    await this.worker.terminate();
+  }
+}
+
+/**
+ * Aplica las reglas de búsqueda de censure-pdf a los textos de cada página
+ */
+class RuleMatcherService {
+  /**
+   * @param {object} spec - Opciones de buildRules con los patrones sin compilar
+   *   ({ searchType, searchText, caseSensitive, patterns, terms, termsName })
+   * @param {Array<object>} rules - Resultado de buildRules(spec) (ya validado)
+   * @returns {{match: function(string[]): Promise<Array>, close: function(): Promise}}
+   *   Hay que llamar a close() al terminar la búsqueda
+   */
+  createMatcher(spec, rules) {
+    const hasCustomPatterns = rules.some(rule => rule.type === 'custom');
+    return hasCustomPatterns ? new WorkerMatcher(spec) : new LocalMatcher(rules);
+  }
+}
+
+if (!isMainThread) {
+  // Worker: las reglas se compilan una vez y se aplican a cada lote de líneas
+  const { patterns, ...options } = workerData;
+  const rules = buildRules({ ...options, patterns: parsePatterns(patterns) });
+
+  parentPort.on('message', ({ id, texts }) => {
+    try {
+      parentPort.postMessage({ id, results: texts.map(text => matchRules(text, rules)) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = new RuleMatcherService();
@@ -0,0 +1,212 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFStream,
+  PDFString,
+  PDFHexString
+} = require('pdf-lib');
+const redactionService = require('./redaction.service');
+
+// Acciones que ejecutan código, abren archivos o envían datos fuera del documento
+const ACTIVE_ACTION_TYPES = ['JavaScript', 'Launch', 'SubmitForm', 'ImportData', 'GoToE'];
+
+// Anotaciones que no son comentarios de usuario
+const NON_MARKUP_ANNOTATIONS = ['Widget', 'Link', 'Popup'];
+
+/**
+ * Texto de una clave de name tree (PDFString o PDFHexString)
+ */
+function decodeKey(key) {
+  return key instanceof PDFString || key instanceof PDFHexString ? key.decodeText() : String(key);
+}
+
+class SanitizeService {
+
+  /**
+   * Elimina del documento todo lo que puede revelar información además del contenido visible:
+   * diccionario Info, XMP, archivos adjuntos, JavaScript y acciones activas, anotaciones con
+   * autor, el ID del documento y los objetos que quedaban de revisiones anteriores.
+   *
+   * El PDFDocument debe cargarse con updateMetadata: false, si no pdf-lib vuelve a
+   * escribir Producer/ModDate al cargar.
+   *
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib
+   * @param {Buffer} originalBytes - Bytes del archivo original (para contar revisiones)
+   * @returns {object} - Informe con lo eliminado
+   */
+  sanitizePdf(pdfDoc, originalBytes) {
+    const context = pdfDoc.context;
+    const catalog = pdfDoc.catalog;
+
+    const report = {
+      documentInfo: [],
+      xmpMetadata: 0,
+      embeddedFiles: [],
+      javascript: { documentScripts: [], actions: 0 },
+      annotations: [],
+      documentId: false,
+      previousRevisions: 0,
+      unreferencedObjects: 0,
+      totalRemoved: 0
+    };
+
+    // Diccionario Info (Title, Author, Creator, Producer, fechas...)
+    const info = context.lookup(context.trailerInfo.Info);
+    if (info instanceof PDFDict) {
+      report.documentInfo = info.keys().map(key => key.decodeText());
+    }
+    context.trailerInfo.Info = undefined;
+
+    // El ID se mantiene entre revisiones y permite relacionar el archivo con el original
+    if (context.trailerInfo.ID) {
+      report.documentId = true;
+      context.trailerInfo.ID = undefined;
+    }
+
+    // Name trees del catálogo: adjuntos y scripts de documento
+    const names = catalog.lookup(PDFName.of('Names'));
+    if (names instanceof PDFDict) {
+      const embedded = names.lookup(PDFName.of('EmbeddedFiles'));
+      if (embedded instanceof PDFDict) {
+        report.embeddedFiles.push(...this.collectNameTreeKeys(embedded));
+        names.delete(PDFName.of('EmbeddedFiles'));
+      }
+
+      const scripts = names.lookup(PDFName.of('JavaScript'));
+      if (scripts instanceof PDFDict) {
+        report.javascript.documentScripts.push(...this.collectNameTreeKeys(scripts));
+        names.delete(PDFName.of('JavaScript'));
+      }
+    }
+    catalog.delete(PDFName.of('AF'));
+
+    // Anotaciones con autor (comentarios, notas, resaltados) y adjuntos en página
+    pdfDoc.getPages().forEach((page, index) => {
+      const annots = page.node.Annots();
+      if (!annots) return;
+
+      const kept = [];
+      const removed = new Set();
+
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        const subtype = annot instanceof PDFDict ? annot.lookup(PDFName.of('Subtype')) : null;
+        const subtypeName = subtype instanceof PDFName ? subtype.decodeText() : 'Unknown';
+
+        const isComment = annot instanceof PDFDict
+          && !NON_MARKUP_ANNOTATIONS.includes(subtypeName)
+          && annot.has(PDFName.of('T'));
+
+        if (isComment || subtypeName === 'FileAttachment') {
+          removed.add(String(annots.get(i)));
+          report.annotations.push({ pageNumber: index + 1, subtype: subtypeName });
+          if (subtypeName === 'FileAttachment') {
+            const fileSpec = annot.lookup(PDFName.of('FS'));
+            const fileName = fileSpec instanceof PDFDict
+              ? fileSpec.lookup(PDFName.of('UF')) || fileSpec.lookup(PDFName.of('F'))
+              : null;
+            if (fileName) report.embeddedFiles.push(decodeKey(fileName));
+          }
+        } else {
+          kept.push(annots.get(i));
+        }
+      }
+
+      if (removed.size === 0) return;
+
+      // Los Popup de los comentarios eliminados se van con ellos
+      const remaining = kept.filter(ref => {
+        const annot = context.lookup(ref);
+        const parent = annot instanceof PDFDict ? annot.get(PDFName.of('Parent')) : null;
+        return !(parent && removed.has(String(parent)));
+      });
+
+      page.node.set(PDFName.of('Annots'), context.obj(remaining));
+    });
+
+    // XMP y acciones activas en cualquier objeto (catálogo, páginas, campos, anotaciones)
+    for (const [, object] of context.enumerateIndirectObjects()) {
+      const dict = object instanceof PDFStream ? object.dict : object;
+      if (!(dict instanceof PDFDict)) continue;
+
+      if (dict.has(PDFName.of('Metadata'))) {
+        dict.delete(PDFName.of('Metadata'));
+        report.xmpMetadata++;
+      }
+
+      if (dict.has(PDFName.of('AA'))) {
+        dict.delete(PDFName.of('AA'));
+        report.javascript.actions++;
+      }
+
+      for (const key of ['OpenAction', 'A']) {
+        if (this.isActiveAction(dict.lookup(PDFName.of(key)))) {
+          dict.delete(PDFName.of(key));
+          report.javascript.actions++;
+        }
+      }
+    }
+
+    // Revisiones anteriores: pdf-lib reescribe el archivo entero; lo que no cuelga
+    // del catálogo (objetos de versiones previas, adjuntos, XMP...) se borra
+    report.previousRevisions = Math.max(0, (Buffer.from(originalBytes).toString('latin1').match(/%%EOF/g) || []).length - 1);
+    report.unreferencedObjects = redactionService.removeUnreachableObjects(pdfDoc);
+
+    report.totalRemoved = report.documentInfo.length
+      + report.xmpMetadata
+      + report.embeddedFiles.length
+      + report.javascript.documentScripts.length
+      + report.javascript.actions
+      + report.annotations.length
+      + (report.documentId ? 1 : 0)
+      + report.previousRevisions;
+
+    console.log(`[Sanitize] Removed: ${report.documentInfo.length} info keys, ${report.xmpMetadata} XMP, ${report.embeddedFiles.length} files, ${report.javascript.documentScripts.length + report.javascript.actions} scripts/actions, ${report.annotations.length} annotations`);
+
+    return report;
+  }
+
+  /**
+   * ¿Es una acción (o una cadena de acciones /Next) que ejecuta algo?
+   */
+  isActiveAction(action, depth = 0) {
+    if (depth > 20) return true;
+
+    if (action instanceof PDFArray) {
+      return action.asArray().some((_, i) => this.isActiveAction(action.lookup(i), depth + 1));
+    }
+    if (!(action instanceof PDFDict)) return false;
+
+    const type = action.lookup(PDFName.of('S'));
+    if (type instanceof PDFName && ACTIVE_ACTION_TYPES.includes(type.decodeText())) return true;
+
+    return this.isActiveAction(action.lookup(PDFName.of('Next')), depth + 1);
+  }
+
+  /**
+   * Claves de un name tree (Names + Kids)
+   */
+  collectNameTreeKeys(node, depth = 0) {
+    const keys = [];
+    if (!(node instanceof PDFDict) || depth > 20) return keys;
+
+    const entries = node.lookup(PDFName.of('Names'));
+    if (entries instanceof PDFArray) {
+      for (let i = 0; i < entries.size(); i += 2) {
+        keys.push(decodeKey(entries.lookup(i)));
+      }
+    }
+
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        keys.push(...this.collectNameTreeKeys(kids.lookup(i), depth + 1));
+      }
+    }
+
+    return keys;
+  }
+}
+
+module.exports = new SanitizeService();
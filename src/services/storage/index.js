@@ -0,0 +1,48 @@
+const path = require('path');
+const LocalStorageDriver = require('./local.driver');
+const S3StorageDriver = require('./s3.driver');
+
+/**
+ * Crea el driver de almacenamiento según STORAGE_DRIVER (local | s3)
+ *
+ * Interfaz común de los drivers:
+ * - put(key, body, { contentType })
+ * - putFile(key, filePath, { contentType }) → tamaño en bytes
+ * - putStream(key, stream, { contentType })
+ * - get(key) → Buffer | null
+ * - createReadStream(key, { start, end }) → Readable
+ * - stat(key) → { size, lastModified } | null
+ * - delete(key)
+ * - list() → [{ key, lastModified }]
+ * - getDownloadUrl(key, { fileName, mimeType, expiresIn, disposition }) → URL prefirmada | null
+ * - getLocalPath(key) → ruta en disco | null
+ *
+ * @param {string} localDir - Directorio usado por el driver local
+ */
+function createStorageDriver(localDir) {
+  const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driverName === 's3') {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('STORAGE_DRIVER=s3 requiere S3_BUCKET');
+    }
+
+    return new S3StorageDriver({
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX !== undefined ? process.env.S3_PREFIX : 'downloads/',
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+
+  if (driverName !== 'local') {
+    throw new Error(`STORAGE_DRIVER desconocido: ${driverName} (usa local o s3)`);
+  }
+
+  return new LocalStorageDriver(path.resolve(localDir));
+}
+
+module.exports = { createStorageDriver };
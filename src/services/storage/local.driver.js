@@ -0,0 +1,136 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Driver de almacenamiento en disco local (comportamiento original de FileStore)
+ * Cada objeto es un archivo dentro de rootDir con la clave como nombre.
+ */
+class LocalStorageDriver {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Ruta absoluta de una clave (las claves no pueden contener directorios)
+   */
+  getLocalPath(key) {
+    return path.join(this.rootDir, path.basename(key));
+  }
+
+  async ensureDir() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  /**
+   * Escribe un objeto de forma atómica (tmp + rename)
+   * @param {string} key - Nombre del objeto
+   * @param {Buffer|string} body - Contenido
+   */
+  async put(key, body) {
+    await this.ensureDir();
+    const finalPath = this.getLocalPath(key);
+    const tmpPath = `${finalPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, finalPath);
+  }
+
+  /**
+   * Copia un archivo del disco como objeto (tmp + rename)
+   * @returns {Promise<number>} - Tamaño en bytes
+   */
+  async putFile(key, filePath) {
+    await this.ensureDir();
+    const finalPath = this.getLocalPath(key);
+    const tmpPath = `${finalPath}.${process.pid}.tmp`;
+    await fs.copyFile(filePath, tmpPath);
+    await fs.rename(tmpPath, finalPath);
+    return (await fs.stat(finalPath)).size;
+  }
+
+  /**
+   * Escribe un stream directamente a disco sin cargarlo en memoria (tmp + rename)
+   */
+  async putStream(key, stream) {
+    await this.ensureDir();
+    const finalPath = this.getLocalPath(key);
+    const tmpPath = `${finalPath}.${process.pid}.tmp`;
+    try {
+      await pipeline(stream, fsSync.createWriteStream(tmpPath));
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+    await fs.rename(tmpPath, finalPath);
+  }
+
+  /**
+   * Lee un objeto completo
+   * @returns {Promise<Buffer|null>} - null si no existe
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.getLocalPath(key));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Stream de lectura de un objeto (opcionalmente un rango de bytes inclusivo)
+   */
+  async createReadStream(key, { start, end } = {}) {
+    return fsSync.createReadStream(this.getLocalPath(key), { start, end });
+  }
+
+  /**
+   * @returns {Promise<{size: number, lastModified: Date}|null>}
+   */
+  async stat(key) {
+    try {
+      const stat = await fs.stat(this.getLocalPath(key));
+      return { size: stat.size, lastModified: stat.mtime };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async delete(key) {
+    await fs.unlink(this.getLocalPath(key)).catch(() => {});
+  }
+
+  /**
+   * Lista todos los objetos
+   * @returns {Promise<Array<{key: string, lastModified: Date}>>}
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.rootDir);
+    } catch (e) {
+      return [];
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      try {
+        const stat = await fs.stat(path.join(this.rootDir, entry));
+        if (stat.isFile()) {
+          objects.push({ key: entry, lastModified: stat.mtime });
+        }
+      } catch (e) {}
+    }
+    return objects;
+  }
+
+  /**
+   * El disco local no tiene URLs prefirmadas: la descarga se sirve en streaming
+   */
+  async getDownloadUrl() {
+    return null;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,209 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { Upload } = require('@aws-sdk/lib-storage');
+const fs = require('fs');
+const { contentDisposition } = require('../../utils/http.utils');
+
+/**
+ * Driver de almacenamiento S3-compatible (AWS S3, MinIO, R2...)
+ * Permite que varios workers detrás del balanceador compartan las descargas.
+ */
+class S3StorageDriver {
+  /**
+   * @param {object} config
+   * @param {string} config.bucket - Bucket de destino
+   * @param {string} config.prefix - Prefijo de las claves (ej: 'downloads/')
+   * @param {string} config.endpoint - Endpoint personalizado (MinIO: http://localhost:9000)
+   * @param {string} config.region - Región (MinIO acepta cualquiera)
+   * @param {string} config.accessKeyId
+   * @param {string} config.secretAccessKey
+   * @param {boolean} config.forcePathStyle - Necesario para MinIO
+   */
+  constructor(config) {
+    this.name = 's3';
+    this.bucket = config.bucket;
+    this.prefix = config.prefix || '';
+
+    this.client = new S3Client({
+      region: config.region || 'us-east-1',
+      endpoint: config.endpoint || undefined,
+      forcePathStyle: config.forcePathStyle,
+      credentials: config.accessKeyId ? {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Los objetos no existen en disco local
+   */
+  getLocalPath() {
+    return null;
+  }
+
+  /**
+   * @param {string} key - Nombre del objeto
+   * @param {Buffer|string} body - Contenido
+   * @param {object} options
+   * @param {string} options.contentType - MIME type del objeto
+   */
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Sube un archivo del disco en streaming
+   * @returns {Promise<number>} - Tamaño en bytes
+   */
+  async putFile(key, filePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+    return size;
+  }
+
+  /**
+   * Sube un stream de longitud desconocida (multipart, por partes de 5MB)
+   */
+  async putStream(key, stream, { contentType } = {}) {
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: stream,
+        ContentType: contentType
+      }
+    });
+    await upload.done();
+  }
+
+  /**
+   * @returns {Promise<Buffer|null>} - null si no existe
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Stream de lectura de un objeto (opcionalmente un rango de bytes inclusivo)
+   */
+  async createReadStream(key, { start, end } = {}) {
+    const hasRange = start !== undefined || end !== undefined;
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: hasRange ? `bytes=${start || 0}-${end !== undefined ? end : ''}` : undefined
+    }));
+    return response.Body;
+  }
+
+  /**
+   * @returns {Promise<{size: number, lastModified: Date}|null>}
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  /**
+   * Lista todos los objetos bajo el prefijo (paginando)
+   * @returns {Promise<Array<{key: string, lastModified: Date}>>}
+   */
+  async list() {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const item of response.Contents || []) {
+        objects.push({
+          key: item.Key.slice(this.prefix.length),
+          lastModified: item.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * URL prefirmada para descargar directamente desde el bucket
+   * @param {string} key - Nombre del objeto
+   * @param {object} options
+   * @param {string} options.fileName - Nombre con el que se descargará
+   * @param {string} options.mimeType - Content-Type de la respuesta
+   * @param {number} options.expiresIn - Validez de la URL en segundos
+   * @param {string} options.disposition - 'attachment' (default) | 'inline'
+   */
+  async getDownloadUrl(key, { fileName, mimeType, expiresIn = 300, disposition = 'attachment' } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentType: mimeType,
+      ResponseContentDisposition: contentDisposition(fileName, disposition)
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' ||
+    error.name === 'NotFound' ||
+    error.$metadata?.httpStatusCode === 404;
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,160 @@
+/**
+ * Detección del tipo real de un archivo por su contenido (magic bytes), para no
+ * fiarse solo de la extensión que manda el cliente
+ */
+const fs = require('fs').promises;
+
+// Bytes que se leen del principio del archivo
+const HEAD_SIZE = 8 * 1024;
+
+// En los ZIP los nombres de las entradas están en el directorio central, al final
+const TAIL_SIZE = 64 * 1024;
+
+const IMAGE_TYPES = ['jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp'];
+
+/**
+ * Tipos detectados que acepta cada grupo. 'ole' es el formato binario de Office
+ * (.doc, .xls, .ppt), que no distingue la aplicación por los magic bytes.
+ */
+const TYPE_GROUPS = {
+  pdf: ['pdf'],
+  word: ['docx', 'ole'],
+  excel: ['xlsx', 'ole'],
+  powerpoint: ['pptx', 'ole'],
+  office: ['docx', 'xlsx', 'pptx', 'ole'],
+  image: IMAGE_TYPES,
+  html: ['html'],
+  pkcs12: ['pkcs12'],
+  text: ['text', 'html']
+};
+
+/**
+ * MIME type con el que se guarda cada tipo detectado
+ */
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ole: 'application/x-ole-storage',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff',
+  webp: 'image/webp',
+  pkcs12: 'application/x-pkcs12',
+  html: 'text/html',
+  text: 'text/plain'
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * Subtipo de un ZIP según los nombres de sus entradas (OOXML)
+ */
+function detectZipType(buffer) {
+  const names = buffer.toString('latin1');
+  if (names.includes('word/')) return 'docx';
+  if (names.includes('xl/')) return 'xlsx';
+  if (names.includes('ppt/')) return 'pptx';
+  return 'zip';
+}
+
+/**
+ * Texto plano o HTML: sin bytes nulos ni apenas caracteres de control
+ */
+function detectTextType(buffer) {
+  let sample = buffer;
+  if (startsWith(sample, [0xEF, 0xBB, 0xBF])) sample = sample.subarray(3);
+  if (sample.length === 0) return 'text';
+
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return null;
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D && byte !== 0x0C) control++;
+  }
+  if (control / sample.length > 0.01) return null;
+
+  const text = sample.toString('utf-8').trimStart().toLowerCase();
+  if (/^<!doctype html|<html[\s>]|<head[\s>]|<body[\s>]/.test(text)) return 'html';
+  if (/^<[a-z!][^>]*>/.test(text)) return 'html';
+  return 'text';
+}
+
+/**
+ * Tipo a partir de los primeros bytes (y del final, para los ZIP)
+ *
+ * @param {Buffer} head - Principio del archivo
+ * @param {Buffer} tail - Final del archivo (opcional)
+ * @returns {string|null} - pdf, docx, xlsx, pptx, zip, ole, jpeg, png, gif, bmp, tiff,
+ *   webp, pkcs12, html, text, gzip o null si no se reconoce
+ */
+function detectBufferType(head, tail = Buffer.alloc(0)) {
+  // Algunos generadores meten basura antes de la cabecera; los lectores de PDF la toleran
+  if (head.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04])) return detectZipType(Buffer.concat([head, tail]));
+  if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'ole';
+
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (startsWith(head, [0x47, 0x49, 0x46, 0x38])) return 'gif';
+  if (startsWith(head, [0x42, 0x4D])) return 'bmp';
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return 'tiff';
+  if (startsWith(head, [0x52, 0x49, 0x46, 0x46]) && startsWith(head, [0x57, 0x45, 0x42, 0x50], 8)) return 'webp';
+
+  if (startsWith(head, [0x1F, 0x8B])) return 'gzip';
+
+  // PKCS#12: SEQUENCE DER con longitud en forma larga y versión 3 (INTEGER 3)
+  if (head[0] === 0x30 && head[1] >= 0x81 && head[1] <= 0x84) {
+    const versionOffset = 2 + (head[1] - 0x80);
+    if (startsWith(head, [0x02, 0x01, 0x03], versionOffset)) return 'pkcs12';
+  }
+
+  return detectTextType(head);
+}
+
+/**
+ * Detecta el tipo real de un archivo en disco. Las subidas comprimidas llegan
+ * ya descomprimidas (decompress.middleware).
+ *
+ * @param {string} filePath
+ * @returns {Promise<string|null>} - Ver detectBufferType
+ */
+async function detectFileType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+
+    const head = Buffer.alloc(Math.min(size, HEAD_SIZE));
+    await handle.read(head, 0, head.length, 0);
+
+    let tail = Buffer.alloc(0);
+    if (startsWith(head, [0x50, 0x4B, 0x03, 0x04]) && size > head.length) {
+      tail = Buffer.alloc(Math.min(TAIL_SIZE, size - head.length));
+      await handle.read(tail, 0, tail.length, size - tail.length);
+    }
+
+    return detectBufferType(head, tail);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Expande una lista de grupos/tipos (p.ej. ['pdf', 'image']) a los tipos detectables
+ */
+function resolveAcceptedTypes(accept) {
+  return [...new Set(accept.flatMap(name => TYPE_GROUPS[name] || [name]))];
+}
+
+module.exports = {
+  TYPE_GROUPS,
+  MIME_TYPES,
+  IMAGE_TYPES,
+  detectBufferType,
+  detectFileType,
+  resolveAcceptedTypes
+};
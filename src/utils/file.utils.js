@@ -1,10 +1,56 @@
 const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
+const fs = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const metricsService = require('../services/metrics.service');
+const { logger } = require('./logger.utils');
 
-const execAsync = promisify(exec);
+const execShellAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
 
+/**
+ * Registra en las métricas la duración y, si falla, el fallo del binario, y deja una
+ * línea de log por invocación (los argumentos pasan por la redacción de secretos)
+ * @param {string} binary - Comando ejecutado (para un comando de shell, su primera palabra)
+ * @param {Promise} execution - Promesa de execFile/exec
+ * @param {string[]|string} args - Argumentos de execFile o comando de shell completo
+ */
+async function trackExecution(binary, execution, args) {
+  const startTime = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - startTime) / 1e9;
+  const invocation = Array.isArray(args) ? { args } : { command: args };
+
+  try {
+    const result = await execution;
+    const durationSeconds = elapsed();
+    metricsService.recordToolRun(binary, durationSeconds);
+    logger.info('Tool invocation', { tool: binary, ...invocation, outcome: 'success', durationMs: Math.round(durationSeconds * 1000) });
+    return result;
+  } catch (error) {
+    const durationSeconds = elapsed();
+    metricsService.recordToolRun(binary, durationSeconds, error);
+    logger.warn('Tool invocation', {
+      tool: binary,
+      ...invocation,
+      outcome: 'error',
+      durationMs: Math.round(durationSeconds * 1000),
+      exitCode: error.code,
+      signal: error.signal || undefined
+    });
+    throw error;
+  }
+}
+
+const shellBinary = (command) => path.basename(String(command).trim().split(/\s+/)[0] || 'sh');
+
+/**
+ * exec promisificado (con métricas). Deprecated: usar execWithTimeout
+ */
+function execAsync(command, options) {
+  return trackExecution(shellBinary(command), execShellAsync(command, options), command);
+}
+
 /**
  * Ejecuta un comando con timeout usando execFile (más seguro contra command injection)
  * @param {string} command - Comando a ejecutar
@@ -15,12 +61,12 @@ const execFileAsync = promisify(execFile);
 async function execFileWithTimeout(command, args = [], options = {}) {
   const timeout = options.timeout || 120000; // 2 minutos por defecto
 
-  return execFileAsync(command, args, {
+  return trackExecution(path.basename(command), execFileAsync(command, args, {
     ...options,
     timeout,
     maxBuffer: 50 * 1024 * 1024, // 50MB buffer
     killSignal: 'SIGKILL'
-  });
+  }), args);
 }
 
 /**
@@ -32,12 +78,12 @@ async function execFileWithTimeout(command, args = [], options = {}) {
 async function execWithTimeout(command, options = {}) {
   const timeout = options.timeout || 120000;
 
-  return execAsync(command, {
+  return trackExecution(shellBinary(command), execShellAsync(command, {
     ...options,
     timeout,
     maxBuffer: 50 * 1024 * 1024,
     killSignal: 'SIGKILL'
-  });
+  }), command);
 }
 
 /**
@@ -82,10 +128,34 @@ function sanitizeFilename(filename) {
   return safe;
 }
 
+/**
+ * Número de páginas de un PDF. Usa pdfinfo (no carga el documento en memoria) y,
+ * si no está instalado o falla, pdf-lib.
+ * @param {string} filePath
+ * @returns {Promise<number|null>} - null si el archivo no es un PDF legible
+ */
+async function countPdfPages(filePath) {
+  try {
+    const { stdout } = await execFileWithTimeout('pdfinfo', [filePath], { timeout: 30000 });
+    const match = stdout.match(/Pages:\s+(\d+)/);
+    if (match) return parseInt(match[1]);
+  } catch (e) {
+    // Sin pdfinfo o PDF que no entiende: probar con pdf-lib
+  }
+
+  try {
+    const pdf = await PDFDocument.load(await fs.readFile(filePath), { ignoreEncryption: true });
+    return pdf.getPageCount();
+  } catch (e) {
+    return null;
+  }
+}
+
 module.exports = {
   execAsync, // Deprecated - usar execWithTimeout
   execFileAsync,
   execFileWithTimeout,
   execWithTimeout,
-  sanitizeFilename
+  sanitizeFilename,
+  countPdfPages
 };
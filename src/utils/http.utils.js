@@ -0,0 +1,128 @@
+/**
+ * Utilidades HTTP: servir archivos (Content-Disposition, rangos, peticiones condicionales) y
+ * patrón de la ruta de una petición para logs y métricas
+ */
+
+/**
+ * Cabecera Content-Disposition con el nombre original (RFC 6266 / RFC 5987):
+ * filename="..." con un fallback ASCII para clientes antiguos y filename* en UTF-8
+ *
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} type - 'attachment' | 'inline'
+ */
+function contentDisposition(fileName, type = 'attachment') {
+  if (!fileName) return type;
+
+  const fallback = fileName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+  // encodeURIComponent deja sin escapar ' ( ) * que RFC 5987 no permite en attr-char
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Parsea una cabecera Range de un solo rango de bytes
+ *
+ * @param {string} header - Valor de Range (p.ej. 'bytes=0-1023', 'bytes=1024-', 'bytes=-500')
+ * @param {number} size - Tamaño total del archivo
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} - null si no hay rango
+ *   utilizable (cabecera ausente, mal formada o con varios rangos: se sirve el archivo entero)
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Sufijo: los últimos N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+
+  return { start, end };
+}
+
+/**
+ * ¿Alguna de las ETags de If-None-Match / If-Range coincide? (comparación débil)
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * ¿La copia del cliente sigue vigente? (If-None-Match tiene prioridad sobre If-Modified-Since)
+ */
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince) && lastModified) {
+    // Las fechas HTTP tienen resolución de segundos
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * ¿Se puede aplicar el Range? Con If-Range solo si la ETag (o la fecha) coincide con la actual
+ */
+function isRangeFresh(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+    // If-Range exige comparación fuerte
+    return !ifRange.trim().startsWith('W/') && ifRange.trim() === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && lastModified
+    && Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+}
+
+/**
+ * Patrón de la ruta para las etiquetas (/api/download/:fileId, nunca el fileId real).
+ * Cuando un error sale del router Express ya ha restaurado req.baseUrl: el prefijo
+ * se reconstruye quitando de la URL tantos segmentos como tenga la ruta.
+ */
+function routeLabel(req) {
+  if (!req.route) return req.baseUrl || 'unmatched';
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  if (req.baseUrl) return req.baseUrl + routePath;
+
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = routePath.split('/').filter(Boolean).length;
+  return `/${segments.slice(0, segments.length - routeSegments).join('/')}${routePath}`;
+}
+
+module.exports = {
+  contentDisposition,
+  parseRange,
+  etagMatches,
+  isNotModified,
+  isRangeFresh,
+  routeLabel
+};
@@ -0,0 +1,192 @@
+/**
+ * Logs estructurados: una línea JSON por evento con el contexto de la petición en curso
+ * (requestId, método, ruta, fileId) gracias a AsyncLocalStorage, y sin secretos.
+ */
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_LEVEL (default: info) y LOG_FORMAT: json (default) | pretty (legible, para desarrollo)
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+
+const REDACTED = '[REDACTED]';
+
+// Campos (del body, de objetos logueados) cuyo valor nunca se escribe
+const SECRET_KEY_PATTERN = /pass(word)?$|passwd|pwd|secret|token|authorization|api[-_]?key|signature|cookie/i;
+
+// Un argumento de shell: tramos entre comillas, caracteres escapados y texto sin espacios
+// ('a'\''b' es un único argumento)
+const SHELL_ARG = String.raw`(?:'[^']*'|"(?:\\.|[^"\\])*"|\\.|[^\s'"\\])+`;
+
+// Secretos dentro de texto libre: comandos de qpdf, headers y query strings
+const SECRET_PATTERNS = [
+  [new RegExp(`(--password=)${SHELL_ARG}`, 'g'), `$1${REDACTED}`],
+  [new RegExp(`(--encrypt\\s+)${SHELL_ARG}\\s+${SHELL_ARG}`, 'g'), `$1${REDACTED} ${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/\b((?:password|passwd|pwd|secret|token|signature)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+const context = new AsyncLocalStorage();
+
+// Salida original de la consola (installConsoleBridge la sustituye)
+const write = {
+  out: process.stdout.write.bind(process.stdout),
+  err: process.stderr.write.bind(process.stderr)
+};
+
+/**
+ * Ejecuta fn con un contexto de petición: todo lo que se loguee dentro lo incluye
+ * @param {object} store - { requestId, method, route, ... }
+ */
+function runWithContext(store, fn) {
+  return context.run({ ...store, secrets: new Set() }, fn);
+}
+
+function getContext() {
+  return context.getStore();
+}
+
+/**
+ * Añade campos al contexto de la petición en curso (p.ej. el fileId generado)
+ */
+function setContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Registra un valor que no debe aparecer en ningún log de la petición en curso
+ * (contraseñas recibidas en el body, por ejemplo)
+ */
+function addSecret(value) {
+  const store = context.getStore();
+  if (!store || typeof value !== 'string' || value.length === 0) return;
+  store.secrets.add(value);
+  // Forma en que aparece dentro de un comando de shell entre comillas simples
+  store.secrets.add(value.replace(/'/g, "'\\''"));
+}
+
+/**
+ * Mantiene el contexto en callbacks que se disparan desde eventos de stream
+ * (body-parser, multer), donde AsyncLocalStorage lo perdería
+ */
+function bindContext(callback) {
+  return AsyncResource.bind(callback);
+}
+
+function redactString(text) {
+  let result = text;
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  for (const secret of context.getStore()?.secrets || []) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    code: error.code,
+    status: error.status,
+    stack: error.stack ? redactString(error.stack) : undefined
+  };
+}
+
+/**
+ * Copia del valor sin secretos: campos con nombre sensible y patrones en los textos
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, requestId, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}\n`;
+}
+
+/**
+ * Escribe una línea de log
+ * @param {string} level - debug | info | warn | error
+ * @param {string} msg - Mensaje. Un prefijo "[Tag]" se extrae a `component`
+ * @param {object} fields - Campos adicionales (se redactan)
+ */
+function log(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const store = context.getStore();
+  const entry = { time: new Date().toISOString(), level };
+
+  if (store) {
+    entry.requestId = store.requestId;
+    entry.method = store.method;
+    entry.route = store.route;
+    if (store.fileId) entry.fileId = store.fileId;
+    if (store.jobId) entry.jobId = store.jobId;
+  }
+
+  let message = redactString(String(msg));
+  const tag = /^\[([^\]]+)\]\s*/.exec(message);
+  if (tag) {
+    entry.component = tag[1];
+    message = message.slice(tag[0].length);
+  }
+  entry.msg = message;
+  Object.assign(entry, redact(fields));
+
+  const line = FORMAT === 'pretty' ? formatPretty(entry) : `${JSON.stringify(entry)}\n`;
+  (LEVELS[level] >= LEVELS.warn ? write.err : write.out)(line);
+}
+
+const logger = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
+
+/**
+ * Redirige console.* al logger para que los logs existentes ("[OCR] ...") salgan
+ * también como JSON con el contexto de la petición. Los Error pasan al campo `error`.
+ */
+function installConsoleBridge() {
+  const bridge = (level) => (...args) => {
+    const error = args.find(arg => arg instanceof Error);
+    const parts = args.map(arg => (arg instanceof Error ? arg.message : redact(arg)));
+    const msg = util.formatWithOptions({ breakLength: Infinity }, ...parts);
+    log(level, msg, error ? { error } : {});
+  };
+
+  console.log = bridge('info');
+  console.info = bridge('info');
+  console.warn = bridge('warn');
+  console.error = bridge('error');
+  console.debug = bridge('debug');
+}
+
+module.exports = {
+  logger,
+  runWithContext,
+  getContext,
+  setContext,
+  addSecret,
+  bindContext,
+  redact,
+  installConsoleBridge,
+  SECRET_KEY_PATTERN
+};
@@ -0,0 +1,344 @@
+/**
+ * Utilidades para leer y reescribir content streams de PDF
+ * (operadores de página y de Form XObjects)
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+const KEYWORD_VALUES = { true: true, false: false, null: null };
+
+/**
+ * Nombre PDF (/Name). Se distingue de los strings, que se representan como Buffer.
+ */
+class ContentName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * Diccionario inline (parámetros de BI o propiedades de BDC)
+ */
+class ContentDict {
+  constructor(entries) {
+    this.entries = entries;
+  }
+
+  get(key) {
+    return this.entries[key];
+  }
+}
+
+const isRegular = (byte) => !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+
+class ContentLexer {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  skipWhitespace() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos];
+      if (WHITESPACE.has(byte)) {
+        this.pos++;
+      } else if (byte === 0x25) { // % comentario hasta fin de línea
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Siguiente token: { kind: 'value' | 'keyword' | 'arrayStart' | 'arrayEnd' | 'dictStart' | 'dictEnd', value }
+   */
+  next() {
+    this.skipWhitespace();
+    const { bytes } = this;
+    if (this.pos >= bytes.length) return null;
+
+    const start = this.pos;
+    const byte = bytes[this.pos];
+
+    if (byte === 0x28) return { kind: 'value', value: this.readLiteralString(), start };
+    if (byte === 0x5b) { this.pos++; return { kind: 'arrayStart', start }; }
+    if (byte === 0x5d) { this.pos++; return { kind: 'arrayEnd', start }; }
+    if (byte === 0x2f) return { kind: 'value', value: this.readName(), start };
+
+    if (byte === 0x3c) {
+      if (bytes[this.pos + 1] === 0x3c) { this.pos += 2; return { kind: 'dictStart', start }; }
+      return { kind: 'value', value: this.readHexString(), start };
+    }
+
+    if (byte === 0x3e && bytes[this.pos + 1] === 0x3e) {
+      this.pos += 2;
+      return { kind: 'dictEnd', start };
+    }
+
+    if (byte === 0x7b || byte === 0x7d || byte === 0x3e || byte === 0x29) {
+      // Delimitadores sueltos (funciones PostScript no aplican en content streams)
+      this.pos++;
+      return { kind: 'keyword', value: String.fromCharCode(byte), start };
+    }
+
+    while (this.pos < bytes.length && isRegular(bytes[this.pos])) this.pos++;
+    const word = bytes.toString('latin1', start, this.pos);
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { kind: 'value', value: parseFloat(word), start };
+    }
+    if (word in KEYWORD_VALUES) {
+      return { kind: 'value', value: KEYWORD_VALUES[word], start };
+    }
+    return { kind: 'keyword', value: word, start };
+  }
+
+  readLiteralString() {
+    const { bytes } = this;
+    const out = [];
+    let depth = 0;
+    this.pos++; // (
+
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos++];
+
+      if (byte === 0x5c) { // \
+        const escaped = bytes[this.pos++];
+        const simple = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c, 0x28: 0x28, 0x29: 0x29, 0x5c: 0x5c };
+        if (escaped in simple) {
+          out.push(simple[escaped]);
+        } else if (escaped >= 0x30 && escaped <= 0x37) {
+          let octal = escaped - 0x30;
+          for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+            octal = octal * 8 + (bytes[this.pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (escaped === 0x0d) { // continuación de línea
+          if (bytes[this.pos] === 0x0a) this.pos++;
+        } else if (escaped !== 0x0a) {
+          out.push(escaped);
+        }
+        continue;
+      }
+
+      if (byte === 0x28) depth++;
+      if (byte === 0x29) {
+        if (depth === 0) break;
+        depth--;
+      }
+      out.push(byte);
+    }
+
+    return Buffer.from(out);
+  }
+
+  readHexString() {
+    const { bytes } = this;
+    let hex = '';
+    this.pos++; // <
+
+    while (this.pos < bytes.length && bytes[this.pos] !== 0x3e) {
+      const char = String.fromCharCode(bytes[this.pos++]);
+      if (/[0-9a-fA-F]/.test(char)) hex += char;
+    }
+    this.pos++; // >
+
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex');
+  }
+
+  readName() {
+    const { bytes } = this;
+    const start = ++this.pos;
+    while (this.pos < bytes.length && isRegular(bytes[this.pos])) this.pos++;
+    const raw = bytes.toString('latin1', start, this.pos);
+    return new ContentName(raw.replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+  }
+
+  /**
+   * Datos binarios de una imagen inline: desde tras "ID" hasta "EI" rodeado de espacios
+   */
+  skipInlineImageData() {
+    const { bytes } = this;
+    this.pos++; // un espacio tras ID
+
+    while (this.pos < bytes.length) {
+      if (bytes[this.pos] === 0x45 && bytes[this.pos + 1] === 0x49 // EI
+        && WHITESPACE.has(bytes[this.pos - 1])
+        && (this.pos + 2 >= bytes.length || WHITESPACE.has(bytes[this.pos + 2]) || DELIMITERS.has(bytes[this.pos + 2]))) {
+        this.pos += 2;
+        return;
+      }
+      this.pos++;
+    }
+  }
+}
+
+/**
+ * Divide un content stream en operaciones
+ *
+ * @param {Buffer} bytes - Content stream decodificado
+ * @returns {Array<{operator: string, operands: Array, start: number, end: number}>}
+ *   start/end delimitan el texto original de la operación (operandos incluidos)
+ */
+function parseContentStream(bytes) {
+  const lexer = new ContentLexer(bytes);
+  const operations = [];
+  const stack = []; // arrays/dicts abiertos
+  let operands = [];
+  let opStart = null;
+
+  const push = (value) => {
+    const top = stack[stack.length - 1];
+    if (top) {
+      top.items.push(value);
+    } else {
+      operands.push(value);
+    }
+  };
+
+  let token;
+  while ((token = lexer.next()) !== null) {
+    if (opStart === null) opStart = token.start;
+
+    switch (token.kind) {
+      case 'value':
+        push(token.value);
+        break;
+      case 'arrayStart':
+      case 'dictStart':
+        stack.push({ kind: token.kind, items: [] });
+        break;
+      case 'arrayEnd':
+      case 'dictEnd': {
+        const open = stack.pop();
+        if (!open) break;
+        if (open.kind === 'arrayStart') {
+          push(open.items);
+        } else {
+          const entries = {};
+          for (let i = 0; i + 1 < open.items.length; i += 2) {
+            const key = open.items[i];
+            entries[key instanceof ContentName ? key.name : String(key)] = open.items[i + 1];
+          }
+          push(new ContentDict(entries));
+        }
+        break;
+      }
+      case 'keyword': {
+        if (stack.length > 0) {
+          // Palabra suelta dentro de un array: se conserva como nombre
+          push(new ContentName(token.value));
+          break;
+        }
+
+        if (token.value === 'BI') {
+          // Imagen inline: BI <clave valor>* ID <datos> EI
+          const params = [];
+          let inner;
+          while ((inner = lexer.next()) !== null && !(inner.kind === 'keyword' && inner.value === 'ID')) {
+            if (inner.kind === 'value') params.push(inner.value);
+            else if (inner.kind === 'keyword') params.push(new ContentName(inner.value));
+          }
+          lexer.skipInlineImageData();
+
+          const entries = {};
+          for (let i = 0; i + 1 < params.length; i += 2) {
+            const key = params[i];
+            entries[key instanceof ContentName ? key.name : String(key)] = params[i + 1];
+          }
+          operations.push({ operator: 'BI', operands: [new ContentDict(entries)], start: opStart, end: lexer.pos });
+        } else {
+          operations.push({ operator: token.value, operands, start: opStart, end: lexer.pos });
+        }
+
+        operands = [];
+        opStart = null;
+        break;
+      }
+    }
+  }
+
+  return operations;
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return String(parseFloat(value.toFixed(4)));
+}
+
+/**
+ * Serializa un operando al formato de content stream
+ */
+function serializeOperand(value) {
+  if (value instanceof ContentName) {
+    return '/' + value.name.replace(/[^!-~]|[#()<>[\]{}/%]/g, c => '#' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+  }
+  if (Buffer.isBuffer(value)) return `<${value.toString('hex')}>`;
+  if (Array.isArray(value)) return `[${value.map(serializeOperand).join(' ')}]`;
+  if (value instanceof ContentDict) {
+    return `<<${Object.entries(value.entries).map(([k, v]) => `${serializeOperand(new ContentName(k))} ${serializeOperand(v)}`).join(' ')}>>`;
+  }
+  if (typeof value === 'number') return formatNumber(value);
+  return String(value);
+}
+
+/**
+ * Serializa una operación generada: operandos + operador
+ */
+function serializeOperation(operator, operands = []) {
+  return [...operands.map(serializeOperand), operator].join(' ');
+}
+
+/**
+ * Producto de matrices PDF [a b c d e f] (m1 aplicada antes que m2)
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function transformPoint([x, y], m) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Caja alineada a los ejes que contiene los puntos transformados
+ * @returns {{x1: number, y1: number, x2: number, y2: number}}
+ */
+function boundingBox(points, matrix = null) {
+  const transformed = matrix ? points.map(p => transformPoint(p, matrix)) : points;
+  const xs = transformed.map(p => p[0]);
+  const ys = transformed.map(p => p[1]);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+/**
+ * ¿Se solapan la caja y algún rectángulo { x, y, width, height }?
+ */
+function intersectsAny(box, rects) {
+  return rects.some(r =>
+    box.x2 > r.x && box.x1 < r.x + r.width &&
+    box.y2 > r.y && box.y1 < r.y + r.height
+  );
+}
+
+module.exports = {
+  ContentName,
+  ContentDict,
+  parseContentStream,
+  serializeOperand,
+  serializeOperation,
+  multiplyMatrix,
+  transformPoint,
+  boundingBox,
+  intersectsAny
+};
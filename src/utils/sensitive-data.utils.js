@@ -0,0 +1,507 @@
+/**
+ * Reglas de detección de datos sensibles para censure-pdf:
+ * detectores integrados (con validación de dígito de control cuando existe),
+ * expresiones regulares del usuario y listas de términos.
+ */
+
+// Límites para patrones y listas enviados por el usuario
+const MAX_CUSTOM_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TERMS = 5000;
+const ALLOWED_PATTERN_FLAGS = /^[imsu]*$/;
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+// Longitud total del IBAN de cada país (registro ISO 13616)
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27, BR: 29, BY: 28,
+  CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+  FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+  IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20,
+  LV: 21, LY: 25, MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+  NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SC: 31,
+  SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29,
+  VA: 22, VG: 24, XK: 20, YE: 30
+};
+
+/**
+ * IBAN compacto o agrupado con espacios/guiones, con la longitud exacta de cada país.
+ * Distingue mayúsculas: una longitud abierta con flag i se comería la palabra siguiente
+ * ("... 1332 de") y el IBAN completo ya no validaría.
+ */
+const IBAN_REGEX = new RegExp(
+  `\\b(?:${Object.entries(IBAN_LENGTHS)
+    .map(([country, length]) => `${country}\\d{2}(?:[ -]?[A-Z0-9]){${length - 4}}`)
+    .join('|')})\\b`,
+  'g'
+);
+
+// Palabras que indican que una fecha cercana es de nacimiento
+const BIRTH_CONTEXT = /(naci(miento|do|da)|f\.?\s*nac|fecha\s+de\s+nac|birth|born|\bdob\b)/i;
+const PASSPORT_CONTEXT = /(pasaporte|passport|\bpass\.?\s*n)/i;
+
+// Cuántos caracteres antes del match se miran para buscar contexto
+const CONTEXT_WINDOW = 40;
+
+/**
+ * Crea un error de validación con el formato que entiende la ruta
+ */
+function patternError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_PATTERN';
+  return error;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detecta repeticiones con backtracking exponencial: un grupo que se repite sin límite y
+ * contiene un cuantificador ((a+)+, (\w*)*, (?:a|b+){2,}) o una alternancia ((a|aa)+,
+ * (\w|\d)+), porque sus opciones pueden solaparse. Los patrones que las tienen se rechazan
+ * antes de ejecutarlos; para el resto queda el timeout del worker (PATTERN_TIMEOUT_MS).
+ */
+function hasUnsafeRepetition(pattern) {
+  // Cada grupo abierto: ¿contiene ya algún cuantificador o alternancia?
+  const groups = [];
+  let inClass = false;
+
+  // Cuantificador que empieza en i: '*', '+', '?' o '{n}', '{n,}', '{n,m}'
+  const quantifierAt = (i) => {
+    const char = pattern[i];
+    if (char === '*' || char === '+') return { repeats: true };
+    if (char === '?') return { repeats: false };
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!braces) return null;
+    const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : Number(braces[1]);
+    return { repeats: max > 1 };
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1] = true;
+    } else if (char === ')') {
+      const innerAmbiguous = groups.pop();
+      const quantifier = quantifierAt(i + 1);
+      if (innerAmbiguous && quantifier?.repeats) return true;
+      // El grupo cuantificado (o ambiguo) cuenta como tal dentro del grupo que lo contiene
+      if ((innerAmbiguous || quantifier) && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (quantifierAt(i) && groups.length > 0 && pattern[i - 1] !== '(') {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function compact(value) {
+  return value.replace(/[\s-]/g, '').toUpperCase();
+}
+
+// ===== Validaciones =====
+
+/**
+ * Algoritmo de Luhn (tarjetas de pago)
+ */
+function isValidLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * IBAN: mod 97 (ISO 13616)
+ */
+function isValidIban(value) {
+  const iban = compact(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  if (IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const chunk = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of chunk) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * DNI (8 dígitos + letra) y NIE (X/Y/Z + 7 dígitos + letra)
+ */
+function isValidDni(value) {
+  const id = compact(value);
+  const match = id.match(/^([XYZ]?)(\d{7,8})([A-Z])$/);
+  if (!match) return false;
+
+  const [, niePrefix, digits, letter] = match;
+  if (niePrefix ? digits.length !== 7 : digits.length !== 8) return false;
+
+  // NIE: X=0, Y=1, Z=2 delante de los 7 dígitos
+  const prefix = niePrefix ? String('XYZ'.indexOf(niePrefix)) : '';
+  const number = Number(prefix + digits);
+  return DNI_LETTERS[number % 23] === letter;
+}
+
+/**
+ * CIF / NIF de persona jurídica: letra + 7 dígitos + control (dígito o letra)
+ */
+function isValidCif(value) {
+  const cif = compact(value);
+  const match = cif.match(/^([ABCDEFGHJNPQRSUVW])(\d{7})([0-9A-J])$/);
+  if (!match) return false;
+
+  const [, type, digits, control] = match;
+  let sum = 0;
+  for (let i = 0; i < 7; i++) {
+    const digit = Number(digits[i]);
+    if (i % 2 === 0) {
+      const doubled = digit * 2;
+      sum += Math.floor(doubled / 10) + (doubled % 10);
+    } else {
+      sum += digit;
+    }
+  }
+
+  const controlDigit = (10 - (sum % 10)) % 10;
+  const controlLetter = 'JABCDEFGHI'[controlDigit];
+
+  if ('ABEH'.includes(type)) return control === String(controlDigit);
+  if ('KPQSNW'.includes(type)) return control === controlLetter;
+  return control === String(controlDigit) || control === controlLetter;
+}
+
+/**
+ * Dígito de control de la zona MRZ (ICAO 9303, pesos 7-3-1)
+ */
+function mrzCheckDigit(value) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    let n = 0;
+    if (/\d/.test(char)) n = Number(char);
+    else if (/[A-Z]/.test(char)) n = char.charCodeAt(0) - 55;
+    sum += n * weights[i % 3];
+  }
+  return String(sum % 10);
+}
+
+/**
+ * Fecha real, no futura y posterior a 1900
+ */
+function isPlausibleBirthDate(day, month, year) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year
+    && date.getUTCMonth() === month - 1
+    && date.getUTCDate() === day
+    && year >= 1900
+    && date.getTime() <= Date.now();
+}
+
+function hasContext(text, index, pattern) {
+  return pattern.test(text.slice(Math.max(0, index - CONTEXT_WINDOW), index));
+}
+
+// ===== Detectores integrados =====
+
+/**
+ * Cada detector tiene una o varias variantes { regex, validate(match, text) }.
+ * El orden define la prioridad cuando dos detectores encuentran el mismo texto.
+ */
+const DETECTORS = {
+  creditCard: {
+    label: 'Tarjeta de crédito',
+    description: 'Números de tarjeta con Luhn válido: 13 a 19 dígitos seguidos o en grupos 4-4-4-4, 4-4-4-4-3, 4-6-5 y 4-6-4',
+    // Agrupaciones explícitas: un patrón genérico de dígitos y separadores se come los números
+    // que siguen a la tarjeta ("4111 1111 1111 1111 12/25") y el Luhn ya no cuadra
+    variants: [
+      { regex: /\b\d{13,19}\b/g, validate: (m) => isValidLuhn(m[0]) },
+      { regex: /\b\d{4}([ -])\d{4}\1\d{4}\1\d{4}\b/g, validate: (m) => isValidLuhn(m[0]) },
+      { regex: /\b\d{4}([ -])\d{4}\1\d{4}\1\d{4}\1\d{3}\b/g, validate: (m) => isValidLuhn(m[0]) },
+      { regex: /\b\d{4}([ -])\d{6}\1\d{5}\b/g, validate: (m) => isValidLuhn(m[0]) },
+      { regex: /\b\d{4}([ -])\d{6}\1\d{4}\b/g, validate: (m) => isValidLuhn(m[0]) }
+    ]
+  },
+  iban: {
+    label: 'IBAN',
+    description: 'Cuentas bancarias IBAN con la longitud de su país y dígitos de control válidos (mod 97)',
+    variants: [
+      { regex: IBAN_REGEX, validate: (m) => isValidIban(m[0]) }
+    ]
+  },
+  dni: {
+    label: 'DNI/NIE',
+    description: 'DNI y NIE españoles con letra de control válida',
+    variants: [
+      { regex: /\b\d{8}[- ]?[A-Z]\b/gi, validate: (m) => isValidDni(m[0]) },
+      { regex: /\b[XYZ][- ]?\d{7}[- ]?[A-Z]\b/gi, validate: (m) => isValidDni(m[0]) }
+    ]
+  },
+  cif: {
+    label: 'NIF/CIF',
+    description: 'NIF de personas jurídicas (CIF) con carácter de control válido',
+    variants: [
+      { regex: /\b[ABCDEFGHJNPQRSUVW][- ]?\d{7}[- ]?[0-9A-J]\b/gi, validate: (m) => isValidCif(m[0]) }
+    ]
+  },
+  passport: {
+    label: 'Pasaporte',
+    description: 'Número de pasaporte español (junto a "pasaporte") o de la zona MRZ con dígito de control',
+    variants: [
+      { regex: /\b[A-Z]{3}\d{6}\b/g, validate: (m, text) => hasContext(text, m.index, PASSPORT_CONTEXT) },
+      {
+        // Segunda línea MRZ: número (9) + control + nacionalidad + ...
+        regex: /\b([A-Z0-9<]{9})(\d)[A-Z<]{3}\d{6}\d[MFX<]/g,
+        validate: (m) => mrzCheckDigit(m[1]) === m[2],
+        group: 1
+      }
+    ]
+  },
+  dateOfBirth: {
+    label: 'Fecha de nacimiento',
+    description: 'Fechas válidas precedidas de "nacimiento", "F. nac.", "DOB"...',
+    variants: [
+      {
+        regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g,
+        validate: (m, text) => isPlausibleBirthDate(Number(m[1]), Number(m[2]), Number(m[3]))
+          && hasContext(text, m.index, BIRTH_CONTEXT)
+      },
+      {
+        regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+        validate: (m, text) => isPlausibleBirthDate(Number(m[3]), Number(m[2]), Number(m[1]))
+          && hasContext(text, m.index, BIRTH_CONTEXT)
+      }
+    ]
+  },
+  email: {
+    label: 'Email',
+    description: 'Direcciones de correo electrónico',
+    variants: [
+      { regex: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi }
+    ]
+  },
+  phone: {
+    label: 'Número de teléfono',
+    description: 'Teléfonos en formatos internacionales y locales',
+    variants: [
+      { regex: /(\+?\d{1,3}[-.\s]?)?\(?\d{2,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}/g }
+    ]
+  }
+};
+
+// ===== Reglas del usuario =====
+
+/**
+ * Patrones personalizados: JSON array de strings o de { name, pattern, flags }
+ * @throws {Error} - status 400, code INVALID_PATTERN
+ */
+function parsePatterns(input) {
+  if (!input) return [];
+
+  let patterns = input;
+  if (typeof input === 'string') {
+    try {
+      patterns = JSON.parse(input);
+    } catch (e) {
+      patterns = [input];
+    }
+  }
+  if (!Array.isArray(patterns)) patterns = [patterns];
+
+  if (patterns.length > MAX_CUSTOM_PATTERNS) {
+    throw patternError(`Máximo ${MAX_CUSTOM_PATTERNS} patrones personalizados`);
+  }
+
+  return patterns.map((entry, index) => {
+    const { name, pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : (entry || {});
+
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw patternError(`Patrón ${index + 1}: falta pattern`);
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw patternError(`Patrón ${index + 1}: máximo ${MAX_PATTERN_LENGTH} caracteres`);
+    }
+    if (!ALLOWED_PATTERN_FLAGS.test(flags)) {
+      throw patternError(`Patrón ${index + 1}: flags no permitidos '${flags}' (solo i, m, s, u)`);
+    }
+    if (hasUnsafeRepetition(pattern)) {
+      throw patternError(`Patrón ${index + 1}: no se permiten grupos repetidos con cuantificadores o alternativas como (a+)+ o (a|aa)+`);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, `${flags}g`);
+    } catch (e) {
+      throw patternError(`Patrón ${index + 1}: expresión regular inválida (${e.message})`);
+    }
+
+    return { id: `pattern:${name || index + 1}`, type: 'custom', variants: [{ regex }] };
+  });
+}
+
+/**
+ * Lista de términos: array JSON o texto con un término por línea
+ * (en CSV se toma la primera columna)
+ */
+function parseTerms(input) {
+  if (!input) return [];
+
+  let terms;
+  if (Array.isArray(input)) {
+    terms = input;
+  } else {
+    const text = Buffer.isBuffer(input) ? input.toString('utf8').replace(/^﻿/, '') : String(input);
+    try {
+      const parsed = JSON.parse(text);
+      terms = Array.isArray(parsed) ? parsed : [text];
+    } catch (e) {
+      terms = text.split(/\r?\n/).map(line => line.split(/[;,\t]/)[0].replace(/^"|"$/g, ''));
+    }
+  }
+
+  const unique = [...new Set(terms.map(t => String(t).trim()).filter(t => t.length >= 2))];
+  if (unique.length > MAX_TERMS) {
+    throw patternError(`Máximo ${MAX_TERMS} términos por lista`);
+  }
+  return unique;
+}
+
+/**
+ * Construye las reglas a aplicar en una búsqueda
+ *
+ * @param {object} options
+ * @param {string} options.searchType - 'text', un detector, 'all' o varios separados por comas
+ * @param {string} options.searchText - Texto para searchType 'text'
+ * @param {boolean} options.caseSensitive
+ * @param {Array<object>} options.patterns - Resultado de parsePatterns
+ * @param {Array<string>} options.terms - Resultado de parseTerms
+ * @param {string} options.termsName - Nombre de la lista (para el campo rule)
+ * @returns {Array<{id: string, type: string, variants: Array}>}
+ */
+function buildRules({ searchType = 'text', searchText = '', caseSensitive = false, patterns = [], terms = [], termsName = 'terms' }) {
+  const rules = [];
+  const types = String(searchType).split(',').map(t => t.trim()).filter(Boolean);
+
+  for (const type of types) {
+    if (type === 'all') {
+      for (const [id, detector] of Object.entries(DETECTORS)) {
+        rules.push({ id, type: id, variants: detector.variants });
+      }
+    } else if (type === 'id') {
+      rules.push({ id: 'dni', type: 'dni', variants: DETECTORS.dni.variants });
+    } else if (DETECTORS[type]) {
+      rules.push({ id: type, type, variants: DETECTORS[type].variants });
+    } else if (type !== 'text') {
+      throw patternError(`Tipo de búsqueda desconocido: ${type}`);
+    }
+  }
+
+  rules.push(...patterns);
+
+  if (terms.length > 0) {
+    // Los términos más largos primero para que "Juan Pérez" gane a "Juan"
+    const alternation = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+    rules.push({
+      id: `dictionary:${termsName}`,
+      type: 'dictionary',
+      variants: [{ regex: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternation})(?![\\p{L}\\p{N}_])`, caseSensitive ? 'gu' : 'giu') }]
+    });
+  }
+
+  if (types.includes('text') && searchText) {
+    rules.push({
+      id: 'text',
+      type: 'text',
+      variants: [{ regex: new RegExp(escapeRegex(searchText), caseSensitive ? 'g' : 'gi') }]
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Aplica las reglas a un texto
+ *
+ * @returns {Array<{rule: string, type: string, value: string, index: number, length: number}>}
+ *   Si dos reglas encuentran el mismo texto, se queda la de mayor prioridad
+ */
+function matchRules(text, rules) {
+  const found = [];
+
+  for (const rule of rules) {
+    for (const variant of rule.variants) {
+      const regex = new RegExp(variant.regex.source, variant.regex.flags);
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        if (m[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        if (variant.validate && !variant.validate(m, text)) continue;
+
+        const value = variant.group ? m[variant.group] : m[0];
+        const index = variant.group ? m.index + m[0].indexOf(value) : m.index;
+
+        const covered = found.some(f => f.rule !== rule.id && f.index <= index && f.index + f.length >= index + value.length);
+        if (!covered) {
+          found.push({ rule: rule.id, type: rule.type, value, index, length: value.length });
+        }
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Descripción de los detectores integrados (para /info)
+ */
+function describeDetectors() {
+  return Object.entries(DETECTORS).map(([value, detector]) => ({
+    value,
+    label: detector.label,
+    description: detector.description
+  }));
+}
+
+module.exports = {
+  DETECTORS,
+  isValidLuhn,
+  isValidIban,
+  isValidDni,
+  isValidCif,
+  hasUnsafeRepetition,
+  parsePatterns,
+  parseTerms,
+  buildRules,
+  matchRules,
+  describeDetectors
+};
@@ -0,0 +1,248 @@
+/**
+ * Reconstrucción de líneas a partir de los items de texto de pdf.js,
+ * con la caja de cada carácter en coordenadas PDF (espacio de usuario).
+ */
+
+// Separación (en tamaños de fuente) a partir de la cual se inserta un espacio entre items
+const SPACE_GAP = 0.15;
+
+// Separación a partir de la cual dos items de la misma línea se consideran columnas distintas
+const COLUMN_GAP = 3;
+
+// Diferencia de línea base (en tamaños de fuente) tolerada dentro de la misma línea
+const BASELINE_TOLERANCE = 0.5;
+
+const length = (x, y) => Math.sqrt(x * x + y * y);
+
+/**
+ * Mapa carácter → ancho de glifo a partir de una fuente de pdf.js cargada con
+ * fontExtraProperties (widths por código y toUnicode)
+ *
+ * @returns {Map<string, number>|null} - null si la fuente no trae anchos
+ */
+function buildCharWidths(font) {
+  if (!font || !font.widths) return null;
+
+  const toUnicode = font.toUnicode || {};
+  const unicodeOf = (code) => {
+    if (toUnicode._map) return toUnicode._map[code];
+    if (toUnicode.firstChar !== undefined) return String.fromCharCode(code);
+    return undefined;
+  };
+
+  const widths = new Map();
+  for (const [code, width] of Object.entries(font.widths)) {
+    const unicode = unicodeOf(Number(code));
+    if (typeof unicode !== 'string' || unicode.length === 0 || !(width > 0)) continue;
+
+    // Ligaduras: el ancho se reparte entre los caracteres
+    const chars = Array.from(unicode);
+    for (const char of chars) {
+      if (!widths.has(char)) widths.set(char, width / chars.length);
+    }
+  }
+
+  return widths.size > 0 ? widths : null;
+}
+
+/**
+ * Cajas (cuadriláteros) de los caracteres de un item
+ *
+ * @param {object} item - Item de getTextContent
+ * @param {object} style - textContent.styles[item.fontName]
+ * @param {Map<string, number>|null} charWidths - Resultado de buildCharWidths
+ * @returns {Array<{char: string, quad: Array<[number, number]>}>}
+ */
+function layoutItem(item, style = {}, charWidths = null) {
+  const [a, b, c, d, e, f] = item.transform;
+  const chars = Array.from(item.str);
+  if (chars.length === 0) return [];
+
+  const vertical = Boolean(style.vertical);
+
+  // Dirección de avance y dirección "arriba" del texto en espacio de usuario
+  const xLength = length(a, b) || 1;
+  const yLength = length(c, d) || 1;
+  const xDir = [a / xLength, b / xLength];
+  const yDir = [c / yLength, d / yLength];
+  const advanceDir = vertical ? [-yDir[0], -yDir[1]] : xDir;
+  const total = vertical ? (item.height || yLength * chars.length) : (item.width || xLength * 0.5 * chars.length);
+
+  // Anchos relativos por carácter; los desconocidos (espacios añadidos por pdf.js) se reparten el resto
+  const weights = chars.map(char => (charWidths ? charWidths.get(char) : 1));
+  const knownSum = weights.reduce((sum, w) => sum + (w || 0), 0);
+  const unknownCount = weights.filter(w => !w).length;
+  const unit = (vertical ? yLength : xLength) / 1000;
+
+  let advances;
+  if (unknownCount > 0 && knownSum * unit < total) {
+    const rest = (total - knownSum * unit) / unknownCount;
+    advances = weights.map(w => (w ? w * unit : rest));
+  } else {
+    // Sin hueco que repartir: se escalan los anchos para que sumen el ancho del item
+    const average = knownSum / Math.max(1, chars.length - unknownCount) || 1;
+    const filled = weights.map(w => w || average);
+    const sum = filled.reduce((acc, w) => acc + w, 0);
+    advances = filled.map(w => (w / sum) * total);
+  }
+
+  // Extensión perpendicular: ascent/descent en horizontal, media caja a cada lado en vertical
+  const ascent = style.ascent !== undefined ? style.ascent : 0.8;
+  const descent = style.descent !== undefined ? style.descent : -0.2;
+  const across = vertical
+    ? { dir: xDir, from: -0.5 * xLength, to: 0.5 * xLength }
+    : { dir: yDir, from: descent * yLength, to: ascent * yLength };
+
+  const point = (offset, side) => [
+    e + advanceDir[0] * offset + across.dir[0] * side,
+    f + advanceDir[1] * offset + across.dir[1] * side
+  ];
+
+  const boxes = [];
+  let offset = 0;
+  chars.forEach((char, i) => {
+    const next = offset + advances[i];
+    boxes.push({
+      char,
+      quad: [point(offset, across.from), point(next, across.from), point(next, across.to), point(offset, across.to)]
+    });
+    offset = next;
+  });
+
+  return boxes;
+}
+
+/**
+ * Agrupa los items de una página en líneas. Items contiguos en la misma línea base se
+ * unen (con un espacio si hay hueco) para poder encontrar matches que cruzan items.
+ *
+ * @returns {Array<{text: string, boxes: Array<Array<[number, number]>|null>}>}
+ *   boxes[i] es el cuadrilátero del carácter text[i] (null en separadores añadidos)
+ */
+function buildLines(items, styles = {}, charWidthsByFont = new Map()) {
+  const lines = [];
+  let current = null;
+  let last = null; // { end: [x, y], advanceDir, fontSize, vertical }
+
+  const finish = () => {
+    if (current && current.text.trim()) lines.push(current);
+    current = null;
+    last = null;
+  };
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+
+    if (item.str.length > 0) {
+      const style = styles[item.fontName] || {};
+      const boxes = layoutItem(item, style, charWidthsByFont.get(item.fontName) || null);
+      const [a, b, c, d, e, f] = item.transform;
+      const vertical = Boolean(style.vertical);
+      const fontSize = length(c, d) || length(a, b) || 1;
+      const advanceDir = vertical
+        ? [-c / (length(c, d) || 1), -d / (length(c, d) || 1)]
+        : [a / (length(a, b) || 1), b / (length(a, b) || 1)];
+
+      if (current && last) {
+        // Posición del inicio de este item respecto al final del anterior
+        const dx = e - last.end[0];
+        const dy = f - last.end[1];
+        const along = dx * last.advanceDir[0] + dy * last.advanceDir[1];
+        const across = Math.abs(dx * -last.advanceDir[1] + dy * last.advanceDir[0]);
+        const sameDirection = vertical === last.vertical
+          && Math.abs(advanceDir[0] - last.advanceDir[0]) < 0.01
+          && Math.abs(advanceDir[1] - last.advanceDir[1]) < 0.01;
+
+        const referenceSize = Math.max(fontSize, last.fontSize);
+        if (!sameDirection || across > BASELINE_TOLERANCE * referenceSize
+          || along > COLUMN_GAP * referenceSize || along < -referenceSize) {
+          finish();
+        } else if (along > SPACE_GAP * referenceSize && !/\s$/.test(current.text) && !/^\s/.test(item.str)) {
+          current.text += ' ';
+          current.boxes.push(null);
+        }
+      }
+
+      if (!current) current = { text: '', boxes: [] };
+      for (const box of boxes) {
+        // Una entrada por unidad UTF-16, para que los índices coincidan con los de RegExp
+        current.text += box.char;
+        for (let k = 0; k < box.char.length; k++) current.boxes.push(box.quad);
+      }
+
+      const advance = vertical ? (item.height || 0) : (item.width || 0);
+      last = {
+        end: [e + advanceDir[0] * advance, f + advanceDir[1] * advance],
+        advanceDir,
+        fontSize,
+        vertical
+      };
+    }
+
+    if (item.hasEOL) finish();
+  }
+
+  finish();
+  return lines;
+}
+
+/**
+ * Líneas a partir de las palabras reconocidas por OCR. Tesseract solo da la caja de la
+ * palabra, así que se reparte a partes iguales entre sus caracteres.
+ *
+ * @param {Array<{words: Array<{text: string, left: number, top: number, width: number, height: number}>}>} ocrLines
+ * @param {Function} toPdfPoint - (px, py) en píxeles de la imagen → [x, y] en coordenadas PDF
+ * @returns {Array<{text: string, boxes: Array}>} - Mismo formato que buildLines
+ */
+function buildOcrLines(ocrLines, toPdfPoint) {
+  const lines = [];
+
+  for (const ocrLine of ocrLines) {
+    const line = { text: '', boxes: [] };
+
+    ocrLine.words.forEach((word, i) => {
+      if (i > 0) {
+        line.text += ' ';
+        line.boxes.push(null);
+      }
+
+      const chars = Array.from(word.text);
+      const step = word.width / chars.length;
+      const bottom = word.top + word.height;
+
+      chars.forEach((char, k) => {
+        const x1 = word.left + step * k;
+        const x2 = x1 + step;
+        const quad = [toPdfPoint(x1, bottom), toPdfPoint(x2, bottom), toPdfPoint(x2, word.top), toPdfPoint(x1, word.top)];
+
+        line.text += char;
+        for (let u = 0; u < char.length; u++) line.boxes.push(quad);
+      });
+    });
+
+    if (line.text.trim()) lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Caja alineada a los ejes (coordenadas PDF) de los caracteres [start, end) de una línea
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|null}
+ */
+function substringBox(line, start, end) {
+  const points = line.boxes.slice(start, end).filter(Boolean).flat();
+  if (points.length === 0) return null;
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+module.exports = {
+  buildCharWidths,
+  layoutItem,
+  buildLines,
+  buildOcrLines,
+  substringBox
+};
@@ -0,0 +1,25 @@
+const archiver = require('archiver');
+
+/**
+ * Crea un ZIP en streaming a partir de archivos en disco. Cada entrada se lee a medida
+ * que se escribe el ZIP, así ni las entradas ni el archivo final están enteros en memoria.
+ *
+ * @param {Array<{path: string, name: string}>} entries - Archivos y nombre dentro del ZIP
+ * @param {object} options
+ * @param {number} options.level - Nivel de compresión zlib (default: 5)
+ * @returns {Readable} - Stream del ZIP, listo para fileStore.storeFile
+ */
+function createZipStream(entries, { level = 5 } = {}) {
+  const archive = archiver('zip', { zlib: { level } });
+
+  for (const entry of entries) {
+    archive.file(entry.path, { name: entry.name });
+  }
+
+  // Los errores se emiten también como 'error' en el stream, que es donde se tratan
+  archive.finalize().catch(() => {});
+
+  return archive;
+}
+
+module.exports = { createZipStream };
@@ -24,6 +24,9 @@ const options = {
     tags: [
       { name: 'Health', description: 'Estado del servidor' },
       { name: 'Download', description: 'Descarga de archivos procesados' },
+      { name: 'Upload', description: 'Subida por partes reanudable para archivos grandes' },
+      { name: 'Jobs', description: 'Trabajos asíncronos y estado de las colas' },
+      { name: 'Usage', description: 'Consumo y límites de la API key' },
       { name: 'Office → PDF', description: 'Conversión de documentos Office a PDF' },
       { name: 'PDF → Office', description: 'Conversión de PDF a documentos Office' },
       { name: 'Manipulación PDF', description: 'Operaciones de manipulación de PDFs' },
@@ -32,9 +35,17 @@ const options = {
       { name: 'Seguridad', description: 'Protección y desbloqueo de PDFs' },
       { name: 'OCR', description: 'Reconocimiento óptico de caracteres' },
       { name: 'HTML → PDF', description: 'Conversión de HTML a PDF' },
+      { name: 'Pipeline', description: 'Varias herramientas encadenadas en una sola request' },
       { name: 'Utilidades', description: 'Reparación, firma y otras utilidades' }
     ],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key del cliente. Sin clave se aplican los límites por IP'
+        }
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -69,6 +80,95 @@ const options = {
               description: 'URL para descargar el archivo'
             }
           }
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'] },
+            checkedAt: { type: 'string', format: 'date-time' },
+            services: {
+              type: 'object',
+              description: 'libreoffice, ghostscript, imagemagick, qpdf, tesseract, ocrmypdf, poppler, playwright y redis',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: ['available', 'unavailable'] },
+                  version: { type: 'string', example: '10.02.1' },
+                  error: { type: 'string' }
+                }
+              }
+            },
+            disk: {
+              type: 'object',
+              description: 'Espacio libre por directorio de trabajo',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: ['ok', 'low', 'error'] },
+                  freeBytes: { type: 'integer' },
+                  totalBytes: { type: 'integer' }
+                }
+              }
+            },
+            problems: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['service:libreoffice', 'disk:uploads']
+            }
+          }
+        },
+        UsageCounter: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer' },
+            used: { type: 'integer' },
+            remaining: { type: 'integer' },
+            resetAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        SourceFileId: {
+          type: 'string',
+          description: 'fileId de un resultado anterior (aún no expirado) para usarlo como entrada en lugar de subir el archivo',
+          example: '0c4fe56f76e248dff3bd58e9aab5a1a8'
+        },
+        SanitizeReport: {
+          type: 'object',
+          description: 'Elementos eliminados al sanear el PDF',
+          properties: {
+            documentInfo: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Claves del diccionario Info eliminadas',
+              example: ['Title', 'Author', 'Producer']
+            },
+            xmpMetadata: { type: 'number', description: 'Streams XMP eliminados' },
+            embeddedFiles: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Nombres de los archivos adjuntos eliminados'
+            },
+            javascript: {
+              type: 'object',
+              properties: {
+                documentScripts: { type: 'array', items: { type: 'string' } },
+                actions: { type: 'number', description: 'Acciones activas (JavaScript, Launch, SubmitForm...) y AA' }
+              }
+            },
+            annotations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  pageNumber: { type: 'number' },
+                  subtype: { type: 'string', example: 'Text' }
+                }
+              }
+            },
+            documentId: { type: 'boolean', description: 'Se eliminó el ID del trailer' },
+            previousRevisions: { type: 'number', description: 'Actualizaciones incrementales descartadas' },
+            unreferencedObjects: { type: 'number', description: 'Objetos sin referencias eliminados' },
+            totalRemoved: { type: 'number' }
+          }
         }
       }
     }